@@ -0,0 +1,169 @@
+/**
+ * auth.js
+ * Builds the authenticated session that scan.js reuses for every page:
+ * a Playwright storageState (loaded from a file or produced by running a
+ * login script once), extra HTTP headers, cookies and HTTP basic auth.
+ *
+ * Secrets are read from environment variables rather than CLI flags so they
+ * never appear in the workflow log's command line:
+ *
+ *   A11Y_HEADERS          JSON object of extra request headers
+ *   A11Y_COOKIES          Cookie header style string: "name=value; other=value"
+ *   A11Y_HTTP_CREDENTIALS "username:password" for HTTP basic auth
+ *
+ * Session data is only ever held in memory and is never written to the scan
+ * output. Use redact() on anything that gets logged, and redactValues() on
+ * objects before they are saved.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+/*
+  Parses "a=1; b=2" into Playwright cookie objects scoped to the scanned origin.
+*/
+function parseCookies(value, baseUrl) {
+  if (!value) return [];
+  return value.split(';').map((pair) => pair.trim()).filter(Boolean).map((pair) => {
+    const eq = pair.indexOf('=');
+    if (eq <= 0) throw new Error('A11Y_COOKIES must look like "name=value; other=value"');
+    return { name: pair.slice(0, eq).trim(), value: pair.slice(eq + 1).trim(), url: baseUrl };
+  });
+}
+
+/*
+  Collects auth settings from CLI paths and secret env vars. Throws with a
+  message that names the bad setting but never echoes its value.
+*/
+function loadAuthOptions({ storageState, loginScript, baseUrl, env = process.env }) {
+  let headers = {};
+  if (env.A11Y_HEADERS) {
+    try {
+      headers = JSON.parse(env.A11Y_HEADERS);
+    } catch {
+      throw new Error('A11Y_HEADERS must be a JSON object of header names to values');
+    }
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+      throw new Error('A11Y_HEADERS must be a JSON object of header names to values');
+    }
+  }
+
+  let httpCredentials = null;
+  if (env.A11Y_HTTP_CREDENTIALS) {
+    const idx = env.A11Y_HTTP_CREDENTIALS.indexOf(':');
+    if (idx <= 0) throw new Error('A11Y_HTTP_CREDENTIALS must look like "username:password"');
+    httpCredentials = {
+      username: env.A11Y_HTTP_CREDENTIALS.slice(0, idx),
+      password: env.A11Y_HTTP_CREDENTIALS.slice(idx + 1),
+    };
+  }
+
+  if (storageState && !fs.existsSync(storageState)) {
+    throw new Error(`storageState file not found: ${storageState}`);
+  }
+  if (loginScript && !fs.existsSync(loginScript)) {
+    throw new Error(`login script not found: ${loginScript}`);
+  }
+
+  const cookies = parseCookies(env.A11Y_COOKIES, baseUrl);
+
+  // Every value that must never reach a log line or the JSON output, however short.
+  const secrets = [...new Set([
+    ...Object.values(headers).map(String),
+    ...cookies.map((c) => c.value),
+    ...(httpCredentials ? [env.A11Y_HTTP_CREDENTIALS, httpCredentials.password] : []),
+  ])].filter((v) => v.length > 0);
+
+  return {
+    storageState: storageState || null,
+    loginScript:  loginScript ? path.resolve(loginScript) : null,
+    headers,
+    cookies,
+    httpCredentials,
+    secrets,
+  };
+}
+
+/*
+  Short, value-free description of the auth setup for the startup log.
+*/
+function describeAuth(auth) {
+  const parts = [];
+  if (auth.storageState) parts.push(`storageState ${auth.storageState}`);
+  if (auth.loginScript) parts.push(`login script ${auth.loginScript}`);
+  const headerNames = Object.keys(auth.headers);
+  if (headerNames.length > 0) parts.push(`headers ${headerNames.join(', ')}`);
+  if (auth.cookies.length > 0) parts.push(`cookies ${auth.cookies.map((c) => c.name).join(', ')}`);
+  if (auth.httpCredentials) parts.push('HTTP basic auth');
+  return parts.join(' · ') || '(none)';
+}
+
+/*
+  Prepares the browser context options shared by every page. When a login
+  script is configured it runs exactly once, in its own context, and the
+  resulting storage state is kept in memory for all later contexts.
+*/
+async function prepareSession(browser, auth, baseUrl) {
+  const contextOptions = {};
+  if (Object.keys(auth.headers).length > 0) contextOptions.extraHTTPHeaders = auth.headers;
+  if (auth.httpCredentials) contextOptions.httpCredentials = auth.httpCredentials;
+  if (auth.storageState) contextOptions.storageState = auth.storageState;
+
+  if (auth.loginScript) {
+    const context = await browser.newContext(contextOptions);
+    try {
+      if (auth.cookies.length > 0) await context.addCookies(auth.cookies);
+      const page = await context.newPage();
+      // Login modules export `async (page, { baseUrl }) => {}` and read their
+      // own credentials from the environment.
+      const login = require(auth.loginScript);
+      await (typeof login === 'function' ? login : login.default)(page, { baseUrl });
+      contextOptions.storageState = await context.storageState();
+    } finally {
+      await context.close();
+    }
+  }
+
+  return contextOptions;
+}
+
+/*
+  Creates a fresh context carrying the shared session.
+*/
+async function newSessionContext(browser, contextOptions, auth) {
+  const context = await browser.newContext(contextOptions);
+  if (auth.cookies.length > 0) await context.addCookies(auth.cookies);
+  return context;
+}
+
+/*
+  Removes known secret values and URL credentials from text before it is
+  logged or written to disk. Longer secrets go first, so one that contains
+  a shorter one is hidden whole.
+*/
+function redact(text, secrets = []) {
+  if (text === undefined || text === null) return text;
+  let out = String(text).replace(/(\w+:\/\/)[^/\s:@]+:[^/\s@]+@/g, '$1***:***@');
+  for (const secret of secrets.filter(Boolean).sort((a, b) => b.length - a.length)) {
+    out = out.split(secret).join('***');
+  }
+  return out;
+}
+
+/*
+  Copy of a JSON-able value with redact() applied to every string in it.
+  Redacting the serialized JSON instead would also hit its syntax (a secret
+  of "true" or "null") and miss secrets whose JSON form is escaped.
+*/
+function redactValues(value, secrets = []) {
+  if (typeof value === 'string') return redact(value, secrets);
+  if (Array.isArray(value)) return value.map((v) => redactValues(v, secrets));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactValues(v, secrets)]));
+  }
+  return value;
+}
+
+module.exports = { loadAuthOptions, describeAuth, prepareSession, newSessionContext, redact, redactValues };
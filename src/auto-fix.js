@@ -1,83 +1,71 @@
+/**
+ * auto-fix.js
+ * Optional AI fixer: maps each page with new violations to its source file,
+ * applies the rule-based fixers (fixers.js), asks an LLM for search/replace
+ * edits for the rest (patch.js checks and applies them), verifies the fixes
+ * by re-scanning (verify.js) and posts a summary comment.
+ *
+ * Usage:
+ *   node auto-fix.js --diff /tmp/a11y_diff.json [--mode both|rules|llm|off] [--lang en] \
+ *     [--framework next|remix|sveltekit|astro|react-router|static] [--minConfidence 0.4] \
+ *     [--delivery commit|suggest] [--repoRoot _a11y_pr] \
+ *     [--llmBaseUrl http://llm.internal:8000/v1] [--authHeader api-key] \
+ *     [--model id] [--temperature 0] [--timeoutMs 60000] [--maxRetries 3] \
+ *     [--maxInputTokens 100000] [--maxOutputTokens 4096] \
+ *     [--provider mock --recordings fixes.json] [--record fixes.json] \
+ *     [--verify true] [--baseline base.json --head pr.json] [--verifyUrl URL] \
+ *     [--buildCommand build] [--appDir dir] [--suppressions file]
+ *
+ * --mode defaults to "both" when an LLM is configured, else "rules". The API
+ * key comes from LLM_API_KEY or OPENROUTER_API_KEY; see llm.js for the
+ * provider options. --lang is the language html-has-lang adds.
+ *
+ * Each violation is fixed in the file resolve.js finds for it: the page, or
+ * the imported component whose markup matches the failing node. Violations
+ * resolved with less than --minConfidence are skipped; --framework overrides
+ * the detected framework.
+ *
+ * --delivery suggest posts the fixes as review suggestions (suggest.js) on
+ * the PR's head commit (HEAD_SHA) and puts the files back, so nothing is
+ * pushed; changes that cannot be suggested are shown as patches. --repoRoot
+ * is the checkout the review paths are relative to.
+ */
+
 'use strict';
 
 const fs       = require('fs');
-const https    = require('https');
 const path     = require('path');
 const minimist = require('minimist');
-
-const args = minimist(process.argv.slice(2));
-const DIFF_FILE       = args.diff || '/tmp/a11y_diff.json';
-const PR_PROJECT_PATH = process.env.PR_PROJECT_PATH || '.';
-const MODEL_ID        = args.model || 'google/gemini-2.0-flash-001';
-
-// Get AI Key and Github info
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
+const { githubRequest } = require('./github');
+const { applyEdits, parseEdits, validateSyntax, unifiedDiff } = require('./patch');
+const { applyRuleFixers } = require('./fixers');
+const { verifyFixes } = require('./verify');
+const { createProvider } = require('./llm');
+const { resolveSource, detectFramework } = require('./resolve');
+const { postSuggestions } = require('./suggest');
+
+const PR_PROJECT_PATH  = process.env.PR_PROJECT_PATH || '.';
+
+// Get AI Key and Github info. LLM_API_KEY is for self-hosted endpoints;
+// OPENROUTER_API_KEY is still read for existing setups.
+const LLM_API_KEY        = process.env.LLM_API_KEY || process.env.OPENROUTER_API_KEY;
 const GITHUB_TOKEN       = process.env.GITHUB_TOKEN;
 const PR_NUMBER          = process.env.PR_NUMBER;
 const GITHUB_REPOSITORY  = process.env.GITHUB_REPOSITORY;
-
-const AI_FIX_MARKER  = '';
-
-/**
- * SOURCE-AWARE RESOLVER:
- * Resolves a URL path to the original source file, prioritising framework
- * source files (Next.js App Router, Pages Router) before falling back to
- * static HTML outputs.
- */
-function resolveUrlToFile(urlPath, projectRoot) {
-    let pathname;
-    try {
-        pathname = new URL(urlPath, 'http://localhost').pathname;
-    } catch (e) {
-        pathname = urlPath;
-    }
-
-    const cleanPath = pathname.replace(/^\/|\/$/g, '');
-
-    // Root path: check source index files first, then index.html
-    if (cleanPath === '') {
-        const rootCandidates = [
-            path.join(projectRoot, 'app/page.tsx'),
-            path.join(projectRoot, 'src/app/page.tsx'),
-            path.join(projectRoot, 'index.html'),
-        ];
-        for (const c of rootCandidates) {
-            if (fs.existsSync(c)) return c;
-        }
-        return null;
-    }
-
-    // Priority 1: framework source files (editable, version-controlled)
-    const sourceCandidates = [
-        path.join(projectRoot, 'src/app', cleanPath, 'page.tsx'), // Added src/app first
-        path.join(projectRoot, 'app', cleanPath, 'page.tsx'),
-        path.join(projectRoot, 'src/pages', `${cleanPath}.tsx`),
-        path.join(projectRoot, 'pages', `${cleanPath}.tsx`),
-    ];
-
-    for (const testPath of sourceCandidates) {
-        if (fs.existsSync(testPath)) return testPath;
-    }
-
-    // Priority 2: static HTML outputs (plain sites, Next.js export)
-    const htmlCandidates = [
-        path.join(projectRoot, cleanPath),
-        path.join(projectRoot, `${cleanPath}.html`),
-        path.join(projectRoot, cleanPath, 'index.html'),
-        path.join(projectRoot, '.next/server/app', `${cleanPath}.html`),
-        path.join(projectRoot, '.next/server/pages', `${cleanPath}.html`),
-    ];
-
-    for (const testPath of htmlCandidates) {
-        if (fs.existsSync(testPath) && fs.lstatSync(testPath).isFile()) return testPath;
-    }
-
-    return null;
-}
-
-// LLM API Prompt
-async function fixFileWithAI(filePath, violations) {
-    const originalCode = fs.readFileSync(filePath, 'utf8');
+const HEAD_SHA           = process.env.HEAD_SHA;
+
+const AI_FIX_MARKER  = '<!-- a11yguard:ai-fix -->';
+// rules: rule-based fixers only; llm: LLM only; both: rules, then the LLM for the rest.
+const FIX_MODES      = ['off', 'rules', 'llm', 'both'];
+// commit: leave the fixed files for the commit step; suggest: post a review and restore them.
+const DELIVERIES     = ['commit', 'suggest'];
+// Longest diff shown per file in the summary comment.
+const MAX_DIFF_CHARS = 8000;
+// Violations whose source is resolved with less confidence are not fixed.
+const DEFAULT_MIN_CONFIDENCE = 0.4;
+
+// LLM API Prompt: asks for search/replace edits, never for the whole file
+async function fixFileWithAI(filePath, originalCode, violations, provider) {
     const isJSX = /\.(tsx|jsx|js)$/.test(filePath);
 
     const prompt = `You are a Senior Accessibility Engineer.
@@ -90,130 +78,164 @@ async function fixFileWithAI(filePath, violations) {
     ${JSON.stringify(violations, null, 2)}
 
     TASK:
-    Fix these specific violations. ONLY output the new code. Do not include explanations, markdown formatting, or backticks.
+    Fix these specific violations with the smallest possible edits. Reply with JSON only, no explanations or backticks:
+    {"edits": [{"search": "<exact text copied from the file>", "replace": "<the same text with the fix>"}]}
 
     CRITICAL RULES:
+    - "search" must be copied character for character from the file and appear in it exactly once
+    - Only edit the lines of the failing elements; never touch unrelated code
     - Do NOT change any text content, links, or visual styling
     - Only add or modify attributes (alt, aria-label, role, etc.) to fix the violations
-    - Return the complete file content exactly as it should be written to disk
     ${isJSX ? '- This is React/JSX: use "className" not "class", and do not break imports or component structure.' : ''}`;
 
-    const response = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-        method: "POST",
-        headers: {
-            "Authorization": `Bearer ${OPENROUTER_API_KEY}`,
-            "Content-Type": "application/json",
-            "HTTP-Referer": "https://github.com/zachkklein/WCAG_PR_Checker",
-            "X-Title": "a11yGuard-Bot"
-        },
-        body: JSON.stringify({
-            model: MODEL_ID,
-            messages: [{ role: "user", content: prompt }]
-        })
-    });
-
-    const data = await response.json();
-
-    if (!response.ok) {
-        const apiError = data.error?.message || JSON.stringify(data);
-        throw new Error(`OpenRouter API error (HTTP ${response.status}): ${apiError}`);
-    }
-
-    if (!data.choices || data.choices.length === 0) {
-        throw new Error("OpenRouter returned success but no choices were found in the response.");
-    }
-
-    // Strip Markdown code blocks if the AI ignored instructions and included them
-    let code = data.choices[0].message.content.trim();
-    if (code.startsWith('```')) {
-        code = code.replace(/^```[a-z]*\n/i, '').replace(/\n```$/g, '');
-    }
-    
-    return code;
-}
-
-// Get the GitHub info and make the request
-function githubRequest(method, urlPath, body) {
-    return new Promise((resolve, reject) => {
-        const data = body ? JSON.stringify(body) : null;
-        const options = {
-            hostname: 'api.github.com',
-            path: urlPath,
-            method,
-            headers: {
-                Authorization:  `token ${GITHUB_TOKEN}`,
-                'Content-Type': 'application/json',
-                'User-Agent':   'a11y-diff-action',
-                Accept:         'application/vnd.github.v3+json',
-                ...(data ? { 'Content-Length': Buffer.byteLength(data) } : {}),
-            },
-        };
-        const req = https.request(options, (res) => {
-            let buf = '';
-            res.on('data', (chunk) => (buf += chunk));
-            res.on('end', () => {
-                if (res.statusCode >= 200 && res.statusCode < 300) resolve(JSON.parse(buf || '{}'));
-                else reject(new Error(`GitHub API ${res.statusCode}: ${buf}`));
-            });
-        });
-        req.on('error', reject);
-        if (data) req.write(data);
-        req.end();
-    });
+    const { content } = await provider.complete([{ role: 'user', content: prompt }]);
+    return parseEdits(content);
 }
 
+// Every page of the PR's comments is read before anything is deleted, so deletions don't shift the pages.
 async function deleteExistingAIFixComments(owner, repo) {
     try {
-        const comments = await githubRequest('GET', `/repos/${owner}/${repo}/issues/${PR_NUMBER}/comments`);
-        for (const comment of comments) {
-            if (comment.body && comment.body.includes(AI_FIX_MARKER)) {
-                await githubRequest('DELETE', `/repos/${owner}/${repo}/issues/comments/${comment.id}`);
-                console.log(`  Deleted previous AI fix comment ${comment.id}`);
-            }
+        const previous = [];
+        const perPage  = 100;
+        for (let page = 1; ; page++) {
+            const comments = await githubRequest('GET', `/repos/${owner}/${repo}/issues/${PR_NUMBER}/comments?per_page=${perPage}&page=${page}`);
+            previous.push(...comments.filter(c => c.body && c.body.startsWith(AI_FIX_MARKER)));
+            if (comments.length < perPage) break;
+        }
+        for (const comment of previous) {
+            await githubRequest('DELETE', `/repos/${owner}/${repo}/issues/comments/${comment.id}`);
+            console.log(`  Deleted previous AI fix comment ${comment.id}`);
         }
     } catch (e) {
         console.warn('Could not delete old comments:', e.message);
     }
 }
 
-function buildFixSummaryComment(fixedFiles, skippedUrls) {
-    const rows = fixedFiles.flatMap(({ filePath, violations }) =>
+function truncateDiff(diff) {
+    return diff.length > MAX_DIFF_CHARS ? `${diff.slice(0, MAX_DIFF_CHARS)}\n… (diff truncated)` : diff;
+}
+
+/*
+  `suggestions` ({ review, patches } from suggest.js) is set in suggest
+  delivery: the review link and patches replace the applied diffs.
+*/
+function buildFixSummaryComment(fixedFiles, skippedUrls, rejectedFiles = [], { revertedFiles = [], verified = false, uncertain = [], suggestions = null } = {}) {
+    const rows = fixedFiles.flatMap(({ displayPath, violations, ruleHandled = [], confidence }) =>
         violations.map(v =>
-            `| ${v.impact} | \`${v.id}\` | \`${v.urlPath}\` | \`${filePath}\` |`
+            `| ${v.impact} | \`${v.id}\` | \`${v.urlPath}\` | \`${displayPath}\` (${confidence.toFixed(2)}) | ${ruleHandled.includes(v) ? 'rule' : 'AI'} |`
         )
     ).join('\n');
 
+    const diffs = suggestions ? suggestionSection(suggestions) : fixedFiles.map(({ displayPath, diff, ruleChanges = [] }) => {
+        const shown = truncateDiff(diff);
+        const changes = ruleChanges.length > 0
+            ? `Rule-based changes:\n${ruleChanges.map(c => `- line ${c.line} (\`${c.fixer}\`): ${c.description}`).join('\n')}\n\n`
+            : '';
+        return `<details><summary>Applied diff: <code>${displayPath}</code></summary>\n\n${changes}\`\`\`diff\n${shown}\n\`\`\`\n</details>`;
+    }).join('\n');
+
     const skippedSection = skippedUrls.length > 0
         ? `\n> **Skipped** (no source or HTML file found): ${skippedUrls.map(u => `\`${u}\``).join(', ')}\n`
         : '';
 
-    return `${AI_FIX_MARKER}
-## AI Accessibility Auto-Fix Summary
+    const uncertainSection = uncertain.length > 0
+        ? `\n**Not fixed: source uncertain** (below the confidence threshold):\n${uncertain.map(u => `- \`${u.id}\` on \`${u.urlPath}\`: best guess \`${u.displayPath}\` (${u.confidence.toFixed(2)}; ${u.reason})`).join('\n')}\n`
+        : '';
 
-Accessibility regressions were detected. The AI has mapped these URLs back to your **source code** and applied fixes.
+    const rejectedSection = rejectedFiles.length > 0
+        ? `\n**Rejected AI fixes** (these edits were not applied):\n${rejectedFiles.map(r => `- \`${r.displayPath}\`: ${r.reason}`).join('\n')}\n`
+        : '';
 
-| Impact | Rule | URL | Fixed Source File |
-|--------|------|-----|-------------------|
+    const revertedSection = revertedFiles.length > 0
+        ? `\n**Reverted after re-scan** (the fix did not hold, so the file was left unchanged):\n${revertedFiles.map(r => `- \`${r.displayPath}\`: ${r.reason}`).join('\n')}\n`
+        : '';
+
+    const fixedSection = fixedFiles.length > 0
+        ? `These URLs were mapped back to your **source code** and ${suggestions ? 'fixes were proposed' : 'fixed'}, by rule-based fixers where the fix is mechanical and by the AI otherwise.
+
+| Impact | Rule | URL | Fixed Source File (confidence) | Fixed by |
+|--------|------|-----|-------------------|----------|
 ${rows}
-${skippedSection}
-**Note:** Since source files were modified, review the changes and run a new build to verify the fixes.
 
+${diffs}
+`
+        : 'No fix could be applied safely.\n';
+    const note = fixedFiles.length === 0
+        ? ''
+        : verified
+            ? '\n**Note:** Each fix was verified by re-scanning its routes against the baseline. Review the changes before merging.\n'
+            : suggestions
+                ? '\n**Note:** These fixes were not verified by a new build; review each one before accepting it.\n'
+                : '\n**Note:** Since source files were modified, review the changes and run a new build to verify the fixes.\n';
+
+    return `${AI_FIX_MARKER}
+## AI Accessibility Auto-Fix Summary
+
+Accessibility regressions were detected. ${fixedSection}${skippedSection}${uncertainSection}${rejectedSection}${revertedSection}${note}
 ---
 <sub>Generated by <a href="https://github.com/zachkklein/WCAG_PR_Checker">a11yGuard</a></sub>`;
 }
 
+function suggestionSection({ review, patches }) {
+    const posted = review
+        ? `The fixes were posted as suggestions in [this review](${review.html_url}); accept them one by one. Nothing was pushed to your branch.`
+        : 'Nothing was pushed to your branch.';
+    const patchBlocks = patches.map(p =>
+        `<details><summary>Patch: <code>${p.repoPath}</code> (${p.reason})</summary>\n\nApply it from the repository root with \`git apply\`:\n\n\`\`\`diff\n${truncateDiff(p.diff)}\n\`\`\`\n</details>`
+    ).join('\n');
+    return patches.length > 0
+        ? `${posted}\n\nThese changes can't be suggested inline, because GitHub only allows suggestions on lines of the PR diff:\n\n${patchBlocks}`
+        : posted;
+}
+
 async function main() {
-    if (!OPENROUTER_API_KEY) {
-        console.error('FAILURE: OPENROUTER_API_KEY is not set. Skipping AI auto-fix.');
+    const args      = minimist(process.argv.slice(2));
+    const diffFile  = args.diff || '/tmp/a11y_diff.json';
+
+    // The hosted default needs a key; self-hosted endpoints and the mock may not.
+    const llmAvailable = Boolean(LLM_API_KEY || args.llmBaseUrl || args.provider === 'mock');
+    const mode = args.mode || (llmAvailable ? 'both' : 'rules');
+    if (!FIX_MODES.includes(mode)) {
+        console.error(`FAILURE: Unknown --mode "${mode}" (expected ${FIX_MODES.join(', ')}).`);
+        process.exit(2);
+    }
+    const delivery = args.delivery || 'commit';
+    if (!DELIVERIES.includes(delivery)) {
+        console.error(`FAILURE: Unknown --delivery "${delivery}" (expected ${DELIVERIES.join(', ')}).`);
+        process.exit(2);
+    }
+    if (mode === 'off') {
+        console.log('Auto-fix is off (--mode off). Skipping.');
         return;
     }
+    if (mode !== 'rules' && !llmAvailable) {
+        console.error(`FAILURE: --mode ${mode} needs an LLM, but OPENROUTER_API_KEY (or LLM_API_KEY with --llmBaseUrl) is not set.`);
+        return;
+    }
+
+    const provider = mode === 'rules' ? null : createProvider({
+        provider:        args.provider,
+        baseUrl:         args.llmBaseUrl,
+        apiKey:          LLM_API_KEY,
+        authHeader:      args.authHeader,
+        model:           args.model,
+        temperature:     args.temperature,
+        timeoutMs:       args.timeoutMs,
+        maxRetries:      args.maxRetries,
+        maxInputTokens:  args.maxInputTokens,
+        maxOutputTokens: args.maxOutputTokens,
+        recordings:      args.recordings,
+        record:          args.record,
+    });
+    if (provider) console.log(`INFO: Using the ${provider.name} LLM provider (model ${provider.model}).`);
+    else console.log('INFO: Rule-based fixes only; no LLM is used.');
 
-    if (!fs.existsSync(DIFF_FILE)) {
+    if (!fs.existsSync(diffFile)) {
         console.log('No diff file found. Skipping.');
         return;
     }
     
-    const diff = JSON.parse(fs.readFileSync(DIFF_FILE, 'utf8'));
+    const diff = JSON.parse(fs.readFileSync(diffFile, 'utf8'));
 
     // If the diff logic uses "regression" as a boolean
     if (!diff.regression && (!diff.newViolations || diff.newViolations.length === 0)) {
@@ -221,36 +243,136 @@ async function main() {
         return;
     }
 
+    try {
+        detectFramework(PR_PROJECT_PATH, args.framework || undefined);
+    } catch (err) {
+        console.error(`FAILURE: ${err.message}.`);
+        process.exit(2);
+    }
+
     const newViolations = diff.newViolations || [];
-    const pagesToFix    = [...new Set(newViolations.map(v => v.urlPath))];
+    const minConfidence = args.minConfidence != null && args.minConfidence !== '' ? Number(args.minConfidence) : DEFAULT_MIN_CONFIDENCE;
+    if (!(minConfidence >= 0 && minConfidence <= 1)) {
+        console.error(`FAILURE: --minConfidence must be between 0 and 1, got "${args.minConfidence}".`);
+        process.exit(2);
+    }
 
     const fixedFiles  = [];
     const skippedUrls = [];
+    const rejectedFiles = [];
+    const uncertain   = [];
+
+    // Group the violations by the file that renders them (page or component).
+    const byFile = new Map();
+    for (const v of newViolations) {
+        const source = resolveSource(v, PR_PROJECT_PATH, { framework: args.framework || undefined });
+        if (!source) {
+            if (!skippedUrls.includes(v.urlPath)) {
+                console.warn(`WARN: No file mapping found for URL: ${v.urlPath}`);
+                skippedUrls.push(v.urlPath);
+            }
+            continue;
+        }
+        const displayPath = path.relative(PR_PROJECT_PATH, source.file).split(path.sep).join('/');
+        if (source.confidence < minConfidence) {
+            console.warn(`WARN: Not fixing ${v.id} on ${v.urlPath}: ${displayPath} has confidence ${source.confidence} (${source.reason})`);
+            uncertain.push({ id: v.id, urlPath: v.urlPath, displayPath, confidence: source.confidence, reason: source.reason });
+            continue;
+        }
+        if (!byFile.has(source.file)) byFile.set(source.file, { violations: [], confidence: 1 });
+        const group = byFile.get(source.file);
+        group.violations.push(v);
+        group.confidence = Math.min(group.confidence, source.confidence);
+        console.log(`INFO: ${v.id} on ${v.urlPath} → ${displayPath} (${source.reason}; confidence ${source.confidence})`);
+    }
 
-    for (const urlPath of pagesToFix) {
-        const filePath = resolveUrlToFile(urlPath, PR_PROJECT_PATH);
+    for (const [filePath, { violations: pageViolations, confidence }] of byFile) {
+        console.log(`INFO: Fixing ${filePath} (${pageViolations.length} violation(s))...`);
+
+        const displayPath = path.relative(PR_PROJECT_PATH, filePath).split(path.sep).join('/');
+        const original    = fs.readFileSync(filePath, 'utf8');
+        let content       = original;
+        let ruleChanges   = [];
+        let ruleHandled   = [];
+
+        // Rule-based fixers first; whatever they can't fix goes to the LLM.
+        if (mode !== 'llm') {
+            const ruleFix = applyRuleFixers(filePath, original, pageViolations, { lang: args.lang || undefined });
+            ruleFix.skipped.forEach(note => console.warn(`WARN: ${note}`));
+            try {
+                validateSyntax(filePath, original, ruleFix.content);
+                content     = ruleFix.content;
+                ruleChanges = ruleFix.changes;
+                ruleHandled = ruleFix.handled;
+                ruleChanges.forEach(c => console.log(`  [${c.fixer}] line ${c.line}: ${c.description}`));
+            } catch (err) {
+                console.error(`FAILURE: Rule-based fixes for ${filePath} were dropped:`, err.message);
+            }
+        }
 
-        if (!filePath) {
-            console.warn(`WARN: No file mapping found for URL: ${urlPath}`);
-            skippedUrls.push(urlPath);
-            continue;
+        // LLM edits are checked and the result parsed before anything is written.
+        const remaining = pageViolations.filter(v => !ruleHandled.includes(v));
+        let aiHandled = [];
+        if (provider && remaining.length > 0) {
+            try {
+                const edits = await fixFileWithAI(filePath, content, remaining, provider);
+                content = applyEdits(filePath, content, edits, remaining, { displayPath }).content;
+                aiHandled = remaining;
+            } catch (err) {
+                console.error(`FAILURE: Failed to fix ${filePath}:`, err.message);
+                rejectedFiles.push({ displayPath, reason: err.message });
+            }
         }
-        
-        console.log(`INFO: AI is fixing ${urlPath} (File: ${filePath})...`);
-        const pageViolations = newViolations.filter(v => v.urlPath === urlPath);
-        
-        try {
-            const fixedCode = await fixFileWithAI(filePath, pageViolations);
-            console.log(`DEBUG: Absolute path being written: ${path.resolve(filePath)}`);
-            fs.writeFileSync(filePath, fixedCode);
-            console.log(`SUCCESS: Successfully updated ${filePath}`);
-            fixedFiles.push({ filePath, violations: pageViolations });
-        } catch (err) {
-            console.error(`FAILURE: Failed to fix ${filePath}:`, err.message);
+
+        if (content === original) continue;
+        fs.writeFileSync(filePath, content);
+        console.log(`SUCCESS: Successfully updated ${filePath}`);
+        fixedFiles.push({
+            filePath,
+            displayPath,
+            original,
+            content,
+            violations: [...ruleHandled, ...aiHandled],
+            ruleHandled,
+            ruleChanges,
+            confidence,
+            diff: unifiedDiff(displayPath, original, content),
+        });
+    }
+
+    // Keep only fixes a rebuild and re-scan confirm; put the others back.
+    let verified = false;
+    let revertedFiles = [];
+    if (fixedFiles.length > 0 && String(args.verify) !== 'false') {
+        if (fs.existsSync(args.baseline || '') && fs.existsSync(args.head || '')) {
+            const result = await verifyFixes(fixedFiles, {
+                baseline:         JSON.parse(fs.readFileSync(args.baseline, 'utf8')),
+                head:             JSON.parse(fs.readFileSync(args.head, 'utf8')),
+                matching:         diff.matching,
+                newViolations,
+                url:              args.verifyUrl || 'http://localhost:5000',
+                buildCommand:     args.buildCommand,
+                appDir:           args.appDir || PR_PROJECT_PATH,
+                suppressionsFile: args.suppressions,
+            });
+            // verifyFixes() has already put the failed files back.
+            for (const fix of result.failed) {
+                console.warn(`WARN: Reverted ${fix.filePath}: ${fix.reason}`);
+            }
+            fixedFiles.splice(0, fixedFiles.length, ...result.verified);
+            revertedFiles = result.failed;
+            verified = true;
+        } else {
+            console.warn('WARN: --baseline and --head scans are needed to verify the fixes; they were not re-scanned.');
         }
     }
 
-    if (fixedFiles.length === 0) {
+    // Suggested fixes only live in the review; the checkout is left as it was.
+    if (delivery === 'suggest') {
+        fixedFiles.forEach(fix => fs.writeFileSync(fix.filePath, fix.original));
+    }
+
+    if (fixedFiles.length === 0 && rejectedFiles.length === 0 && revertedFiles.length === 0 && uncertain.length === 0) {
         console.log('No files were successfully fixed.');
         return;
     }
@@ -263,7 +385,25 @@ async function main() {
     const [owner, repo] = GITHUB_REPOSITORY.split('/');
     await deleteExistingAIFixComments(owner, repo);
 
-    const body   = buildFixSummaryComment(fixedFiles, skippedUrls);
+    let suggestions = null;
+    if (delivery === 'suggest' && fixedFiles.length > 0) {
+        const repoRoot = args.repoRoot || PR_PROJECT_PATH;
+        try {
+            suggestions = await postSuggestions(fixedFiles, { owner, repo, prNumber: PR_NUMBER, headSha: HEAD_SHA, repoRoot });
+            if (suggestions.review) console.log(`SUCCESS: Suggestions posted: ${suggestions.review.html_url}`);
+        } catch (e) {
+            console.error('Failed to post suggestions:', e.message);
+            suggestions = {
+                review: null,
+                patches: fixedFiles.map(fix => {
+                    const repoPath = path.relative(repoRoot, fix.filePath).split(path.sep).join('/');
+                    return { repoPath, diff: unifiedDiff(repoPath, fix.original, fix.content), reason: 'the suggestions could not be posted' };
+                }),
+            };
+        }
+    }
+
+    const body   = buildFixSummaryComment(fixedFiles, skippedUrls, rejectedFiles, { revertedFiles, verified, uncertain, suggestions });
     try {
         const posted = await githubRequest('POST', `/repos/${owner}/${repo}/issues/${PR_NUMBER}/comments`, { body });
         console.log(`SUCCESS: AI fix summary posted: ${posted.html_url}`);
@@ -272,7 +412,9 @@ async function main() {
     }
 }
 
-main().catch(err => {
-    console.error('Fatal error in auto-fixer:', err);
-    process.exit(1);
-});
\ No newline at end of file
+if (require.main === module) {
+    main().catch(err => {
+        console.error('Fatal error in auto-fixer:', err);
+        process.exit(1);
+    });
+}
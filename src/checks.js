@@ -0,0 +1,164 @@
+/**
+ * checks.js
+ * Publishes the diff as a GitHub Check Run: the summary is the same
+ * markdown as the PR comment (see comment.js) and every new violation is an
+ * inline annotation on the source file and line that renders it.
+ *
+ * Usage:
+ *   node checks.js --diff diff.json \
+ *     [--projectRoot _a11y_pr/my-app] [--repoRoot _a11y_pr] [--name a11yGuard]
+ *
+ * Env:
+ *   GITHUB_TOKEN, GITHUB_REPOSITORY   required
+ *   HEAD_SHA                          commit to attach the check to (falls back to GITHUB_SHA)
+ *   FAIL_ON_REGRESSION                "false" turns a failing conclusion into "neutral"
+ *   GITHUB_API_URL                    API base URL, e.g. a local mock server (see github.js)
+ *
+ * Files are found with resolve.js under --projectRoot (the page or the
+ * component that renders the element) and the line with locate.js;
+ * annotation paths are relative to --repoRoot.
+ * New violations on pages that map to no file are only in the summary.
+ */
+
+'use strict';
+
+const fs       = require('fs');
+const path     = require('path');
+const minimist = require('minimist');
+const { githubRequest } = require('./github');
+const { buildComment } = require('./comment');
+const { locateViolation } = require('./resolve');
+
+// Checks API limits
+const MAX_ANNOTATIONS_PER_REQUEST = 50;
+const MAX_SUMMARY_LENGTH = 65535;
+
+// axe impact → annotation level
+const ANNOTATION_LEVEL = {
+  critical: 'failure',
+  serious:  'failure',
+  moderate: 'warning',
+  minor:    'notice',
+};
+
+/*
+  success without regressions; with regressions, failure when
+  FAIL_ON_REGRESSION is on and neutral (reported, not blocking) when off.
+*/
+function conclusionFor(diff, failOnRegression) {
+  if (!diff.regression) return 'success';
+  return failOnRegression ? 'failure' : 'neutral';
+}
+
+function checkTitle(diff) {
+  const s = diff.summary;
+  const fired = ((diff.policy && diff.policy.triggered) || []).filter((t) => t.level === (diff.regression ? 'fail' : 'warn'));
+  if (fired.length > 0) {
+    const title = fired.map((t) => t.message.replace(/`/g, '')).join('; ');
+    return diff.regression ? title : `Passed with warnings: ${title}`;
+  }
+  if (!diff.regression) return `No accessibility regressions (${s.resolvedViolations} resolved)`;
+  if (s.newViolations > 0) return `${s.newViolations} new accessibility violation(s)`;
+  return `${s.expiredSuppressions} violation(s) with expired suppressions`;
+}
+
+/*
+  One annotation per new (or expired-suppression) violation that could be
+  placed in a file. Returns { annotations, unlocated }.
+*/
+function buildAnnotations(diff, { projectRoot, repoRoot = projectRoot || '.' }) {
+  const annotations = [];
+  let unlocated = 0;
+
+  for (const v of [...(diff.newViolations || []), ...(diff.expiredSuppressionViolations || [])]) {
+    const source = locateViolation(v, projectRoot);
+    if (!source) {
+      unlocated++;
+      continue;
+    }
+    const variant = [v.viewport && `@ ${v.viewport}`, v.mode && `[${v.mode}]`].filter(Boolean).join(' ');
+    const expired = v.suppression ? ` Suppression expired ${v.suppression.expires} (${v.suppression.owner}).` : '';
+    annotations.push({
+      path:             path.relative(repoRoot, source.file).split(path.sep).join('/'),
+      start_line:       source.startLine,
+      end_line:         source.startLine,
+      annotation_level: ANNOTATION_LEVEL[v.impact] || 'warning',
+      title:            `${v.id} (${v.impact}) on ${v.urlPath}${variant ? ` ${variant}` : ''}`,
+      message:          `${v.help || v.description}.${expired}\nSelector: ${v.target.join(' > ')}\n${v.failureSummary || ''}\nDocs: ${v.helpUrl}`.trim(),
+      raw_details:      (v.html || '').slice(0, 2000),
+    });
+  }
+  return { annotations, unlocated };
+}
+
+/*
+  Creates the check run with the first batch of annotations, then appends
+  the rest 50 at a time (the Checks API limit per request). Returns the
+  created check run.
+*/
+async function publishCheckRun(diff, { owner, repo, headSha, name, failOnRegression, annotations, request = githubRequest }) {
+  const output = {
+    title:   checkTitle(diff),
+    summary: buildComment(diff, { maxLength: MAX_SUMMARY_LENGTH, marker: false }),
+  };
+
+  const batches = [];
+  for (let i = 0; i < annotations.length; i += MAX_ANNOTATIONS_PER_REQUEST) {
+    batches.push(annotations.slice(i, i + MAX_ANNOTATIONS_PER_REQUEST));
+  }
+
+  const run = await request('POST', `/repos/${owner}/${repo}/check-runs`, {
+    name,
+    head_sha:     headSha,
+    status:       'completed',
+    conclusion:   conclusionFor(diff, failOnRegression),
+    completed_at: new Date().toISOString(),
+    output:       { ...output, annotations: batches[0] || [] },
+  });
+
+  // Each update appends its annotations to the ones already on the run.
+  for (const batch of batches.slice(1)) {
+    await request('PATCH', `/repos/${owner}/${repo}/check-runs/${run.id}`, {
+      output: { ...output, annotations: batch },
+    });
+  }
+  return run;
+}
+
+async function main() {
+  const args = minimist(process.argv.slice(2));
+  const diffFile    = args.diff || '/tmp/a11y_diff.json';
+  const projectRoot = args.projectRoot || null;
+  const repoRoot    = args.repoRoot || projectRoot || '.';
+  const name        = args.name || 'a11yGuard';
+  const headSha     = process.env.HEAD_SHA || process.env.GITHUB_SHA;
+  const failOnRegression = process.env.FAIL_ON_REGRESSION !== 'false';
+
+  if (!process.env.GITHUB_TOKEN || !process.env.GITHUB_REPOSITORY || !headSha) {
+    console.error('Missing required env vars: GITHUB_TOKEN, GITHUB_REPOSITORY, HEAD_SHA (or GITHUB_SHA)');
+    process.exit(1);
+  }
+  const [owner, repo] = process.env.GITHUB_REPOSITORY.split('/');
+
+  const diff = JSON.parse(fs.readFileSync(diffFile, 'utf8'));
+  const { annotations, unlocated } = buildAnnotations(diff, { projectRoot, repoRoot });
+
+  console.log('\na11y-diff publishing check run');
+  console.log(`   diff file   : ${diffFile}`);
+  console.log(`   commit      : ${headSha}`);
+  console.log(`   annotations : ${annotations.length}${unlocated > 0 ? ` (${unlocated} without a source file)` : ''}`);
+  console.log(`   conclusion  : ${conclusionFor(diff, failOnRegression)}\n`);
+
+  const run = await publishCheckRun(diff, { owner, repo, headSha, name, failOnRegression, annotations });
+  console.log(`SUCCESS: Check run published: ${run.html_url || run.id}`);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    // A missing checks: write permission should not fail the whole job.
+    console.error('\nFAILURE: Could not publish check run:', err.message);
+    process.exit(err.status === 403 ? 0 : 1);
+  });
+}
+
+module.exports = { buildAnnotations, publishCheckRun, conclusionFor, ANNOTATION_LEVEL };
@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+/**
+ * cli.js
+ * The `a11yguard` command: runs the pipeline locally, without GitHub.
+ *
+ * Usage:
+ *   a11yguard scan    --baseUrl http://localhost:3000 [--output scan.json] [scan.js options] [--json]
+ *   a11yguard diff    --baseline base.json --head pr.json [--output diff.json] [diff.js options] [--json]
+ *   a11yguard report  --diff diff.json [--format markdown|html] [--output file] [--title "..."] \
+ *                     [--history a11y-history.ndjson] [--json]
+ *   a11yguard conformance --scan pr.json [--standard wcag22aa] [--format markdown|json] [--output file]
+ *   a11yguard compare (--baseDir dist-main --headDir dist-pr | --baseUrl URL --headUrl URL) \
+ *                     [--format markdown|html] [--output file] [--outDir dir] [--json] \
+ *                     [scan.js and diff.js options, e.g. --urls "/,/about" --config .a11yguard.yml]
+ *
+ * scan and diff take the same options as scan.js and diff.js. report
+ * renders a diff as the PR comment markdown (the default) or as the HTML
+ * report. conformance drafts the per-criterion WCAG summary of a scan
+ * (see conformance.js). compare serves two local build directories (or
+ * takes two deployed URLs), scans both, diffs them and prints the markdown
+ * report, or writes it to --output. Scans and the diff are kept in
+ * --outDir when given.
+ *
+ * --json prints machine-readable JSON on stdout instead: the scan, the
+ * diff, (for report) the summary and policy outcome, or the conformance
+ * summary. Progress logs always go to stderr, so stdout can be piped.
+ *
+ * Exit codes:
+ *   0 — no regressions
+ *   1 — regressions detected (diff and compare)
+ *   2 — usage, config or suppression file error
+ *   3 — the scan or a local server failed
+ */
+
+'use strict';
+
+const fs           = require('fs');
+const os           = require('os');
+const path         = require('path');
+const { spawn, spawnSync } = require('child_process');
+const minimist     = require('minimist');
+const waitOn       = require('wait-on');
+const { buildComment } = require('./comment');
+const { buildReport } = require('./report');
+const { loadHistory } = require('./history');
+const { buildConformance, renderConformance } = require('./conformance');
+
+const EXIT = { ok: 0, regression: 1, usage: 2, runtime: 3 };
+
+// Options forwarded from compare to each scan.js / diff.js run.
+const SCAN_OPTIONS = [
+  'urls', 'urlsFile', 'interactions', 'storageState', 'loginScript', 'viewports', 'modes',
+  'ignore', 'tags', 'standard', 'impactLevel', 'waitFor', 'waitForNetworkIdle', 'extraWaitMs',
+  'concurrency', 'pageTimeoutMs', 'config',
+];
+const DIFF_OPTIONS = ['matchThreshold', 'fuzzyMatch', 'suppressions', 'incomplete', 'config'];
+
+const SERVER_TIMEOUT_MS = 60000;
+
+const USAGE = `Usage: a11yguard <command> [options]
+
+Commands:
+  scan         Scan URLs of one site with axe-core (options as scan.js)
+  diff         Diff a baseline scan against a PR scan (options as diff.js)
+  report       Render a diff as the PR comment markdown or the HTML report
+  conformance  Draft a per-criterion WCAG conformance summary from a scan
+  compare      Serve/scan two builds, diff them and print the report
+
+Common options:
+  --json    Print JSON on stdout instead of the human-readable output
+  --output  Write the result to a file instead of stdout
+
+Exit codes: 0 no regressions, 1 regressions, 2 usage/config error, 3 scan or server failure`;
+
+class CliError extends Error {
+  constructor(message, exitCode) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+/*
+  Turns parsed options back into argv for a child script, keeping only `keys`.
+*/
+function toArgv(args, keys) {
+  const argv = [];
+  for (const key of keys) {
+    if (args[key] === undefined) continue;
+    for (const value of [].concat(args[key])) argv.push(`--${key}`, String(value));
+  }
+  return argv;
+}
+
+/*
+  All parsed options except `omit`, as argv (for pass-through commands).
+*/
+function passThrough(args, omit) {
+  return toArgv(args, Object.keys(args).filter((k) => k !== '_' && !omit.includes(k)));
+}
+
+/*
+  Runs one of the pipeline scripts with its stdout sent to stderr, so our
+  own stdout only carries the result. Returns the exit code.
+*/
+function runScript(script, argv) {
+  const result = spawnSync(process.execPath, [path.join(__dirname, script), ...argv], {
+    stdio: ['ignore', process.stderr, process.stderr],
+    env: process.env,
+  });
+  if (result.error) throw new CliError(`Could not run ${script}: ${result.error.message}`, EXIT.runtime);
+  return result.status === null ? EXIT.runtime : result.status;
+}
+
+/*
+  Prints text to --output, or to stdout.
+*/
+function emit(text, outputFile) {
+  if (outputFile) {
+    fs.writeFileSync(outputFile, text);
+    console.error(`SUCCESS: Wrote ${outputFile}`);
+  } else {
+    process.stdout.write(text.endsWith('\n') ? text : `${text}\n`);
+  }
+}
+
+function readJson(file, what) {
+  if (!file) throw new CliError(`Missing --${what}`, EXIT.usage);
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new CliError(`Cannot read ${what} file ${file}: ${err.message}`, EXIT.usage);
+  }
+}
+
+/*
+  Markdown (PR comment without its hidden marker) or HTML for a diff.
+*/
+function renderDiff(diff, args) {
+  const format = args.format || 'markdown';
+  if (format === 'html') return buildReport(diff, { title: args.title || 'Accessibility report' });
+  if (format === 'markdown') {
+    const history = args.history ? loadHistory(args.history).slice(-parseInt(args.trendLength || '10', 10)) : null;
+    return buildComment(diff, { history, reportUrl: args.reportUrl, marker: false });
+  }
+  throw new CliError(`Unknown --format "${format}" (expected markdown or html)`, EXIT.usage);
+}
+
+function diffExitCode(diff) {
+  return diff.regression ? EXIT.regression : EXIT.ok;
+}
+
+/*
+  scan / diff: run the script as-is. With --json and no --output the
+  result goes to a temporary file and is printed on stdout.
+*/
+function runPassThrough(script, args) {
+  const tmp = args.json && !args.output
+    ? path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'a11yguard-')), 'out.json')
+    : null;
+  const argv = [...passThrough(args, ['json', 'help', 'output']), '--output', tmp || args.output || (script === 'scan.js' ? 'scan.json' : 'diff.json')];
+  const code = runScript(script, argv);
+  if (args.json && fs.existsSync(tmp || args.output)) {
+    process.stdout.write(fs.readFileSync(tmp || args.output, 'utf8') + '\n');
+  }
+  if (tmp) fs.rmSync(path.dirname(tmp), { recursive: true, force: true });
+  // scan.js exits 1 when a page failed to scan: a runtime failure here.
+  if (script === 'scan.js' && code === 1) return EXIT.runtime;
+  return code;
+}
+
+function runReport(args) {
+  const diff = readJson(args.diff, 'diff');
+  if (args.json) {
+    emit(JSON.stringify({ regression: diff.regression, summary: diff.summary, policy: diff.policy || null }, null, 2), args.output);
+  } else {
+    emit(renderDiff(diff, args), args.output);
+  }
+  return EXIT.ok;
+}
+
+/*
+  Serves a build directory with `serve` (as the action does) and waits
+  until the port accepts connections. Returns the child process.
+*/
+async function serveDir(dir, port) {
+  if (!fs.existsSync(dir)) throw new CliError(`Build directory not found: ${dir}`, EXIT.usage);
+  const child = spawn(process.execPath, [require.resolve('serve/build/main.js'), dir, '-l', String(port)], {
+    stdio: ['ignore', 'ignore', process.stderr],
+  });
+  try {
+    await waitOn({ resources: [`tcp:127.0.0.1:${port}`], timeout: SERVER_TIMEOUT_MS });
+  } catch (err) {
+    child.kill();
+    throw new CliError(`Server for ${dir} did not start on port ${port}: ${err.message}`, EXIT.runtime);
+  }
+  return child;
+}
+
+/*
+  Scans both sides into files.baseline / files.head, serving local build
+  directories for the duration of the scans.
+*/
+async function scanBoth(args, files) {
+  const servers = [];
+  try {
+    let baseUrl = args.baseUrl;
+    let headUrl = args.headUrl;
+    if (args.baseDir) {
+      const basePort = parseInt(args.basePort || '4000', 10);
+      const headPort = parseInt(args.headPort || '5000', 10);
+      servers.push(await serveDir(args.baseDir, basePort));
+      servers.push(await serveDir(args.headDir, headPort));
+      baseUrl = `http://localhost:${basePort}`;
+      headUrl = `http://localhost:${headPort}`;
+    }
+
+    const sides = [['baseline', baseUrl, files.baseline], ['pr', headUrl, files.head]];
+    for (const [label, url, output] of sides) {
+      const screenshots = args.screenshots ? ['--screenshots', path.join(args.screenshots, label)] : [];
+      const code = runScript('scan.js', ['--baseUrl', url, '--output', output, ...screenshots, ...toArgv(args, SCAN_OPTIONS)]);
+      if (code === EXIT.usage) throw new CliError(`Invalid options for the ${label} scan`, EXIT.usage);
+      if (code !== 0) throw new CliError(`The ${label} scan failed (exit code ${code})`, EXIT.runtime);
+    }
+  } finally {
+    for (const server of servers) server.kill();
+  }
+}
+
+async function runCompare(args) {
+  const local = args.baseDir || args.headDir;
+  if (local ? !(args.baseDir && args.headDir) : !(args.baseUrl && args.headUrl)) {
+    throw new CliError('compare needs --baseDir and --headDir, or --baseUrl and --headUrl', EXIT.usage);
+  }
+
+  const outDir = args.outDir || fs.mkdtempSync(path.join(os.tmpdir(), 'a11yguard-'));
+  fs.mkdirSync(outDir, { recursive: true });
+  const files = {
+    baseline: path.join(outDir, 'baseline.json'),
+    head:     path.join(outDir, 'pr.json'),
+    diff:     path.join(outDir, 'diff.json'),
+  };
+
+  try {
+    await scanBoth(args, files);
+    const code = runScript('diff.js', ['--baseline', files.baseline, '--head', files.head, '--output', files.diff, ...toArgv(args, DIFF_OPTIONS)]);
+    if (code > 1) throw new CliError('The diff failed; check the config and suppression files', EXIT.usage);
+
+    const diff = readJson(files.diff, 'diff');
+    emit(args.json ? JSON.stringify(diff, null, 2) : renderDiff(diff, args), args.output);
+    return diffExitCode(diff);
+  } finally {
+    if (!args.outDir) fs.rmSync(outDir, { recursive: true, force: true });
+  }
+}
+
+function runConformance(args) {
+  const scan = readJson(args.scan, 'scan');
+  let text;
+  try {
+    text = renderConformance(buildConformance(scan, { standard: args.standard || undefined }), args.json ? 'json' : (args.format || 'markdown'));
+  } catch (err) {
+    throw new CliError(err.message, EXIT.usage);
+  }
+  emit(text, args.output);
+  return EXIT.ok;
+}
+
+async function main(argv) {
+  const args = minimist(argv, { boolean: ['json', 'help'] });
+  const command = args._.shift();
+
+  if (!command || args.help) {
+    console.error(USAGE);
+    return command ? EXIT.ok : EXIT.usage;
+  }
+
+  switch (command) {
+    case 'scan':    return runPassThrough('scan.js', args);
+    case 'diff':
+      // diff.js exits 1 on bad usage too; keep 1 for regressions only.
+      if (!args.baseline || !args.head) throw new CliError('diff needs --baseline and --head', EXIT.usage);
+      return runPassThrough('diff.js', args);
+    case 'report':  return runReport(args);
+    case 'conformance': return runConformance(args);
+    case 'compare': return runCompare(args);
+    default:
+      console.error(`Unknown command "${command}".\n\n${USAGE}`);
+      return EXIT.usage;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => process.exit(code),
+    (err) => {
+      console.error(`\nFAILURE: ${err.message}`);
+      process.exit(err.exitCode || EXIT.runtime);
+    },
+  );
+}
+
+module.exports = { main, EXIT };
@@ -1,15 +1,32 @@
 /**
- * comment.js - replace src/comment.js in your WCAG_PR_Checker repo with this file
+ * comment.js
+ * Posts the diff (see diff.js) as a PR comment: why the check passed or
+ * failed, counts by impact, and the new, resolved, changed and suppressed
+ * violations. The comment is shortened to fit GitHub's size limit, with a
+ * link to the full report for whatever was cut.
+ *
+ * Usage:
+ *   node comment.js --diff diff.json [--history a11y-history.ndjson] \
+ *     [--trendLength 10] [--reportUrl URL]
+ *
+ * Env:
+ *   GITHUB_TOKEN, PR_NUMBER, GITHUB_REPOSITORY   required
+ *   FAIL_ON_REGRESSION                          "false" posts the comment but exits 0
+ *   A11Y_REPORT_URL, A11Y_HISTORY               defaults for --reportUrl and --history
+ *
+ * The bot's comment carries a hidden marker and is edited in place on every
+ * run. Comments from versions that predate the marker are deleted.
+ * Exits 1 when the diff is a regression (unless FAIL_ON_REGRESSION is
+ * "false"), naming the policies that failed it.
  */
 
 'use strict';
 
 const fs       = require('fs');
-const https    = require('https');
 const minimist = require('minimist');
-
-const args     = minimist(process.argv.slice(2));
-const diffFile = args.diff || 'diff.json';
+const { githubRequest } = require('./github');
+const { loadHistory, sparkline, IMPACTS } = require('./history');
+const { standardRefs } = require('./wcag');
 
 /* 3 environmental variables REQUIRED to run */
 const GITHUB_TOKEN       = process.env.GITHUB_TOKEN;
@@ -17,25 +34,33 @@ const PR_NUMBER          = process.env.PR_NUMBER;
 const GITHUB_REPOSITORY  = process.env.GITHUB_REPOSITORY;
 const FAIL_ON_REGRESSION = process.env.FAIL_ON_REGRESSION !== 'false';
 
-if (!GITHUB_TOKEN || !PR_NUMBER || !GITHUB_REPOSITORY) {
-  console.error('Missing required env vars: GITHUB_TOKEN, PR_NUMBER, GITHUB_REPOSITORY');
-  process.exit(1);
-}
+const [owner, repo] = (GITHUB_REPOSITORY || '/').split('/');
 
-const [owner, repo] = GITHUB_REPOSITORY.split('/');
+/* Default link to the full HTML/JSON report, shown whenever the comment has to be shortened */
+const DEFAULT_REPORT_URL = process.env.A11Y_REPORT_URL
+  || (process.env.GITHUB_RUN_ID ? `${process.env.GITHUB_SERVER_URL || 'https://github.com'}/${GITHUB_REPOSITORY}/actions/runs/${process.env.GITHUB_RUN_ID}` : null);
 
-const IMPACT_EMOJI = { critical: '🔴', serious: '🟠', moderate: '🟡', minor: '🔵' };
+/* Hidden marker that identifies the bot's comment so it can be edited in place */
+const COMMENT_MARKER = '<!-- a11yguard:pr-comment -->';
 
-/* maps Axe-Core errors to WCAG standards */
-const WCAG_TAGS = {
-  'wcag2a':        { label: 'WCAG 2.0 A',    url: 'https://www.w3.org/TR/WCAG20/' },
-  'wcag2aa':       { label: 'WCAG 2.0 AA',   url: 'https://www.w3.org/TR/WCAG20/' },
-  'wcag21a':       { label: 'WCAG 2.1 A',    url: 'https://www.w3.org/TR/WCAG21/' },
-  'wcag21aa':      { label: 'WCAG 2.1 AA',   url: 'https://www.w3.org/TR/WCAG21/' },
-  'wcag22aa':      { label: 'WCAG 2.2 AA',   url: 'https://www.w3.org/TR/WCAG22/' },
-  'best-practice': { label: 'Best Practice', url: 'https://dequeuniversity.com/rules/axe/' },
-};
+/* GitHub rejects comment bodies longer than this */
+const COMMENT_LIMIT = 65536;
+
+/*
+  Progressively smaller renderings tried until the comment fits COMMENT_LIMIT:
+  rows caps each table, details caps the new-violation breakdown and existing
+  caps the pre-existing breakdown. Anything cut is summarized as "and N more".
+*/
+const BUDGET_LEVELS = [
+  { rows: Infinity, details: Infinity, existing: Infinity },
+  { rows: Infinity, details: Infinity, existing: 0 },
+  { rows: Infinity, details: 10,       existing: 0 },
+  { rows: 50,       details: 0,        existing: 0 },
+  { rows: 10,       details: 0,        existing: 0 },
+  { rows: 0,        details: 0,        existing: 0 },
+];
 
+const IMPACT_EMOJI = { critical: '🔴', serious: '🟠', moderate: '🟡', minor: '🔵' };
 
 /* outlines hints for each error */
 const FIX_HINTS = {
@@ -61,14 +86,16 @@ const FIX_HINTS = {
   Helper Functions
 *****/
 
-/* 
-  Gives the label and URL for the given tag, used to associate axe-core tags with real suggestions.
+/*
+  The WCAG success criteria (or level, or Best Practice) a rule's tags point
+  at, as markdown links for the Standard column and details.
 */
-function wcagInfo(tags) {
-  for (const tag of (tags || [])) {
-    if (WCAG_TAGS[tag]) return WCAG_TAGS[tag];
-  }
-  return { label: '—', url: null };
+function wcagLinks(tags) {
+  return standardRefs(tags).map((r) => (r.url ? `[${r.label}](${r.url})` : r.label)).join(', ') || '—';
+}
+
+function wcagText(tags) {
+  return standardRefs(tags).map((r) => r.label).join(', ') || '—';
 }
 
 
@@ -90,6 +117,88 @@ function delta(a = 0, b = 0) {
 }
 
 
+/*
+  True when any violation carries the variant field ("viewport" or "mode"),
+  i.e. the scans ran at several, so tables need a column for it.
+*/
+function hasField(violations, field) {
+  return violations.some((v) => v[field]);
+}
+
+
+/*
+  Baseline vs PR totals per viewport or mode. Empty when the scans did not use them.
+*/
+function buildVariantTable(label, counts) {
+  if (!counts) return '';
+  const names = [...new Set([...Object.keys(counts.baseline || {}), ...Object.keys(counts.head || {})])];
+  if (names.length === 0) return '';
+  const rows = names.map((name) => {
+    const a = counts.baseline[name] || 0;
+    const b = counts.head[name] || 0;
+    return `| ${name} | ${a} | ${b} | ${delta(a, b)} |`;
+  }).join('\n');
+  return `
+| ${label} | Baseline | This PR | Delta |
+|---|:---:|:---:|:---:|
+${rows}
+`;
+}
+
+
+/*
+  "…and N more" line for a list cut to fit the comment budget, linking to the full report.
+*/
+function moreLine(count, noun, reportUrl) {
+  if (count <= 0) return '';
+  const where = reportUrl ? ` — see the [full report](${reportUrl})` : ' — see the scan artifacts';
+  return `\n_…and ${count} more ${noun}${where}._\n`;
+}
+
+
+/*
+  Trend of the last baselines recorded by history.js, plus where this PR
+  would put the curve: the latest recorded totals moved by this PR's delta.
+  Empty without history.
+*/
+function buildTrendSection(history, diff) {
+  if (!history || history.length === 0) return '';
+  const { summary, impactDelta } = diff;
+  const latest = history[history.length - 1];
+  const projected = {
+    total:    Math.max(0, latest.total + summary.headTotal - summary.baselineTotal),
+    byImpact: Object.fromEntries(IMPACTS.map((i) => [
+      i, Math.max(0, ((latest.byImpact || {})[i] || 0) + (impactDelta.head[i] || 0) - (impactDelta.baseline[i] || 0)),
+    ])),
+  };
+  const change = projected.total - latest.total;
+  const direction = change > 0 ? `adds ${change}` : change < 0 ? `removes ${-change}` : 'does not change the total';
+  // One scale for the recorded points and the projected one after the arrow.
+  const line = sparkline([...history.map((r) => r.total), projected.total]);
+
+  const impactCells = (r) => IMPACTS.map((i) => (r.byImpact || {})[i] || 0).join(' | ');
+  const rows = history.map((r) =>
+    `| ${(r.recordedAt || '').slice(0, 10)} | ${r.sha ? `\`${r.sha.slice(0, 7)}\`` : '—'} | ${r.total} | ${impactCells(r)} |`
+  ).join('\n');
+
+  return `
+### Trend (last ${history.length} baseline${history.length === 1 ? '' : 's'})
+
+\`${line.slice(0, -1)}\` → \`${line.slice(-1)}\` — ${history[0].total} → ${latest.total} on the base branch; merging this PR ${direction}${change !== 0 ? ` (${latest.total} → **${projected.total}**)` : ''}.
+
+<details>
+<summary>Recorded baselines</summary>
+
+| Recorded | Commit | Total | 🔴 | 🟠 | 🟡 | 🔵 |
+|----------|--------|:---:|:---:|:---:|:---:|:---:|
+${rows}
+| **After this PR** | — | **${projected.total}** | ${impactCells(projected)} |
+
+</details>
+`;
+}
+
+
 /*
   Cuts off text that is too long so comment tables are normally-sized
 */
@@ -105,9 +214,7 @@ function truncate(str, max) {
   under the same label. This is the "expand" button on the final comment
 */
 function buildViolationDetail(v) {
-  const wcag     = wcagInfo(v.tags);
   const hint     = FIX_HINTS[v.id] || null;
-  const wcagLink = wcag.url ? `[${wcag.label}](${wcag.url})` : wcag.label;
   const nodes    = v.nodes || [v];
 
   const nodeBlocks = nodes.map((node, i) => {
@@ -132,16 +239,16 @@ ${fixLines || '  - See the documentation link below.'}
   }).join('\n---\n');
 
   return `<details>
-<summary>${IMPACT_EMOJI[v.impact] || '⚪'} <strong>${v.id}</strong> — ${v.description} | ${wcag.label} | <code>${v.urlPath}</code></summary>
+<summary>${IMPACT_EMOJI[v.impact] || '⚪'} <strong>${v.id}</strong> — ${v.description} | ${wcagText(v.tags)} | <code>${v.urlPath}</code>${v.viewport ? ` @ ${v.viewport}` : ''}${v.mode ? ` [${v.mode}]` : ''}</summary>
 
 ### Rule: \`${v.id}\`
 
 | | |
 |---|---|
 | **Impact** | ${impactBadge(v.impact)} |
-| **Standard** | ${wcagLink} |
+| **Standard** | ${wcagLinks(v.tags)} |
 | **Page** | \`${v.urlPath}\` |
-| **Rule docs** | [View on Deque University](${v.helpUrl}) |
+${v.viewport ? `| **Viewport** | ${v.viewport} |\n` : ''}${v.mode ? `| **Mode** | ${v.mode} |\n` : ''}| **Rule docs** | [View on Deque University](${v.helpUrl}) |
 ${hint ? `| **Fix guidance** | ${hint} |` : ''}
 
 ### Failing elements
@@ -155,20 +262,70 @@ ${nodeBlocks}
 /*
   buildComment creates the main table. It takes all the diff output, and puts the violations in order: status header, status line, summary table, new violations,
   resolved violations, preexisting violations, and the footer. Each section only appears if it appears.
+  The body is kept under maxLength by trying each of BUDGET_LEVELS in turn; as a last resort it is cut off.
+  Options: history (baselines for the trend section), reportUrl, failOnRegression (for the report-only note)
+  and marker (false leaves out the hidden marker line, e.g. for Check Runs or local output).
 */
-function buildComment(diff) {
+function buildComment(diff, {
+  maxLength = COMMENT_LIMIT,
+  history = null,
+  reportUrl = DEFAULT_REPORT_URL,
+  failOnRegression = FAIL_ON_REGRESSION,
+  marker = true,
+} = {}) {
+  const options = { history, reportUrl, failOnRegression, marker };
+  for (const budget of BUDGET_LEVELS) {
+    const body = renderBody(diff, budget, options);
+    if (body.length <= maxLength) return body;
+  }
+  const note = `\n\n_…comment truncated to fit GitHub's size limit${reportUrl ? ` — see the [full report](${reportUrl})` : ''}._`;
+  return renderBody(diff, BUDGET_LEVELS[BUDGET_LEVELS.length - 1], options).slice(0, maxLength - note.length) + note;
+}
+
+
+/*
+  Renders the comment for one budget level (see BUDGET_LEVELS) with the
+  options of buildComment().
+*/
+function renderBody(diff, budget, { history, reportUrl, failOnRegression, marker }) {
   const { summary, newViolations, resolvedViolations, unchangedViolations, impactDelta, regression } = diff;
+  const more = (count, noun) => moreLine(count, noun, reportUrl);
+
+  /* Which policy rules fired (see policy.js); older diffs have none */
+  const policy   = diff.policy || { configured: false, triggered: [] };
+  const failures = policy.triggered.filter((t) => t.level === 'fail');
+  const warnings = policy.triggered.filter((t) => t.level === 'warn');
+  const explain  = (list) => list.map((t) => `${t.message} (\`${t.policy}\`)`).join('; ');
 
   const statusHeader = regression
     ? `## Accessibility Check — Regressions Found`
-    : `## Accessibility Check — No Regressions`;
+    : warnings.length > 0
+      ? `## Accessibility Check — Passed with Warnings`
+      : `## Accessibility Check — No Regressions`;
 
   const existingCount = (unchangedViolations || []).length;
+  /* Call out regressions that only show up under one of several scanned modes */
+  const modeDelta = diff.modeDelta || { baseline: {}, head: {}, newByMode: {} };
+  const scannedModes = new Set([...Object.keys(modeDelta.baseline), ...Object.keys(modeDelta.head)]);
+  const newModes = Object.keys(modeDelta.newByMode || {});
+  const modeOnly = scannedModes.size > 1 && newModes.length === 1 && newModes[0] !== 'default'
+    ? ` (only in **${newModes[0]}** mode)`
+    : '';
+  const expiredCount = (diff.expiredSuppressionViolations || []).length;
+  const regressionLine = policy.configured
+    ? `> **This PR fails the accessibility policy:** ${explain(failures)}.${warnings.length > 0 ? ` Also warned: ${explain(warnings)}.` : ''} Review the details below before merging.`
+    : summary.newViolations > 0
+      ? `> **This PR introduced ${summary.newViolations} new accessibility violation(s)${modeOnly}.** Review the details below and resolve them before merging.`
+      : `> **${expiredCount} accepted violation(s) are covered by expired suppressions.** Fix them or renew the entries in the suppression file.`;
   const statusLine = regression
-    ? `> **This PR introduced ${summary.newViolations} new accessibility violation(s).** Review the details below and resolve them before merging.`
-    : existingCount > 0
-      ? `> No new violations were introduced. However, **${existingCount} pre-existing violation(s)** remain on this branch — not blocking this PR but worth addressing over time.`
-      : `> No accessibility violations were introduced by this PR.`;
+    ? regressionLine
+    : warnings.length > 0
+      ? `> No blocking regressions. **Warnings:** ${explain(warnings)}.`
+      : summary.newViolations > 0
+        ? `> ${summary.newViolations} new violation(s), none of them blocking under the accessibility policy.`
+        : existingCount > 0
+          ? `> No new violations were introduced. However, **${existingCount} pre-existing violation(s)** remain on this branch — not blocking this PR but worth addressing over time.`
+          : `> No accessibility violations were introduced by this PR.`;
 
   /* Outlines the summary of violations */
   const summaryTable = `
@@ -180,15 +337,41 @@ function buildComment(diff) {
 | 🟡 Moderate | ${impactDelta.baseline.moderate || 0} | ${impactDelta.head.moderate || 0} | ${delta(impactDelta.baseline.moderate, impactDelta.head.moderate)} |
 | 🔵 Minor    | ${impactDelta.baseline.minor    || 0} | ${impactDelta.head.minor    || 0} | ${delta(impactDelta.baseline.minor,    impactDelta.head.minor)}    |
 | ✅ Resolved  | — | — | -${summary.resolvedViolations} |
+${summary.headIncomplete != null ? `| 🔍 Needs review | ${summary.baselineIncomplete} | ${summary.headIncomplete} | ${delta(summary.baselineIncomplete, summary.headIncomplete)} |\n` : ''}`;
+
+  /* Per-viewport and per-mode totals, only when the scans used them */
+  const viewportSection = buildVariantTable('Viewport', diff.viewportDelta);
+  const modeSection     = buildVariantTable('Mode', diff.modeDelta);
+  const trendSection    = budget.rows > 0 ? buildTrendSection(history, diff) : '';
+
+  /* Routes that only exist on one side (from discovery mode) */
+  const pageChanges = diff.pageChanges || { added: [], removed: [] };
+  let pagesSection = '';
+  if (pageChanges.added.length > 0 || pageChanges.removed.length > 0) {
+    const lines = [];
+    if (pageChanges.added.length > 0) {
+      lines.push(`- **New pages (${pageChanges.added.length}):** ${pageChanges.added.map((p) => `\`${p}\``).join(', ')}`);
+    }
+    if (pageChanges.removed.length > 0) {
+      lines.push(`- **Removed pages (${pageChanges.removed.length}):** ${pageChanges.removed.map((p) => `\`${p}\``).join(', ')}`);
+    }
+    pagesSection = `
+### Page Changes
+
+${lines.join('\n')}
 `;
+  }
 
   let newSection = '';
   if (newViolations.length > 0) {
-    const quickRows = newViolations.map((v) => {
+    const showViewport = hasField(newViolations, 'viewport');
+    const showMode     = hasField(newViolations, 'mode');
+    const quickRows = newViolations.slice(0, budget.rows).map((v) => {
       const selector = (v.target || []).join(' > ');
-      const wcag     = wcagInfo(v.tags);
-      const wcagCell = wcag.url ? `[${wcag.label}](${wcag.url})` : wcag.label;
-      return `| ${IMPACT_EMOJI[v.impact] || '⚪'} ${v.impact} | \`${v.id}\` | ${wcagCell} | \`${v.urlPath}\` | \`${truncate(selector, 60)}\` | [Docs](${v.helpUrl}) |`;
+      const wcagCell = wcagLinks(v.tags);
+      const viewport = showViewport ? ` ${v.viewport || '—'} |` : '';
+      const mode     = showMode ? ` ${v.mode || '—'} |` : '';
+      return `| ${IMPACT_EMOJI[v.impact] || '⚪'} ${v.impact} | \`${v.id}\` | ${wcagCell} | \`${v.urlPath}\` |${viewport}${mode} \`${truncate(selector, 60)}\` | [Docs](${v.helpUrl}) |`;
     }).join('\n');
 
     newSection = `
@@ -196,24 +379,28 @@ function buildComment(diff) {
 
 These violations were **not present on the base branch** and were introduced by this PR.
 
-| Impact | Rule | Standard | Page | Selector | Docs |
-|--------|------|----------|------|----------|------|
+| Impact | Rule | Standard | Page |${showViewport ? ' Viewport |' : ''}${showMode ? ' Mode |' : ''} Selector | Docs |
+|--------|------|----------|------|${showViewport ? '----------|' : ''}${showMode ? '------|' : ''}----------|------|
 ${quickRows}
-
+${more(newViolations.length - budget.rows, 'new violation(s)')}
+${budget.details > 0 ? `
 ---
 
 ### Detailed Breakdown
 
-${newViolations.map(buildViolationDetail).join('\n\n')}
-`;
+${newViolations.slice(0, budget.details).map(buildViolationDetail).join('\n\n')}
+${more(newViolations.length - budget.details, 'detailed breakdown(s)')}` : ''}`;
   }
 
   let resolvedSection = '';
   if (resolvedViolations.length > 0) {
-    const rows = resolvedViolations.map((v) => {
-      const wcag     = wcagInfo(v.tags);
-      const wcagCell = wcag.url ? `[${wcag.label}](${wcag.url})` : wcag.label;
-      return `| ${IMPACT_EMOJI[v.impact] || '⚪'} ${v.impact} | \`${v.id}\` | ${wcagCell} | \`${v.urlPath}\` | [Docs](${v.helpUrl}) |`;
+    const showViewport = hasField(resolvedViolations, 'viewport');
+    const showMode     = hasField(resolvedViolations, 'mode');
+    const rows = resolvedViolations.slice(0, budget.rows).map((v) => {
+      const wcagCell = wcagLinks(v.tags);
+      const viewport = showViewport ? ` ${v.viewport || '—'} |` : '';
+      const mode     = showMode ? ` ${v.mode || '—'} |` : '';
+      return `| ${IMPACT_EMOJI[v.impact] || '⚪'} ${v.impact} | \`${v.id}\` | ${wcagCell} | \`${v.urlPath}\` |${viewport}${mode} [Docs](${v.helpUrl}) |`;
     }).join('\n');
 
     resolvedSection = `
@@ -221,12 +408,117 @@ ${newViolations.map(buildViolationDetail).join('\n\n')}
 
 This PR fixed the following accessibility issues:
 
-| Impact | Rule | Standard | Page | Docs |
-|--------|------|----------|------|------|
+| Impact | Rule | Standard | Page |${showViewport ? ' Viewport |' : ''}${showMode ? ' Mode |' : ''} Docs |
+|--------|------|----------|------|${showViewport ? '----------|' : ''}${showMode ? '------|' : ''}------|
 ${rows}
+${more(resolvedViolations.length - budget.rows, 'resolved violation(s)')}`;
+  }
+
+  /* axe "incomplete" results: axe could not decide, a person has to check */
+  let reviewSection = '';
+  const newIncomplete      = diff.newIncomplete || [];
+  const resolvedIncomplete = diff.resolvedIncomplete || [];
+  if (newIncomplete.length > 0 || resolvedIncomplete.length > 0) {
+    const showViewport = hasField(newIncomplete, 'viewport');
+    const showMode     = hasField(newIncomplete, 'mode');
+    const rows = newIncomplete.slice(0, budget.rows).map((v) => {
+      const selector = (v.target || []).join(' > ');
+      const reason   = (v.failureSummary || '').replace(/^Fix (any|all) of the following:\s*/i, '').split('\n')[0].trim();
+      const viewport = showViewport ? ` ${v.viewport || '—'} |` : '';
+      const mode     = showMode ? ` ${v.mode || '—'} |` : '';
+      return `| ${IMPACT_EMOJI[v.impact] || '⚪'} ${v.impact || '—'} | \`${v.id}\` | \`${v.urlPath}\` |${viewport}${mode} \`${truncate(selector, 60)}\` | ${truncate(reason, 100) || '—'} | [Docs](${v.helpUrl}) |`;
+    }).join('\n');
+    const level = (policy.triggered.find((t) => t.policy === 'incomplete') || {}).level;
+    const note = level === 'fail'
+      ? 'New items **fail this check** until they are fixed or the policy changes.'
+      : 'They do not block the merge, but check each new one by hand.';
+
+    reviewSection = `
+### Needs Manual Review (${newIncomplete.length} new, ${resolvedIncomplete.length} resolved)
+
+axe could not decide whether these elements pass, for example text contrast over a background image or gradient. ${note}
+${newIncomplete.length > 0 ? `
+| Impact | Rule | Page |${showViewport ? ' Viewport |' : ''}${showMode ? ' Mode |' : ''} Selector | Why axe could not decide | Docs |
+|--------|------|------|${showViewport ? '----------|' : ''}${showMode ? '------|' : ''}----------|--------------------------|------|
+${rows}
+${more(newIncomplete.length - budget.rows, 'item(s) needing review')}` : ''}`;
+  }
+
+  /* Same issue on a node that moved or changed slightly: reported, never blocking */
+  let changedSection = '';
+  const changed = diff.changedViolations || [];
+  if (changed.length > 0) {
+    const rows = changed.slice(0, budget.rows).map((v) => {
+      const before = truncate((v.previous.target || []).join(' > '), 40);
+      const after  = truncate((v.target || []).join(' > '), 40);
+      const how    = v.match.strategy === 'similarity' ? `similarity ${Math.round(v.match.score * 100)}%` : v.match.strategy;
+      return `| ${IMPACT_EMOJI[v.impact] || '⚪'} ${v.impact} | \`${v.id}\` | \`${v.urlPath}\` | \`${before}\` | \`${after}\` | ${how} |`;
+    }).join('\n');
+
+    changedSection = `
+<details>
+<summary><strong>Moved / Changed Violations (${changed.length})</strong> — matched to an existing violation, not counted as new</summary>
+
+| Impact | Rule | Page | Before | After | Matched by |
+|--------|------|------|--------|-------|------------|
+${rows}
+${more(changed.length - budget.rows, 'moved/changed violation(s)')}
+
+</details>
 `;
   }
 
+  /* Accepted violations from the suppression file */
+  let suppressionSection = '';
+  const suppressed = diff.suppressedViolations || [];
+  const expired    = diff.expiredSuppressionViolations || [];
+  const stale      = diff.staleSuppressions || [];
+  if (suppressed.length > 0 || expired.length > 0 || stale.length > 0) {
+    const parts = [];
+    if (expired.length > 0) {
+      const rows = expired.slice(0, budget.rows).map((v) =>
+        `| ${IMPACT_EMOJI[v.impact] || '⚪'} ${v.impact} | \`${v.id}\` | \`${v.urlPath}\` | ${v.suppression.expires} | ${v.suppression.owner} | ${truncate(v.suppression.justification, 80)} |`
+      ).join('\n');
+      parts.push(`
+### Expired Suppressions (${expired.length})
+
+These violations were accepted until a date that has now passed, so they **fail this check** again.
+
+| Impact | Rule | Page | Expired | Owner | Justification |
+|--------|------|------|---------|-------|---------------|
+${rows}
+${more(expired.length - budget.rows, 'expired suppression(s)')}`);
+    }
+    if (suppressed.length > 0) {
+      const rows = suppressed.slice(0, budget.rows).map((v) =>
+        `| ${IMPACT_EMOJI[v.impact] || '⚪'} ${v.impact} | \`${v.id}\` | \`${v.urlPath}\` | ${v.suppression.owner} | ${v.suppression.expires || '—'} | ${truncate(v.suppression.justification, 80)} |`
+      ).join('\n');
+      parts.push(`
+<details>
+<summary><strong>Suppressed Violations (${suppressed.length})</strong> — accepted in the suppression file, not counted</summary>
+
+| Impact | Rule | Page | Owner | Expires | Justification |
+|--------|------|------|-------|---------|---------------|
+${rows}
+${more(suppressed.length - budget.rows, 'suppressed violation(s)')}
+
+</details>
+`);
+    }
+    if (stale.length > 0) {
+      const lines = stale.slice(0, budget.rows).map((e) => {
+        const criteria = ['rule', 'page', 'selector', 'fingerprint'].filter((k) => e[k]).map((k) => `${k} \`${e[k]}\``).join(', ');
+        return `- #${e.index + 1} (${e.owner}): ${criteria}`;
+      }).join('\n');
+      parts.push(`
+> **${stale.length} stale suppression(s)** no longer match anything on this branch and can be removed:
+
+${lines}
+${more(stale.length - budget.rows, 'stale suppression(s)')}`);
+    }
+    suppressionSection = parts.join('\n');
+  }
+
   let existingSection = '';
   const existing = unchangedViolations || [];
   if (existing.length > 0 && !regression) {
@@ -237,99 +529,123 @@ ${rows}
 
 These violations existed before this PR and are **not caused by this change**. Shown for visibility only — not blocking the merge.
 
-${existing.map(buildViolationDetail).join('\n\n')}
-`;
+${existing.slice(0, budget.existing).map(buildViolationDetail).join('\n\n')}
+${more(existing.length - budget.existing, 'pre-existing violation(s)')}`;
   }
 
-  const modeNote = (!FAIL_ON_REGRESSION && regression)
+  const modeNote = (!failOnRegression && regression)
     ? `\n> **Report-only mode** — regressions were found but the check was not failed.\n`
     : '';
 
+  const reportLink = reportUrl ? ` · <a href="${reportUrl}">full report</a>` : '';
   const footer = `
 ---
-<sub>Generated by <a href="https://github.com/zachkklein/WCAG_PR_Checker">a11y-diff</a> · ${diff.generatedAt} · <a href="https://dequeuniversity.com/rules/axe/">axe rules reference</a></sub>
+<sub>Generated by <a href="https://github.com/zachkklein/WCAG_PR_Checker">a11y-diff</a> · ${diff.generatedAt} · <a href="https://dequeuniversity.com/rules/axe/">axe rules reference</a>${reportLink}</sub>
 `;
 
-  return [statusHeader, statusLine, modeNote, summaryTable, newSection, resolvedSection, existingSection, footer]
+  return [marker && COMMENT_MARKER, statusHeader, statusLine, modeNote, summaryTable, viewportSection, modeSection, trendSection, pagesSection, newSection, resolvedSection, reviewSection, changedSection, suppressionSection, existingSection, footer]
     .filter(Boolean)
     .join('\n');
 }
 
 
 /*
-  githubRequest takes: an HTTP method, a GitHub API path, and a request body.
-  It sets up our environment to ensure that we can run our action.
-  Returns parsed result on success, and an error message on failure.
+  A comment posted before the marker existed: a bot comment with the old
+  header and "a11y-diff" footer.
 */
-function githubRequest(method, urlPath, body) {
-  return new Promise((resolve, reject) => {
-    const data = body ? JSON.stringify(body) : null;
-    const options = {
-      hostname: 'api.github.com',
-      path:     urlPath,
-      method,
-      headers: {
-        Authorization:  `token ${GITHUB_TOKEN}`,
-        'Content-Type': 'application/json',
-        'User-Agent':   'a11y-diff-action',
-        Accept:         'application/vnd.github.v3+json',
-        ...(data ? { 'Content-Length': Buffer.byteLength(data) } : {}),
-      },
-    };
-    const req = https.request(options, (res) => {
-      let buf = '';
-      res.on('data', (chunk) => (buf += chunk));
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) resolve(JSON.parse(buf || '{}'));
-        else reject(new Error(`GitHub API ${res.statusCode}: ${buf}`));
-      });
-    });
-    req.on('error', reject);
-    if (data) req.write(data);
-    req.end();
-  });
+function isLegacyComment(comment) {
+  return Boolean(comment.user && comment.user.type === 'Bot'
+    && comment.body.startsWith('## Accessibility Check — ') && comment.body.includes('>a11y-diff</a>'));
 }
 
-
 /*
-  Deletes previous comments such that the most recent is the only one that shows up in 
+  Finds the bot's earlier comments, walking every page of the PR's comments:
+  { marked, legacy }, by the hidden marker and from before it. Human
+  comments that merely quote the text are left alone.
 */
-async function deleteExistingComments() {
-  const comments = await githubRequest('GET', `/repos/${owner}/${repo}/issues/${PR_NUMBER}/comments`);
-  for (const comment of comments) {
-    if (comment.body && comment.body.includes('Accessibility Check')) {
-      await githubRequest('DELETE', `/repos/${owner}/${repo}/issues/comments/${comment.id}`);
-      console.log(`  Deleted previous a11y comment ${comment.id}`);
+async function findExistingComments() {
+  const found = { marked: [], legacy: [] };
+  const perPage = 100;
+  for (let page = 1; ; page++) {
+    const comments = await githubRequest('GET', `/repos/${owner}/${repo}/issues/${PR_NUMBER}/comments?per_page=${perPage}&page=${page}`);
+    for (const c of comments.filter((c) => c.body)) {
+      if (c.body.startsWith(COMMENT_MARKER)) found.marked.push(c);
+      else if (isLegacyComment(c)) found.legacy.push(c);
     }
+    if (comments.length < perPage) return found;
+  }
+}
+
+
+/*
+  Edits the bot's comment in place, or posts it the first time. Duplicates
+  and unmarked comments left over from earlier runs are removed so only one
+  comment remains.
+*/
+async function upsertComment(body) {
+  const { marked: [existing, ...duplicates], legacy } = await findExistingComments();
+  for (const comment of duplicates) {
+    await githubRequest('DELETE', `/repos/${owner}/${repo}/issues/comments/${comment.id}`);
+    console.log(`  Deleted duplicate a11y comment ${comment.id}`);
+  }
+  for (const comment of legacy) {
+    await githubRequest('DELETE', `/repos/${owner}/${repo}/issues/comments/${comment.id}`);
+    console.log(`  Deleted a11y comment ${comment.id} from before the marker`);
+  }
+  if (existing) {
+    return githubRequest('PATCH', `/repos/${owner}/${repo}/issues/comments/${existing.id}`, { body });
   }
+  return githubRequest('POST', `/repos/${owner}/${repo}/issues/${PR_NUMBER}/comments`, { body });
 }
 
 /*
-  Runs all the processes to create the comment table. It fails with exit code 1 when the violations have increased
-  (a regression), and a 0 otherwise. 
+  Runs all the processes to create the comment table. It fails with exit code 1 when the diff is a regression
+  (a fail-level policy fired), and a 0 otherwise.
 */
 async function main() {
+  const args        = minimist(process.argv.slice(2));
+  const diffFile    = args.diff || 'diff.json';
+  const historyFile = args.history || process.env.A11Y_HISTORY || null;
+  const trendLength = parseInt(args.trendLength || '10', 10);
+
+  if (!GITHUB_TOKEN || !PR_NUMBER || !GITHUB_REPOSITORY) {
+    console.error('Missing required env vars: GITHUB_TOKEN, PR_NUMBER, GITHUB_REPOSITORY');
+    process.exit(1);
+  }
+
   console.log('\na11y-diff posting comment');
   console.log(`   diff file         : ${diffFile}`);
   console.log(`   repository        : ${GITHUB_REPOSITORY}`);
   console.log(`   PR number         : ${PR_NUMBER}`);
-  console.log(`   fail on regression: ${FAIL_ON_REGRESSION}\n`);
+  console.log(`   fail on regression: ${FAIL_ON_REGRESSION}`);
+  console.log(`   history file      : ${historyFile || '(none)'}\n`);
 
   const diff = JSON.parse(fs.readFileSync(diffFile, 'utf8'));
-  const body = buildComment(diff);
+  const history = loadHistory(historyFile).slice(-trendLength);
+  const body = buildComment(diff, { history, reportUrl: args.reportUrl || DEFAULT_REPORT_URL });
+  console.log(`   comment length    : ${body.length} / ${COMMENT_LIMIT}`);
 
-  await deleteExistingComments();
-  const posted = await githubRequest('POST', `/repos/${owner}/${repo}/issues/${PR_NUMBER}/comments`, { body });
+  const posted = await upsertComment(body);
   console.log(`Comment posted: ${posted.html_url}`);
 
   if (diff.regression && FAIL_ON_REGRESSION) {
-    console.error(`\nFailing check — ${diff.summary.newViolations} accessibility regression(s).`);
+    /* Same reasons as the comment's status line; older diffs have no policy */
+    const failures = ((diff.policy && diff.policy.triggered) || []).filter((t) => t.level === 'fail');
+    const reason = failures.length > 0
+      ? failures.map((t) => t.message.replace(/`/g, '')).join('; ')
+      : `${diff.summary.newViolations} accessibility regression(s)`;
+    console.error(`\nFailing check — ${reason}.`);
     process.exit(1);
   }
   process.exit(0);
 }
 
-main().catch((err) => {
-  console.error('\nFatal comment error:', err.message);
-  process.exit(1);
-});
+// checks.js reuses buildComment() for the Check Run summary.
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('\nFatal comment error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { buildComment, buildTrendSection, COMMENT_LIMIT, COMMENT_MARKER };
@@ -0,0 +1,280 @@
+/**
+ * config.js
+ * Loads and validates the project configuration file (.a11yguard.yml,
+ * .a11yguard.yaml or .a11yguard.json). The file sets defaults for every
+ * script plus per-route overrides; CLI flags always win over it.
+ *
+ * Example (.a11yguard.yml):
+ *
+ *   urls: ['/', '/pricing', '/dashboard']
+ *   impactLevel: moderate
+ *   ignoreRules: [region]
+ *   tags: [wcag2a, wcag2aa, wcag21aa]
+ *   # standard: wcag22aa             # a WCAG target instead of tags (see wcag.js)
+ *   waitFor: networkidle
+ *   extraWaitMs: 500
+ *   viewports: [desktop, iPhone 13]
+ *   suppressions: ./a11y/suppressions.json
+ *   discover:
+ *     mode: [sitemap]
+ *     exclude: ['/admin/**']
+ *   routes:
+ *     '/dashboard/**':
+ *       waitFor: 'selector:#app-ready'
+ *       impactLevel: serious
+ *     '/blog/**':
+ *       ignoreRules: [color-contrast]
+ *
+ * Unknown (e.g. misspelled) keys are errors, with a suggestion when a
+ * known key is close. Relative paths are resolved against the file's folder.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { A11yGuardError } = require('./errors');
+const { parseStandard } = require('./wcag');
+
+const CONFIG_FILES = ['.a11yguard.yml', '.a11yguard.yaml', '.a11yguard.json'];
+const IMPACTS = ['minor', 'moderate', 'serious', 'critical'];
+
+/*
+  A wait strategy: a Playwright load state, or "selector:<css>" to wait for
+  an element to appear.
+*/
+const waitFor = {
+  type: 'string',
+  check: (v) => ['load', 'domcontentloaded', 'networkidle'].includes(v) || /^selector:.+/.test(v),
+  hint: 'one of load, domcontentloaded, networkidle or "selector:<css>"',
+};
+
+// Options that can be set per route as well as globally.
+const ROUTE_OPTIONS = {
+  impactLevel: { type: 'string', enum: IMPACTS },
+  ignoreRules: { type: 'string[]' },
+  tags:        { type: 'string[]' },
+  waitFor,
+  extraWaitMs: { type: 'number', min: 0 },
+};
+
+const SCHEMA = {
+  type: 'object',
+  keys: {
+    ...ROUTE_OPTIONS,
+    urls:           { type: 'string[]' },
+    standard:       { type: 'string', check: (v) => parseStandard(v) !== null, hint: 'a WCAG target such as wcag21aa or "WCAG 2.2 AA"' },
+    concurrency:    { type: 'number', min: 1 },
+    pageTimeoutMs:  { type: 'number', min: 1 },
+    viewports:      { type: 'string[]' },
+    modes:          { type: 'string[]' },
+    interactions:   { type: 'string', path: true },
+    storageState:   { type: 'string', path: true },
+    loginScript:    { type: 'string', path: true },
+    suppressions:   { type: 'string', path: true },
+    matchThreshold: { type: 'number', min: 0, max: 1 },
+    discover: {
+      type: 'object',
+      keys: {
+        mode:     { type: 'string[]', enum: ['sitemap', 'crawl'] },
+        depth:    { type: 'number', min: 0 },
+        maxPages: { type: 'number', min: 1 },
+        include:  { type: 'string[]' },
+        exclude:  { type: 'string[]' },
+      },
+    },
+    routes: { type: 'map', values: { type: 'object', keys: ROUTE_OPTIONS } },
+    // Gating rules, see policy.js
+    policy: {
+      type: 'object',
+      keys: {
+        failOn:  { type: 'string[]', enum: IMPACTS },
+        warnOn:  { type: 'string[]', enum: IMPACTS },
+        budgets: {
+          type: 'object',
+          keys: {
+            rules: { type: 'map', values: { type: 'number', min: 0 } },
+            pages: { type: 'map', values: { type: 'number', min: 0 } },
+          },
+        },
+        totalIncrease: { type: 'string', enum: ['fail', 'warn', 'off'] },
+        incomplete:    { type: 'string', enum: ['fail', 'warn', 'off'] },
+        ratchet:       { type: 'string', path: true },
+      },
+    },
+  },
+};
+
+class ConfigError extends A11yGuardError {
+  constructor(file, problems) {
+    super('CONFIG_INVALID', `Invalid config ${file}:\n  ${problems.join('\n  ')}`, { file, problems });
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function editDistance(a, b) {
+  const dp = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      dp[i][j] = Math.min(dp[i - 1][j] + 1, dp[i][j - 1] + 1,
+        dp[i - 1][j - 1] + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1));
+    }
+  }
+  return dp[a.length][b.length];
+}
+
+function suggest(key, known) {
+  const best = known
+    .map((k) => ({ k, d: editDistance(key, k) }))
+    .sort((x, y) => x.d - y.d)[0];
+  return best && best.d <= Math.max(2, Math.floor(key.length / 3)) ? ` (did you mean "${best.k}"?)` : '';
+}
+
+/*
+  Validates a value against a schema node, pushing readable messages to
+  `problems`. Returns the value with relative paths resolved.
+*/
+function validate(value, schema, where, problems, dir) {
+  const typeName = schema.type === 'string[]' ? 'a list of strings' : `a ${schema.type}`;
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') { problems.push(`${where} must be ${typeName}`); return value; }
+      break;
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) { problems.push(`${where} must be ${typeName}`); return value; }
+      if (schema.min !== undefined && value < schema.min) problems.push(`${where} must be at least ${schema.min}`);
+      if (schema.max !== undefined && value > schema.max) problems.push(`${where} must be at most ${schema.max}`);
+      break;
+    case 'string[]':
+      // A single string is accepted as a one-item list, e.g. `tags: wcag2aa`.
+      if (typeof value === 'string') value = [value];
+      if (!Array.isArray(value) || value.some((v) => typeof v !== 'string')) {
+        problems.push(`${where} must be ${typeName}`);
+        return value;
+      }
+      break;
+    case 'object':
+    case 'map':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        problems.push(`${where} must be a mapping`);
+        return value;
+      }
+      break;
+  }
+
+  if (schema.enum) {
+    for (const v of [].concat(value)) {
+      if (!schema.enum.includes(v)) problems.push(`${where} has invalid value "${v}" (expected one of: ${schema.enum.join(', ')})`);
+    }
+  }
+  if (schema.check && !schema.check(value)) {
+    problems.push(`${where} has invalid value "${value}" (expected ${schema.hint})`);
+  }
+  if (schema.path) return path.resolve(dir, value);
+
+  if (schema.type === 'object') {
+    const out = {};
+    const known = Object.keys(schema.keys);
+    for (const [key, v] of Object.entries(value)) {
+      const child = where ? `${where}.${key}` : key;
+      if (!schema.keys[key]) {
+        problems.push(`${child}: unknown key${suggest(key, known)}`);
+        continue;
+      }
+      out[key] = validate(v, schema.keys[key], child, problems, dir);
+    }
+    return out;
+  }
+  if (schema.type === 'map') {
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      out[key] = validate(v, schema.values, `${where}["${key}"]`, problems, dir);
+    }
+    return out;
+  }
+  return value;
+}
+
+/*
+  Finds the config file: an explicit path, or the first default name in `cwd`.
+*/
+function findConfigFile(explicit, cwd = process.cwd()) {
+  if (explicit) return explicit;
+  for (const name of CONFIG_FILES) {
+    const candidate = path.join(cwd, name);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+/*
+  Reads, parses and validates the config. Returns {} when there is no file.
+  Throws ConfigError listing every problem found.
+*/
+function loadConfig(explicit, cwd) {
+  const file = findConfigFile(explicit, cwd);
+  if (!file) return {};
+  if (!fs.existsSync(file)) throw new ConfigError(file, ['file not found']);
+
+  const text = fs.readFileSync(file, 'utf8');
+  let raw;
+  try {
+    raw = /\.json$/i.test(file) ? JSON.parse(text) : YAML.parse(text);
+  } catch (err) {
+    throw new ConfigError(file, [`could not be parsed: ${err.message}`]);
+  }
+  if (raw === null || raw === undefined) return {};
+
+  const problems = [];
+  const config = validate(raw, SCHEMA, '', problems, path.dirname(path.resolve(file)));
+  if (problems.length > 0) throw new ConfigError(file, problems);
+  config.file = file;
+  return config;
+}
+
+/*
+  CLI helper: loads the config or prints the problems and exits with code 2.
+*/
+function loadConfigOrExit(explicit) {
+  try {
+    const config = loadConfig(explicit || undefined);
+    if (config.file) console.log(`INFO: Using config ${config.file}`);
+    return config;
+  } catch (err) {
+    console.error(`FAILURE: ${err.message}`);
+    process.exit(2);
+  }
+}
+
+/*
+  First value that was actually set. CLI flags go first so they win over the
+  config file; an empty string (an unset action input) counts as not set.
+*/
+function pick(...values) {
+  return values.find((v) => v !== undefined && v !== null && v !== '');
+}
+
+/*
+  Comma-separated CLI value, or a config list, or the fallback.
+*/
+function pickList(cliValue, configValue, fallback = []) {
+  if (cliValue !== undefined && cliValue !== '') {
+    return String(cliValue).split(',').map((v) => v.trim()).filter(Boolean);
+  }
+  return configValue || fallback;
+}
+
+module.exports = {
+  loadConfig,
+  loadConfigOrExit,
+  findConfigFile,
+  pick,
+  pickList,
+  ConfigError,
+  SCHEMA,
+  CONFIG_FILES,
+};
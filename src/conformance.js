@@ -0,0 +1,221 @@
+/**
+ * conformance.js
+ * Drafts a per-criterion conformance summary from a scan: for every WCAG
+ * success criterion in the target standard (see wcag.js), whether the
+ * scanned pages support it, as the input for an accessibility conformance
+ * report (VPAT / ACR).
+ *
+ * Usage:
+ *   node conformance.js --scan pr.json [--standard wcag22aa] \
+ *     [--format markdown|json] [--output conformance.md]
+ *
+ * --standard defaults to the one the scan ran with (scan.js --standard),
+ * else WCAG 2.2 AA. Per criterion, from the axe rules tagged with it:
+ *
+ *   supports            rules ran and passed on every page
+ *   partially-supports  rules failed on some of the pages they ran on
+ *   does-not-support    rules failed on every page they ran on
+ *   not-tested          no rule for it ran (most criteria need manual testing)
+ *
+ * Items axe could not decide (incomplete) are counted in the remarks, not
+ * as failures. Automated checks only cover part of any criterion, so the
+ * summary is a draft for a human evaluator, not a conformance claim.
+ */
+
+'use strict';
+
+const fs       = require('fs');
+const minimist = require('minimist');
+const { parseStandard, axeTagsFor, criteriaInStandard, criteriaFor } = require('./wcag');
+const { A11yGuardError } = require('./errors');
+
+const DEFAULT_STANDARD = 'wcag22aa';
+
+const STATUS_LABELS = {
+  'supports':           'Supports',
+  'partially-supports': 'Partially Supports',
+  'does-not-support':   'Does Not Support',
+  'not-tested':         'Not Tested',
+};
+
+// Pages listed in a remark before "and N more".
+const MAX_PAGES_LISTED = 5;
+
+function listPages(pages) {
+  const shown = pages.slice(0, MAX_PAGES_LISTED).map((p) => `\`${p}\``).join(', ');
+  return pages.length > MAX_PAGES_LISTED ? `${shown} and ${pages.length - MAX_PAGES_LISTED} more` : shown;
+}
+
+const ruleList = (ids) => ids.map((id) => `\`${id}\``).join(', ');
+
+/*
+  Per criterion: the pages each result kind was seen on, and by which rules.
+  Viewports, modes and states of a page are folded into its urlPath.
+*/
+function collectResults(pages) {
+  const byCriterion = new Map();
+  const entry = (id) => {
+    if (!byCriterion.has(id)) {
+      byCriterion.set(id, { tested: new Set(), failing: new Set(), failed: new Set(), passed: new Set(), review: new Set(), reviewCount: 0 });
+    }
+    return byCriterion.get(id);
+  };
+
+  for (const page of pages) {
+    for (const rule of page.violations || []) {
+      for (const c of criteriaFor(rule.tags)) {
+        const e = entry(c.id);
+        e.tested.add(page.urlPath);
+        e.failing.add(page.urlPath);
+        e.failed.add(rule.id);
+      }
+    }
+    for (const rule of page.passes || []) {
+      for (const c of criteriaFor(rule.tags)) {
+        const e = entry(c.id);
+        e.tested.add(page.urlPath);
+        e.passed.add(rule.id);
+      }
+    }
+    for (const rule of page.incomplete || []) {
+      for (const c of criteriaFor(rule.tags)) {
+        const e = entry(c.id);
+        e.review.add(rule.id);
+        e.reviewCount += (rule.nodes || []).length || 1;
+      }
+    }
+  }
+  return byCriterion;
+}
+
+function assess(results) {
+  if (!results || results.tested.size === 0) {
+    const review = results && results.review.size > 0
+      ? `No rule passed or failed; ${results.reviewCount} item(s) from ${ruleList([...results.review])} need manual review.`
+      : 'No automated check; evaluate manually.';
+    return { status: 'not-tested', remarks: review };
+  }
+
+  const tested = [...results.tested];
+  const failing = [...results.failing];
+  const reviewNote = results.review.size > 0
+    ? ` ${results.reviewCount} item(s) from ${ruleList([...results.review])} need manual review.`
+    : '';
+
+  if (failing.length === 0) {
+    return { status: 'supports', remarks: `${ruleList([...results.passed])} passed on ${tested.length} page(s).${reviewNote}` };
+  }
+  if (failing.length === tested.length) {
+    return { status: 'does-not-support', remarks: `${ruleList([...results.failed])} failed on every page tested (${listPages(failing)}).${reviewNote}` };
+  }
+  return {
+    status: 'partially-supports',
+    remarks: `${ruleList([...results.failed])} failed on ${failing.length} of ${tested.length} page(s): ${listPages(failing)}.${reviewNote}`,
+  };
+}
+
+/*
+  The conformance summary for a scan (scan.js output):
+  { generatedAt, standard, baseUrl, scannedAt, pages, counts, criteria, notes },
+  criteria in catalog order, each with its status and remarks. Throws
+  OPTIONS_INVALID for an unknown standard.
+*/
+function buildConformance(scan, { standard = scan.standard || DEFAULT_STANDARD } = {}) {
+  const target = parseStandard(standard);
+  if (!target) {
+    throw new A11yGuardError('OPTIONS_INVALID', `Unknown standard "${standard}" (expected e.g. wcag21aa or "WCAG 2.2 AA")`);
+  }
+  const pages = (scan.pages || []).filter((p) => !p.missing);
+  const results = collectResults(pages);
+
+  const criteria = criteriaInStandard(target).map((c) => ({
+    id:      c.id,
+    name:    c.name,
+    level:   c.level,
+    version: c.version,
+    url:     c.url,
+    ...assess(results.get(c.id)),
+  }));
+
+  const counts = Object.fromEntries(Object.keys(STATUS_LABELS).map((s) => [s, criteria.filter((c) => c.status === s).length]));
+  const notes = [];
+  if (pages.length > 0 && pages.every((p) => p.passes === undefined)) {
+    notes.push('The scan has no passed-rule data (it predates this report); criteria without failures show as Not Tested.');
+  }
+  const scanned = scan.standard ? parseStandard(scan.standard) : null;
+  if (scanned && axeTagsFor(target).some((tag) => !axeTagsFor(scanned).includes(tag))) {
+    notes.push(`The scan only ran the rules for ${scanned.label}; criteria beyond it show as Not Tested.`);
+  }
+  if ((scan.errors || []).length > 0) {
+    notes.push(`${scan.errors.length} page(s) failed to scan and are not included.`);
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    standard:    { id: target.id, label: target.label },
+    baseUrl:     scan.baseUrl || null,
+    scannedAt:   scan.generatedAt || null,
+    pages:       [...new Set(pages.map((p) => p.urlPath))],
+    counts,
+    criteria,
+    notes,
+  };
+}
+
+function renderMarkdown(summary) {
+  const site = summary.baseUrl ? ` of ${summary.baseUrl}` : '';
+  const when = summary.scannedAt ? `, scanned ${summary.scannedAt.slice(0, 10)}` : '';
+  const notes = summary.notes.map((n) => `> ${n}\n`).join('');
+  const rows = summary.criteria.map((c) =>
+    `| [${c.id} ${c.name}](${c.url}) | ${c.level} | ${STATUS_LABELS[c.status]} | ${c.remarks} |`);
+
+  return `# ${summary.standard.label} conformance summary (draft)
+
+Automated axe-core results for ${summary.pages.length} page(s)${site}${when}. Automated checks cover only part of each success criterion: review every row, and test the Not Tested ones by hand, before using this in an accessibility conformance report.
+${notes ? `\n${notes}` : ''}
+| ${Object.values(STATUS_LABELS).join(' | ')} |
+|${Object.keys(STATUS_LABELS).map(() => '---').join('|')}|
+| ${Object.keys(STATUS_LABELS).map((s) => summary.counts[s]).join(' | ')} |
+
+| Criterion | Level | Conformance | Remarks |
+|-----------|-------|-------------|---------|
+${rows.join('\n')}
+`;
+}
+
+function renderConformance(summary, format = 'markdown') {
+  if (format === 'json') return `${JSON.stringify(summary, null, 2)}\n`;
+  if (format === 'markdown') return renderMarkdown(summary);
+  throw new A11yGuardError('OPTIONS_INVALID', `Unknown --format "${format}" (expected markdown or json)`);
+}
+
+function main() {
+  const args = minimist(process.argv.slice(2));
+  const scanFile   = args.scan || '/tmp/a11y_pr.json';
+  const outputFile = args.output || null;
+
+  let text;
+  let summary;
+  try {
+    const scan = JSON.parse(fs.readFileSync(scanFile, 'utf8'));
+    summary = buildConformance(scan, { standard: args.standard || undefined });
+    text = renderConformance(summary, args.format || 'markdown');
+  } catch (err) {
+    console.error(`FAILURE: ${err.message}`);
+    process.exit(err.code === 'OPTIONS_INVALID' ? 2 : 1);
+  }
+
+  if (!outputFile) {
+    process.stdout.write(text);
+    return;
+  }
+  fs.writeFileSync(outputFile, text);
+  const c = summary.counts;
+  console.log(`SUCCESS: Wrote ${outputFile} (${summary.standard.label}: ${c.supports} supports, ${c['partially-supports']} partially, ${c['does-not-support']} does not, ${c['not-tested']} not tested)`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildConformance, renderConformance, STATUS_LABELS };
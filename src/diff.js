@@ -1,66 +1,94 @@
 /**
  * diff.js
  * Compares two axe scan JSON files (baseline vs PR head) and outputs a diff.
- * A violation is matched by: rule id + CSS selector target + HTML length.
+ * A violation is matched by: page + rule id + CSS selector target + HTML
+ * length (+ viewport and media mode, when scanned at several). Nodes left over
+ * after that are paired by similarity (see match.js) and reported as
+ * moved/changed instead of as new + resolved.
  *
  * Usage:
- *   node diff.js --baseline baseline.json --head pr.json --output diff.json
+ *   node diff.js --baseline baseline.json --head pr.json --output diff.json \
+ *     [--matchThreshold 0.75] [--fuzzyMatch false] \
+ *     [--suppressions .a11yguard-suppressions.json] [--config .a11yguard.yml] \
+ *     [--incomplete warn|fail|off]
+ *
+ * matchThreshold and suppressions can also come from the config file.
+ *
+ * Violations covered by an active entry in the suppression file (see
+ * suppressions.js) are left out of the comparison and listed separately.
+ *
+ * axe's "incomplete" results (checks it could not decide, e.g. contrast over
+ * a background image) are fingerprinted and matched the same way and
+ * reported as needing manual review. New ones warn by default; --incomplete
+ * (or the policy's "incomplete" key) makes them fail or ignores them.
+ *
+ * Whether the result is a regression is decided by the config file's
+ * "policy" section (see policy.js); by default any new violation is one.
+ * With --updateRatchet, a passing run lowers the policy's ratchet file to
+ * the current per-rule counts.
  *
  * Exit codes:
  *   0 — no regressions
- *   1 — regressions detected
+ *   1 — regressions detected (a fail-level policy fired, e.g. new violations or expired suppressions)
+ *   2 — invalid suppression, config or ratchet file
  */
 
 'use strict';
 
 const fs = require('fs');
 const minimist = require('minimist');
-
-// Parse CLI flags like --baseline, --head, and optional --output.
-const args = minimist(process.argv.slice(2));
-const baselineFile = args.baseline;
-const headFile     = args.head;
-const outputFile   = args.output || 'diff.json';
-
-// Require both input files so we always compare baseline vs head consistently.
-if (!baselineFile || !headFile) {
-  console.error('Usage: node diff.js --baseline <file> --head <file> [--output <file>]');
-  process.exit(1);
-}
+const { matchViolations, DEFAULT_THRESHOLD } = require('./match');
+const { loadSuppressions, applySuppressions, describeSuppression } = require('./suppressions');
+const { loadConfigOrExit, pick } = require('./config');
+const { evaluatePolicy, writeRatchet } = require('./policy');
+const { A11yGuardError } = require('./errors');
 
 /**
  * Build a stable fingerprint for a single violation node.
- * Format: "ruleId::selector1>selector2::htmlLength"
+ * Format: "urlPath::ruleId::selector1>selector2::htmlLength"
  * Using HTML length avoids false positives from minor markup
  * tweaks while still distinguishing between different elements.
+ * The page path (with "#state" for interaction states) keeps a shared
+ * layout element failing on several routes from collapsing into one
+ * entry. Scans run at several viewports or media modes add them after
+ * it ("urlPath::viewport::mode::ruleId::...") so a mobile-only or
+ * dark-mode-only violation stays distinct from the same rule failing
+ * elsewhere.
  */
-function fingerprint(violationId, node) {
+function fingerprint(violationId, node, page = {}) {
   const target = node.target.join('>');
   const htmlLen = (node.html || '').length;
-  return `${violationId}::${target}::${htmlLen}`;
+  const prefix = [page.urlPath, page.viewport, page.mode].filter(Boolean).map((p) => `${p}::`).join('');
+  return `${prefix}${violationId}::${target}::${htmlLen}`;
 }
 
 /**
  * Flatten all pages in a scan result into a single Map of:
  *   fingerprint to violation metadata
+ * `field` picks the page's result list: "violations" or "incomplete".
  */
-function buildFingerprintMap(scanResult) {
+function buildFingerprintMap(scanResult, field = 'violations') {
   const map = new Map();
 
   for (const page of scanResult.pages) {
-    for (const violation of page.violations) {
+    for (const violation of page[field] || []) {
       for (const node of violation.nodes) {
-        const fp = fingerprint(violation.id, node);
+        const fp = fingerprint(violation.id, node, page);
         map.set(fp, {
           id:             violation.id,
           impact:         violation.impact,
           description:    violation.description,
+          help:           violation.help,
           helpUrl:        violation.helpUrl,
           tags:           violation.tags || [],
           urlPath:        page.urlPath,
+          viewport:       page.viewport || null,
+          mode:           page.mode || null,
           target:         node.target,
+          ancestry:       node.ancestry || null,
           html:           node.html,
           failureSummary: node.failureSummary,
+          screenshot:     node.screenshot || null,
           fingerprint:    fp,
         });
       }
@@ -70,6 +98,39 @@ function buildFingerprintMap(scanResult) {
   return map;
 }
 
+/**
+ * Route paths that actually exist in a scan. Pages recorded as missing
+ * (HTTP 404/410) are left out so route changes can be reported.
+ */
+function presentPages(scanResult) {
+  return new Set(scanResult.pages.filter((p) => !p.missing).map((p) => p.urlPath));
+}
+
+/**
+ * Full-page screenshots taken by scan.js --screenshots, keyed
+ * "urlPath|viewport|mode" for the HTML report's side-by-side page views.
+ */
+function pageScreenshots(scanResult) {
+  const shots = {};
+  for (const page of scanResult.pages) {
+    if (page.screenshot) shots[[page.urlPath, page.viewport || '', page.mode || ''].join('|')] = page.screenshot;
+  }
+  return shots;
+}
+
+/**
+ * Tally violations by a variant field ("viewport" or "mode") so the
+ * comment can show where they occur. Entries without the field are skipped.
+ */
+function countByField(violations, field) {
+  const counts = {};
+  for (const v of violations) {
+    if (!v[field]) continue;
+    counts[v[field]] = (counts[v[field]] || 0) + 1;
+  }
+  return counts;
+}
+
 function countByImpact(map) {
   // Tally violations by axe impact level for quick baseline vs head comparison.
   const counts = { critical: 0, serious: 0, moderate: 0, minor: 0 };
@@ -81,36 +142,128 @@ function countByImpact(map) {
   return counts;
 }
 
-function main() {
-  console.log('\nRESULTS: a11y-diff diffing');
-  console.log(`   baseline : ${baselineFile}`);
-  console.log(`   head     : ${headFile}`);
-  console.log(`   output   : ${outputFile}\n`);
-
-  // Read and parse JSON scan results produced by the axe runner.
-  const baseline = JSON.parse(fs.readFileSync(baselineFile, 'utf8'));
-  const head     = JSON.parse(fs.readFileSync(headFile, 'utf8'));
+/**
+ * Whether a scan kept its incomplete results (scans from older versions only
+ * have incompleteCount). Missing pages never have any.
+ */
+function tracksIncomplete(scanResult) {
+  return scanResult.pages.every((p) => p.missing || Array.isArray(p.incomplete));
+}
 
-  const baselineMap = buildFingerprintMap(baseline);
-  const headMap     = buildFingerprintMap(head);
+// The similarity needed to pair moved nodes: a number in (0, 1], e.g. from a CLI flag given as a string.
+function thresholdOption(value) {
+  // A bare --matchThreshold parses as true, which Number() would turn into 1.
+  const n = typeof value === 'boolean' ? NaN : Number(value);
+  if (!Number.isFinite(n) || n <= 0 || n > 1) {
+    throw new A11yGuardError('OPTIONS_INVALID', `matchThreshold must be a number above 0 and at most 1, got "${value}"`);
+  }
+  return n;
+}
 
-  // New violations are those present in head but not in baseline.
-  const newViolations = [];
-  for (const [fp, v] of headMap) {
-    if (!baselineMap.has(fp)) newViolations.push(v);
+// A scan file as JSON; unreadable or unparsable files are SCAN_INPUT_INVALID.
+function readScan(file, label) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new A11yGuardError('SCAN_INPUT_INVALID', `Could not read the ${label} scan ${file}: ${err.message}`, { file });
   }
+}
 
-  // Resolved violations are those present in baseline but not in head.
-  const resolvedViolations = [];
-  for (const [fp, v] of baselineMap) {
-    if (!headMap.has(fp)) resolvedViolations.push(v);
+function checkScan(scan, label) {
+  if (!scan || !Array.isArray(scan.pages)) {
+    throw new A11yGuardError('SCAN_INPUT_INVALID', `The ${label} scan is not scan.js output (no "pages" array)`);
   }
+}
+
+/**
+ * Compares two scans. Options: matchThreshold, fuzzyMatch, suppressions
+ * (loaded entries or a suppression file path) and policy (the config
+ * file's "policy" section). Returns { diff, ratchet }, where ratchet holds
+ * the policy's next ratchet maximums (null without a ratchet).
+ */
+function compareScans(baseline, head, {
+  matchThreshold = DEFAULT_THRESHOLD,
+  fuzzyMatch = true,
+  suppressions = [],
+  policy: policyConfig,
+} = {}) {
+  checkScan(baseline, 'baseline');
+  checkScan(head, 'head');
+  const threshold = thresholdOption(matchThreshold);
+  const entries = typeof suppressions === 'string' ? loadSuppressions(suppressions) : suppressions;
+
+  // Accepted violations are taken out of both sides before comparing, so
+  // they never count as new, resolved or pre-existing.
+  const usage = new Map();
+  const baselineApplied = applySuppressions(entries, buildFingerprintMap(baseline));
+  const headApplied     = applySuppressions(entries, buildFingerprintMap(head), usage);
+  const baselineMap = baselineApplied.kept;
+  const headMap     = headApplied.kept;
+
+  const suppressedViolations = headApplied.suppressed;
+  // Expired entries no longer suppress; the violations they still cover fail the check.
+  const expiredSuppressionViolations = headApplied.expired;
+  // Entries that match nothing on the PR branch can be deleted from the file.
+  const staleSuppressions = entries.filter((e) => !usage.has(e.index)).map(describeSuppression);
 
-  // Unchanged violations exist in both scans
-  const unchangedViolations = [...headMap.entries()].filter(([fp]) => baselineMap.has(fp)).map(([, v]) => v);
+  // Pages that exist on only one side, e.g. a route added or deleted by the PR.
+  const baselinePages = presentPages(baseline);
+  const headPages     = presentPages(head);
+  const addedPages    = [...headPages].filter((p) => !baselinePages.has(p)).sort();
+  const removedPages  = [...baselinePages].filter((p) => !headPages.has(p)).sort();
+
+  // Pair baseline and head nodes. Leftover head nodes are new, leftover
+  // baseline nodes are resolved. With --fuzzyMatch false only exact
+  // fingerprints pair up, as before.
+  const { pairs, newViolations, resolvedViolations } = matchViolations(baselineMap, headMap, {
+    threshold,
+    fuzzy:     fuzzyMatch,
+  });
+
+  // Unchanged violations exist in both scans with the same fingerprint
+  const unchangedViolations = pairs
+    .filter((p) => p.match.strategy === 'exact')
+    .map((p) => ({ ...p.head, baselineScreenshot: p.baseline.screenshot, match: p.match }));
   const unchangedCount = unchangedViolations.length;
-  // Regression is strictly defined as any new violations introduced
-  const regression     = newViolations.length > 0;
+
+  // Needs-review items, only when both scans recorded them; otherwise every
+  // item on the newer side would show up as new.
+  const incompleteTracked = tracksIncomplete(baseline) && tracksIncomplete(head);
+  const baselineIncomplete = incompleteTracked ? buildFingerprintMap(baseline, 'incomplete') : new Map();
+  const headIncomplete     = incompleteTracked ? buildFingerprintMap(head, 'incomplete') : new Map();
+  const incomplete = matchViolations(baselineIncomplete, headIncomplete, {
+    threshold,
+    fuzzy:     fuzzyMatch,
+  });
+
+  // Moved/changed violations are the same issue on a slightly different node
+  // (new selector, edited label text, regenerated class hash). Not regressions.
+  const changedViolations = pairs
+    .filter((p) => p.match.strategy !== 'exact')
+    .map((p) => ({
+      ...p.head,
+      previous: {
+        fingerprint: p.baseline.fingerprint,
+        target:      p.baseline.target,
+        html:        p.baseline.html,
+        screenshot:  p.baseline.screenshot,
+      },
+      match: p.match,
+    }));
+  // Regression is whatever the policy fails on; by default any new
+  // violation, or accepted violations whose suppression has expired
+  const baselineCounts = countByField(baselineMap.values(), 'id');
+  const headCounts     = countByField(headMap.values(), 'id');
+  const policy = evaluatePolicy(policyConfig, {
+    newViolations,
+    expired:       expiredSuppressionViolations,
+    baselineCounts,
+    headCounts,
+    baselineTotal: baselineMap.size,
+    headTotal:     headMap.size,
+    newIncomplete: incomplete.newViolations,
+  });
+  const regression = policy.outcome === 'fail';
 
   const diff = {
     generatedAt: new Date().toISOString(),
@@ -121,32 +274,172 @@ function main() {
       newViolations:     newViolations.length,
       resolvedViolations: resolvedViolations.length,
       unchanged:         unchangedCount,
+      changed:           changedViolations.length,
+      suppressed:        suppressedViolations.length,
+      expiredSuppressions: expiredSuppressionViolations.length,
+      staleSuppressions: staleSuppressions.length,
+      addedPages:        addedPages.length,
+      removedPages:      removedPages.length,
+      // null when a scan did not record incomplete results
+      baselineIncomplete: incompleteTracked ? baselineIncomplete.size : null,
+      headIncomplete:     incompleteTracked ? headIncomplete.size : null,
+      newIncomplete:      incomplete.newViolations.length,
+      resolvedIncomplete: incomplete.resolvedViolations.length,
+    },
+    pageChanges: {
+      added:   addedPages,
+      removed: removedPages,
     },
     impactDelta: {
       baseline: countByImpact(baselineMap),
       head:     countByImpact(headMap),
     },
+    viewportDelta: {
+      baseline: countByField(baselineMap.values(), 'viewport'),
+      head:     countByField(headMap.values(), 'viewport'),
+    },
+    modeDelta: {
+      baseline: countByField(baselineMap.values(), 'mode'),
+      head:     countByField(headMap.values(), 'mode'),
+      // Where the regressions are, e.g. { dark: 3 } for a dark-mode-only regression.
+      newByMode: countByField(newViolations, 'mode'),
+    },
+    policy: {
+      outcome:   policy.outcome,
+      configured: Boolean(policyConfig),
+      triggered: policy.triggered,
+    },
+    matching: {
+      fuzzy:     fuzzyMatch,
+      threshold: fuzzyMatch ? threshold : null,
+    },
+    pageScreenshots: {
+      baseline: pageScreenshots(baseline),
+      head:     pageScreenshots(head),
+    },
     newViolations,
     resolvedViolations,
     unchangedViolations,
+    changedViolations,
+    suppressedViolations,
+    expiredSuppressionViolations,
+    staleSuppressions,
+    newIncomplete:      incomplete.newViolations,
+    resolvedIncomplete: incomplete.resolvedViolations,
   };
 
+  return { diff, ratchet: policy.ratchet };
+}
+
+/**
+ * Programmatic entry point (see index.js): the diff object diff.js writes.
+ */
+function diffScans(baseline, head, options) {
+  return compareScans(baseline, head, options).diff;
+}
+
+function main() {
+  // Parse CLI flags like --baseline, --head, and optional --output.
+  const args = minimist(process.argv.slice(2));
+  const config = loadConfigOrExit(args.config);
+  const baselineFile = args.baseline;
+  const headFile     = args.head;
+  const outputFile   = args.output || 'diff.json';
+  const fuzzyMatch   = String(args.fuzzyMatch) !== 'false';
+  const matchThreshold = pick(args.matchThreshold, config.matchThreshold, DEFAULT_THRESHOLD);
+  const suppressionsFile = pick(args.suppressions, config.suppressions, '');
+  // --incomplete overrides the config policy's level for needs-review items.
+  const policyConfig = args.incomplete !== undefined && args.incomplete !== ''
+    ? { ...config.policy, incomplete: String(args.incomplete) }
+    : config.policy;
+  if (policyConfig && policyConfig.incomplete && !['fail', 'warn', 'off'].includes(policyConfig.incomplete)) {
+    console.error(`FAILURE: --incomplete must be fail, warn or off, got "${policyConfig.incomplete}"`);
+    process.exit(2);
+  }
+
+  // Require both input files so we always compare baseline vs head consistently.
+  if (!baselineFile || !headFile) {
+    console.error('Usage: node diff.js --baseline <file> --head <file> [--output <file>]');
+    process.exit(1);
+  }
+
+  console.log('\nRESULTS: a11y-diff diffing');
+  console.log(`   baseline : ${baselineFile}`);
+  console.log(`   head     : ${headFile}`);
+  console.log(`   output   : ${outputFile}`);
+  console.log(`   suppress : ${suppressionsFile || '(none)'}\n`);
+
+  let result;
+  try {
+    // Read and parse JSON scan results produced by the axe runner.
+    const baseline = readScan(baselineFile, 'baseline');
+    const head     = readScan(headFile, 'head');
+    result = compareScans(baseline, head, {
+      matchThreshold,
+      fuzzyMatch,
+      suppressions: loadSuppressions(suppressionsFile),
+      policy:       policyConfig,
+    });
+  } catch (err) {
+    if (!(err instanceof A11yGuardError)) throw err;
+    console.error(`FAILURE: ${err.message}`);
+    process.exit(2);
+  }
+  const { diff, ratchet } = result;
+  const { summary, regression, newViolations, expiredSuppressionViolations, staleSuppressions } = diff;
+
   fs.writeFileSync(outputFile, JSON.stringify(diff, null, 2));
 
-  console.log(`  Baseline violations : ${baselineMap.size}`);
-  console.log(`  Head violations     : ${headMap.size}`);
-  console.log(`  New (regressions)   : ${newViolations.length}`);
-  console.log(`  Resolved            : ${resolvedViolations.length}`);
-  console.log(`  Unchanged           : ${unchangedCount}`);
+  console.log(`  Baseline violations : ${summary.baselineTotal}`);
+  console.log(`  Head violations     : ${summary.headTotal}`);
+  console.log(`  New (regressions)   : ${summary.newViolations}`);
+  console.log(`  Resolved            : ${summary.resolvedViolations}`);
+  console.log(`  Unchanged           : ${summary.unchanged}`);
+  console.log(`  Moved/changed       : ${summary.changed}`);
+  console.log(`  Suppressed          : ${summary.suppressed}`);
+  if (summary.headIncomplete !== null) {
+    console.log(`  Needs review        : ${summary.headIncomplete} (${summary.newIncomplete} new, ${summary.resolvedIncomplete} resolved)`);
+  }
+  if (summary.expiredSuppressions > 0) {
+    console.log(`  Expired suppression : ${summary.expiredSuppressions}`);
+  }
+  for (const e of staleSuppressions) {
+    console.warn(`  WARN: stale suppression #${e.index + 1} (${e.owner}) matches nothing: ${e.justification}`);
+  }
+  for (const t of diff.policy.triggered) {
+    console.log(`  Policy ${t.level === 'fail' ? 'FAIL' : 'WARN'}: ${t.policy} — ${t.message.replace(/`/g, '')}`);
+  }
+  if (ratchet && !regression && args.updateRatchet) {
+    writeRatchet(ratchet.file, ratchet.next);
+    console.log(`  Ratchet updated     : ${ratchet.file}`);
+  }
+  const { added: addedPages, removed: removedPages } = diff.pageChanges;
+  if (addedPages.length > 0)   console.log(`  New pages           : ${addedPages.join(', ')}`);
+  if (removedPages.length > 0) console.log(`  Removed pages       : ${removedPages.join(', ')}`);
 
   if (regression) {
-    console.error(`\nFAILURE: REGRESSION — ${newViolations.length} new accessibility violation(s)\n`);
+    const reasons = diff.policy.triggered.filter((t) => t.level === 'fail').map((t) => t.message.replace(/`/g, ''));
+    console.error(`\nFAILURE: REGRESSION — ${reasons.join('; ')}\n`);
+    const newByMode = Object.entries(diff.modeDelta.newByMode);
+    if (newByMode.length > 0) {
+      console.error(`  By mode: ${newByMode.map(([m, n]) => `${m} (${n})`).join(', ')}\n`);
+    }
     for (const v of newViolations) {
-      console.error(`  [${v.impact.toUpperCase()}] ${v.id} on ${v.urlPath}`);
+      console.error(`  [${v.impact.toUpperCase()}] ${v.id} on ${v.urlPath}${v.viewport ? ` @ ${v.viewport}` : ''}${v.mode ? ` [${v.mode}]` : ''}`);
       console.error(`    Selector : ${v.target.join(' > ')}`);
       console.error(`    Summary  : ${v.failureSummary}`);
       console.error(`    Help     : ${v.helpUrl}\n`);
     }
+    for (const v of expiredSuppressionViolations) {
+      console.error(`  [EXPIRED ${v.suppression.expires}] ${v.id} on ${v.urlPath} — suppression owned by ${v.suppression.owner}`);
+      console.error(`    Selector : ${v.target.join(' > ')}\n`);
+    }
+    if (diff.policy.triggered.some((t) => t.policy === 'incomplete' && t.level === 'fail')) {
+      for (const v of diff.newIncomplete) {
+        console.error(`  [NEEDS REVIEW] ${v.id} on ${v.urlPath}${v.viewport ? ` @ ${v.viewport}` : ''}${v.mode ? ` [${v.mode}]` : ''}`);
+        console.error(`    Selector : ${v.target.join(' > ')}\n`);
+      }
+    }
     process.exit(1);
   }
   // Exit 0 signals no regressions even if there are existing baseline issues.
@@ -154,4 +447,8 @@ function main() {
   process.exit(0);
 }
 
-main();
+if (require.main === module) {
+  main();
+}
+
+module.exports = { diffScans, compareScans, fingerprint, buildFingerprintMap };
@@ -0,0 +1,285 @@
+/**
+ * discover.js
+ * Discovers the routes to scan by reading sitemap.xml (including sitemap
+ * indexes) and/or crawling same-origin links from seed pages.
+ *
+ * Discovery runs against every origin given in --baseUrls and writes the
+ * union of routes, so the base and PR scans both see the same list. A page
+ * that only exists on one side is then reported as an added/removed page
+ * instead of silently going unscanned.
+ *
+ * Usage:
+ *   node discover.js \
+ *     --baseUrls "http://localhost:4000,http://localhost:5000" \
+ *     --output routes.json \
+ *     --mode "sitemap,crawl" \
+ *     --urls "/" \
+ *     --depth 2 \
+ *     --maxPages 50 \
+ *     --include "/docs/**" \
+ *     --exclude "/admin/**,/api/**" \
+ *     --storageState auth-state.json \
+ *     --loginScript ./login.js \
+ *     --config .a11yguard.yml
+ *
+ * Unset flags fall back to the config file's "discover" section (and its
+ * urls, storageState and loginScript).
+ *
+ * Authenticated crawls use the same session options and secret env vars as
+ * scan.js (see auth.js).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { chromium } = require('playwright');
+const minimist = require('minimist');
+const { parsePatterns, filterPaths } = require('./glob');
+const { loadConfigOrExit, pick, pickList } = require('./config');
+const { loadAuthOptions, describeAuth, prepareSession, newSessionContext, redact, redactValues } = require('./auth');
+
+// Links to these never lead to a scannable HTML page.
+const NON_PAGE_EXT = /\.(png|jpe?g|gif|svg|webp|avif|ico|pdf|zip|gz|mp4|webm|mp3|wav|css|js|mjs|json|xml|txt|woff2?|ttf|eot)$/i;
+
+/*
+  Reduces any URL to the route path we scan: no origin, no query, no hash,
+  no trailing slash (except for the root). null when it is not a valid URL.
+*/
+function normalizePath(href, origin) {
+  let url;
+  try {
+    url = new URL(href, origin);
+  } catch {
+    return null;
+  }
+  let p;
+  try {
+    p = decodeURI(url.pathname);
+  } catch {
+    // A stray "%" in a link or sitemap entry: skip it rather than fail discovery.
+    return null;
+  }
+  p = p.replace(/\/index\.html?$/i, '/').replace(/\.html?$/i, '');
+  if (p.length > 1) p = p.replace(/\/+$/, '');
+  return p || '/';
+}
+
+/*
+  Pulls <loc> entries out of a sitemap or sitemap index document.
+*/
+function parseSitemap(xml) {
+  const locs = [...xml.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi)].map((m) =>
+    m[1].replace(/&amp;/g, '&')
+  );
+  return { isIndex: /<sitemapindex[\s>]/i.test(xml), locs };
+}
+
+/*
+  Reads /sitemap.xml from an origin, following nested sitemap indexes.
+  Sitemaps usually list production URLs, so only the path of each <loc> is
+  kept and re-applied to whichever origin we are scanning. Routes come back
+  in sitemap order. Options: headers (sent with every request) and secrets
+  (redacted from warnings).
+*/
+async function discoverFromSitemap(origin, { headers = {}, secrets = [] } = {}) {
+  const found = new Set();
+  const queue = [`${origin}/sitemap.xml`];
+  const seen  = new Set();
+
+  while (queue.length > 0) {
+    const sitemapUrl = queue.shift();
+    if (seen.has(sitemapUrl)) continue;
+    seen.add(sitemapUrl);
+
+    let res;
+    try {
+      res = await fetch(sitemapUrl, { headers });
+    } catch (err) {
+      console.warn(`  WARN: could not fetch ${sitemapUrl}: ${redact(err.message, secrets)}`);
+      continue;
+    }
+    if (!res.ok) {
+      console.warn(`  WARN: ${sitemapUrl} returned HTTP ${res.status}`);
+      continue;
+    }
+
+    const { isIndex, locs } = parseSitemap(await res.text());
+    for (const loc of locs) {
+      if (isIndex) {
+        // Nested sitemaps are fetched from the origin under test, not the listed host.
+        const p = new URL(loc, origin).pathname;
+        queue.push(`${origin}${p}`);
+      } else {
+        const p = normalizePath(loc, origin);
+        if (p && !NON_PAGE_EXT.test(p)) found.add(p);
+      }
+    }
+  }
+
+  return [...found];
+}
+
+/*
+  Breadth-first crawl of same-origin links starting at the seed paths.
+  Seeds are depth 0; links found on a depth-N page are depth N+1, so routes
+  come back in depth order. Options: auth (see auth.js), seeds, maxDepth,
+  maxPages, include, exclude and secrets.
+*/
+async function discoverByCrawling(browser, origin, { auth, seeds, maxDepth, maxPages, include = [], exclude = [], secrets = [] }) {
+  const session = await prepareSession(browser, auth, origin);
+  const context = await newSessionContext(browser, session, auth);
+  const found = new Set();
+  const queue = seeds.map((s) => ({ urlPath: normalizePath(s, origin), depth: 0 }));
+  const visited = new Set();
+
+  try {
+    while (queue.length > 0 && visited.size < maxPages) {
+      const { urlPath, depth } = queue.shift();
+      if (!urlPath || visited.has(urlPath)) continue;
+      visited.add(urlPath);
+
+      const page = await context.newPage();
+      try {
+        const response = await page.goto(`${origin}${urlPath}`, { waitUntil: 'domcontentloaded', timeout: 30000 });
+        if (response && response.status() >= 400) continue;
+        found.add(urlPath);
+        if (depth >= maxDepth) continue;
+
+        const hrefs = await page.$$eval('a[href]', (anchors) => anchors.map((a) => a.href));
+        for (const href of hrefs) {
+          let target;
+          try {
+            target = new URL(href, origin);
+          } catch {
+            continue;
+          }
+          if (target.origin !== origin) continue;
+          const p = normalizePath(target.href, origin);
+          if (!p || NON_PAGE_EXT.test(p) || visited.has(p)) continue;
+          if (filterPaths([p], include, exclude).length === 0) continue;
+          queue.push({ urlPath: p, depth: depth + 1 });
+        }
+      } catch (err) {
+        console.warn(`  WARN: crawl failed on ${origin}${urlPath}: ${redact(err.message, secrets)}`);
+      } finally {
+        await page.close();
+      }
+    }
+  } finally {
+    await context.close();
+  }
+
+  return [...found];
+}
+
+/*
+  The routes to keep: the first maxPages of `routes`, which are in priority
+  order (seeds, then sitemap order, then crawl depth order), sorted so both
+  scans and reruns see them in the same order.
+*/
+function capRoutes(routes, maxPages) {
+  return [...new Set(routes)].slice(0, maxPages).sort();
+}
+
+/*
+  CLI entry point.
+  Runs each discovery mode against every origin, applies include/exclude
+  patterns (to the seeds too), caps the result at --maxPages and writes the
+  sorted route list.
+*/
+async function main() {
+  const args = minimist(process.argv.slice(2));
+  const config = loadConfigOrExit(args.config);
+  const discoverConfig = config.discover || {};
+  const baseUrls   = (args.baseUrls || 'http://localhost:3000').split(',')
+    .map((u) => u.trim().replace(/\/$/, '')).filter(Boolean);
+  const outputFile = args.output || 'routes.json';
+  const modes      = pickList(args.mode, discoverConfig.mode, ['sitemap', 'crawl']);
+  const seeds      = pickList(args.urls, config.urls, ['/']);
+  const maxDepth   = parseInt(pick(args.depth, discoverConfig.depth, 2), 10);
+  const maxPages   = parseInt(pick(args.maxPages, discoverConfig.maxPages, 50), 10);
+  const include    = parsePatterns(pick(args.include, discoverConfig.include));
+  const exclude    = parsePatterns(pick(args.exclude, discoverConfig.exclude));
+  const storageState = pick(args.storageState, config.storageState);
+  const loginScript  = pick(args.loginScript, config.loginScript);
+  const authByOrigin = Object.fromEntries(baseUrls.map((origin) => [
+    origin,
+    loadAuthOptions({ storageState, loginScript, baseUrl: origin }),
+  ]));
+  const secrets = [...new Set(Object.values(authByOrigin).flatMap((a) => a.secrets))];
+
+  try {
+    await discover({ baseUrls, outputFile, modes, seeds, maxDepth, maxPages, include, exclude, authByOrigin, secrets });
+  } catch (err) {
+    err.message = redact(err.message, secrets);
+    throw err;
+  }
+}
+
+// Runs discovery with the options main() read and writes the route file.
+async function discover({ baseUrls, outputFile, modes, seeds, maxDepth, maxPages, include, exclude, authByOrigin, secrets }) {
+  console.log('\nRESULTS: a11y-diff route discovery');
+  console.log(`   origins   : ${redact(baseUrls.join(', '), secrets)}`);
+  console.log(`   output    : ${outputFile}`);
+  console.log(`   modes     : ${modes.join(', ')}`);
+  console.log(`   seeds     : ${seeds.join(', ')}`);
+  console.log(`   depth     : ${maxDepth}`);
+  console.log(`   maxPages  : ${maxPages}`);
+  console.log(`   include   : ${include.join(', ') || '(all)'}`);
+  console.log(`   exclude   : ${exclude.join(', ') || '(none)'}`);
+  console.log(`   auth      : ${describeAuth(authByOrigin[baseUrls[0]])}\n`);
+
+  const bySource = {};
+  const found = { seeds: filterPaths(seeds.map((s) => normalizePath(s, baseUrls[0])).filter(Boolean), include, exclude), sitemap: [], crawl: [] };
+
+  const browser = modes.includes('crawl')
+    ? await chromium.launch({ args: ['--no-sandbox', '--disable-setuid-sandbox'] })
+    : null;
+
+  try {
+    for (const origin of baseUrls) {
+      bySource[origin] = {};
+      const auth = authByOrigin[origin];
+      if (modes.includes('sitemap')) {
+        const routes = filterPaths(await discoverFromSitemap(origin, { headers: auth.headers, secrets }), include, exclude);
+        bySource[origin].sitemap = routes.length;
+        found.sitemap.push(...routes);
+        console.log(`INFO: ${origin} sitemap — ${routes.length} route(s)`);
+      }
+      if (browser) {
+        const routes = filterPaths(await discoverByCrawling(browser, origin, { auth, seeds, maxDepth, maxPages, include, exclude, secrets }), include, exclude);
+        bySource[origin].crawl = routes.length;
+        found.crawl.push(...routes);
+        console.log(`INFO: ${origin} crawl — ${routes.length} route(s)`);
+      }
+    }
+  } finally {
+    if (browser) await browser.close();
+  }
+
+  const all = [...new Set([...found.seeds, ...found.sitemap, ...found.crawl])];
+  const capped = capRoutes(all, maxPages);
+  if (all.length > capped.length) {
+    console.warn(`  WARN: ${all.length} routes found, keeping the seeds and the first sitemap and crawl routes up to ${maxPages}`);
+  }
+
+  const output = {
+    generatedAt: new Date().toISOString(),
+    origins: baseUrls,
+    modes,
+    sources: bySource,
+    routes: capped,
+  };
+
+  fs.writeFileSync(outputFile, JSON.stringify(redactValues(output, secrets), null, 2));
+  console.log(`\nSUCCESS: ${capped.length} route(s) written to ${outputFile}`);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('\nFAILURE: Fatal discovery error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { normalizePath, parseSitemap, discoverFromSitemap, discoverByCrawling, capRoutes };
@@ -0,0 +1,32 @@
+/**
+ * errors.js
+ * Errors thrown by the programmatic API (see index.js). Every error carries
+ * a stable `code` to branch on and, where it helps, `details`:
+ *
+ *   CONFIG_INVALID        config file missing, unparsable or invalid (details.problems),
+ *                         the policy's ratchet file unparsable (details.file), or an
+ *                         unknown framework name (details.frameworks lists the valid ones)
+ *   SUPPRESSIONS_INVALID  suppression file invalid (details.problems)
+ *   OPTIONS_INVALID       bad option, e.g. an unknown viewport or mode
+ *   SCAN_INPUT_INVALID    a scan passed to diffScans() is not scan.js output, or a
+ *                         scan file diff.js was given cannot be read or parsed
+ *   AUTH_FAILED           the login script or storage state could not be used
+ *   PATCH_REJECTED        an AI fix failed the checks in patch.js (details.problems)
+ *   LLM_FAILED            the LLM request failed after retries, or had no usable reply
+ *   LLM_BUDGET_EXCEEDED   a prompt is over the provider's token budget (see llm.js)
+ *
+ * The CLIs print err.message and exit with code 2 for the *_INVALID codes.
+ */
+
+'use strict';
+
+class A11yGuardError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'A11yGuardError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = { A11yGuardError };
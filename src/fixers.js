@@ -0,0 +1,374 @@
+/**
+ * fixers.js
+ * Rule-based fixes for violations with a mechanical fix, applied by
+ * auto-fix.js before (or instead of) asking an LLM. Each fixer is keyed by
+ * axe rule id and works on the elements of the page's source file: parse5
+ * for HTML and other templates, Babel for JSX/TSX. Changes are made as
+ * small text edits at the parsed positions, so formatting is kept.
+ *
+ *   html-has-lang          adds lang="<lang>" (default "en") to <html>
+ *   meta-viewport(-large)  drops user-scalable=no and a too-low maximum-scale
+ *   frame-title            adds a title to <iframe>/<frame>, from the src host
+ *   aria-hidden-focus      gives focusable elements inside aria-hidden="true"
+ *                          content tabindex="-1"
+ *   duplicate-id(-active|-aria)
+ *                          renames the 2nd, 3rd... copy of an id to id-2, id-3...
+ *                          unless something in the file refers to the id
+ *   button-type            not an axe rule: adds an explicit type to failing
+ *                          <button> elements of any rule ("submit" inside a
+ *                          <form> in the same file, else "button")
+ *
+ * Elements are only changed when their attributes are literal: an element
+ * with a JSX spread ({...props}) is left alone, since the spread may set the
+ * attribute. Every change is reported with the line and what was done.
+ */
+
+'use strict';
+
+const path = require('path');
+const babel = require('@babel/parser');
+const parse5 = require('parse5');
+const { locateNode, parseElement } = require('./locate');
+
+const JSX_PLUGINS = {
+  '.tsx': ['typescript', 'jsx'],
+  '.ts':  ['typescript'],
+  '.jsx': ['jsx'],
+  '.js':  ['jsx'],
+  '.mjs': ['jsx'],
+  '.cjs': ['jsx'],
+};
+
+const FOCUSABLE_TAGS = new Set(['button', 'input', 'select', 'textarea', 'iframe', 'summary']);
+// Attributes that often change at runtime, so the rendered value says little about the source.
+const UNCHECKED_ATTRS = new Set(['class', 'style']);
+
+/* ---------- element extraction ---------- */
+
+/*
+  An element as the fixers see it:
+    { tag, line, nameEnd, jsx, spread, attrs, ancestors }
+  where attrs maps lowercased names to { name, value, start, end }: the
+  source range of the whole attribute, and its value (null when it is a
+  JSX expression). nameEnd is where a new attribute can be inserted.
+*/
+function htmlElements(source) {
+  const full = /^\s*(<!doctype|<html)/i.test(source);
+  const doc = full
+    ? parse5.parse(source, { sourceCodeLocationInfo: true })
+    : parse5.parseFragment(source, { sourceCodeLocationInfo: true });
+  const elements = [];
+
+  (function walk(node, ancestors) {
+    let own = ancestors;
+    const loc = node.sourceCodeLocation && node.sourceCodeLocation.startTag;
+    if (node.tagName && loc) {
+      const attrs = {};
+      for (const { name, value } of node.attrs) {
+        const range = loc.attrs && loc.attrs[name];
+        if (range) attrs[name] = { name, value, start: range.startOffset, end: range.endOffset };
+      }
+      const element = {
+        tag: node.tagName,
+        line: loc.startLine,
+        nameEnd: loc.startOffset + 1 + node.tagName.length,
+        jsx: false,
+        spread: false,
+        attrs,
+        ancestors,
+      };
+      elements.push(element);
+      own = [...ancestors, element];
+    }
+    for (const child of node.childNodes || []) walk(child, own);
+    if (node.content) walk(node.content, own);
+  })(doc, []);
+
+  return elements;
+}
+
+function jsxElements(source, plugins) {
+  const ast = babel.parse(source, { sourceType: 'unambiguous', plugins });
+  const elements = [];
+
+  (function walk(node, ancestors) {
+    if (!node || typeof node.type !== 'string') return;
+    let own = ancestors;
+    if (node.type === 'JSXElement' && node.openingElement.name.type === 'JSXIdentifier') {
+      const opening = node.openingElement;
+      const attrs = {};
+      let spread = false;
+      for (const attr of opening.attributes) {
+        if (attr.type === 'JSXSpreadAttribute') {
+          spread = true;
+        } else if (attr.name.type === 'JSXIdentifier') {
+          const value = attr.value === null ? '' : attr.value.type === 'StringLiteral' ? attr.value.value : null;
+          attrs[attr.name.name.toLowerCase()] = { name: attr.name.name, value, start: attr.start, end: attr.end };
+        }
+      }
+      const element = {
+        tag: opening.name.name,
+        line: opening.loc.start.line,
+        nameEnd: opening.name.end,
+        jsx: true,
+        spread,
+        attrs,
+        ancestors,
+      };
+      elements.push(element);
+      own = [...ancestors, element];
+    }
+    for (const key of Object.keys(node)) {
+      if (key === 'loc' || key === 'start' || key === 'end') continue;
+      const value = node[key];
+      if (Array.isArray(value)) value.forEach((child) => walk(child, own));
+      else if (value && typeof value === 'object') walk(value, own);
+    }
+  })(ast.program, []);
+
+  return elements;
+}
+
+/*
+  Elements of a source file, or null when it cannot be parsed.
+*/
+function elementsOf(filePath, source) {
+  const plugins = JSX_PLUGINS[path.extname(filePath).toLowerCase()];
+  try {
+    return plugins ? jsxElements(source, plugins) : htmlElements(source);
+  } catch {
+    return null;
+  }
+}
+
+/* ---------- helpers for fixers ---------- */
+
+function attrText(name, value) {
+  return `${name}="${String(value).replace(/"/g, '&quot;')}"`;
+}
+
+function insertAttr(el, name, value, description) {
+  return { start: el.nameEnd, end: el.nameEnd, text: ` ${attrText(name, value)}`, line: el.line, description };
+}
+
+function replaceAttr(el, key, text, description) {
+  const attr = el.attrs[key];
+  return { start: attr.start, end: attr.end, text, line: el.line, description };
+}
+
+/*
+  Elements in the file that a violation's node points at: same tag, no
+  literal attribute that contradicts the node's HTML, on the line locate.js
+  finds for the node. locate.js can settle on a neighbouring tag, so a single
+  matching element elsewhere in the file is taken instead.
+*/
+function elementsForNode(ctx, node) {
+  const wanted = ctx.parseElement(node.html);
+  if (!wanted) return [];
+  const candidates = ctx.elements.filter((el) => el.tag.toLowerCase() === wanted.tag
+    && Object.entries(wanted.attrs).every(([name, value]) => UNCHECKED_ATTRS.has(name)
+      || !el.attrs[name] || el.attrs[name].value === null || el.attrs[name].value === value));
+  const found = ctx.locateNode(ctx.filePath, node);
+  if (!found) return candidates;
+  const onLine = candidates.filter((el) => el.line === found.startLine);
+  return onLine.length === 0 && candidates.length === 1 ? candidates : onLine;
+}
+
+function isFocusable(el) {
+  const tag = el.tag.toLowerCase();
+  if (el.attrs.disabled !== undefined) return false;
+  if (tag === 'a' || tag === 'area') return el.attrs.href !== undefined;
+  if (tag === 'input' && (el.attrs.type || {}).value === 'hidden') return false;
+  if (FOCUSABLE_TAGS.has(tag)) return true;
+  if (el.attrs.contenteditable !== undefined) return true;
+  const tabindex = el.attrs.tabindex;
+  return Boolean(tabindex && (tabindex.value === null || parseInt(tabindex.value, 10) >= 0));
+}
+
+/* ---------- fixers ---------- */
+
+function fixHtmlLang(ctx, violations) {
+  const edits = [];
+  for (const el of ctx.elements.filter((e) => e.tag.toLowerCase() === 'html' && !e.spread)) {
+    const lang = el.attrs.lang;
+    if (!lang) edits.push(insertAttr(el, 'lang', ctx.lang, `Added lang="${ctx.lang}" to <html>`));
+    else if (lang.value === '') edits.push(replaceAttr(el, 'lang', attrText(lang.name, ctx.lang), `Set the empty lang on <html> to "${ctx.lang}"`));
+  }
+  return { edits, handled: edits.length > 0 ? violations : [] };
+}
+
+function viewportFixer(minScale) {
+  return (ctx, violations) => {
+    const edits = [];
+    const metas = ctx.elements.filter((e) => e.tag.toLowerCase() === 'meta'
+      && (e.attrs.name || {}).value === 'viewport' && e.attrs.content && typeof e.attrs.content.value === 'string');
+    for (const el of metas) {
+      const parts = el.attrs.content.value.split(/[,;]/).map((p) => p.trim()).filter(Boolean);
+      const kept = parts.filter((p) => {
+        const [key, value] = p.split('=').map((s) => s.trim().toLowerCase());
+        if (key === 'user-scalable') return !(value === 'no' || value === '0');
+        if (key === 'maximum-scale') return !(parseFloat(value) < minScale);
+        return true;
+      });
+      if (kept.length === parts.length) continue;
+      const content = kept.join(', ');
+      edits.push(replaceAttr(el, 'content', attrText(el.attrs.content.name, content),
+        `Removed ${parts.filter((p) => !kept.includes(p)).join(', ')} from the viewport <meta>`));
+    }
+    return { edits, handled: edits.length > 0 ? violations : [] };
+  };
+}
+
+function frameTitle(src) {
+  try {
+    return `Embedded content from ${new URL(src).hostname.replace(/^www\./, '')}`;
+  } catch {
+    return 'Embedded content';
+  }
+}
+
+function fixFrameTitle(ctx, violations) {
+  const edits = [];
+  const handled = [];
+  for (const v of violations) {
+    for (const el of elementsForNode(ctx, v)) {
+      if (el.spread || (el.attrs.title && el.attrs.title.value !== '')) continue;
+      const title = frameTitle((el.attrs.src || {}).value || '');
+      edits.push(el.attrs.title
+        ? replaceAttr(el, 'title', attrText(el.attrs.title.name, title), `Filled in the empty title of <${el.tag}>: "${title}"`)
+        : insertAttr(el, 'title', title, `Added title="${title}" to <${el.tag}>`));
+      handled.push(v);
+    }
+  }
+  return { edits, handled };
+}
+
+function fixAriaHiddenFocus(ctx, violations) {
+  const edits = [];
+  const handled = [];
+  for (const v of violations) {
+    for (const hidden of elementsForNode(ctx, v)) {
+      const targets = [hidden, ...ctx.elements.filter((e) => e.ancestors.includes(hidden))]
+        .filter((el) => isFocusable(el) && !el.spread);
+      if (targets.length === 0) continue;
+      for (const el of targets) {
+        const description = `Set tabindex="-1" on <${el.tag}> inside aria-hidden content`;
+        const text = el.jsx ? 'tabIndex={-1}' : 'tabindex="-1"';
+        edits.push(el.attrs.tabindex
+          ? replaceAttr(el, 'tabindex', text, description)
+          : { start: el.nameEnd, end: el.nameEnd, text: ` ${text}`, line: el.line, description });
+      }
+      handled.push(v);
+    }
+  }
+  return { edits, handled };
+}
+
+function fixDuplicateId(ctx, violations, source) {
+  const idOf = (v) => (ctx.parseElement(v.html) || { attrs: {} }).attrs.id;
+  const failingIds = new Set(violations.map(idOf).filter(Boolean));
+  const byId = new Map();
+  for (const el of ctx.elements) {
+    const id = el.attrs.id && el.attrs.id.value;
+    if (id) byId.set(id, [...(byId.get(id) || []), el]);
+  }
+
+  const edits = [];
+  const fixedIds = new Set();
+  for (const [id, els] of byId) {
+    if (els.length < 2 || !failingIds.has(id)) continue;
+    // A label, aria reference or fragment link to the id: renaming could break it.
+    const escaped = id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const referenced = new RegExp(`(?:for|htmlFor|aria-[a-z]+)\\s*=\\s*["'{][^"']*\\b${escaped}\\b|href\\s*=\\s*["']#${escaped}["']`).test(source);
+    if (referenced) {
+      ctx.skipped.push(`duplicate-id: "${id}" is referenced in the file, so it was not renamed`);
+      continue;
+    }
+    let n = 2;
+    for (const el of els.slice(1)) {
+      while (byId.has(`${id}-${n}`)) n++;
+      const newId = `${id}-${n++}`;
+      edits.push(replaceAttr(el, 'id', attrText(el.attrs.id.name, newId), `Renamed the duplicate id "${id}" on <${el.tag}> to "${newId}"`));
+    }
+    fixedIds.add(id);
+  }
+  const handled = violations.filter((v) => fixedIds.has(idOf(v)));
+  return { edits, handled };
+}
+
+/*
+  Only buttons that locate.js matches to a failing node are changed, so an
+  unrelated <button> in the same file keeps its default type.
+*/
+function fixButtonType(ctx, violations) {
+  const edits = [];
+  const handled = [];
+  const seen = new Set();
+  for (const v of violations) {
+    if ((ctx.parseElement(v.html) || {}).tag !== 'button' || !ctx.locateNode(ctx.filePath, v)) continue;
+    for (const el of elementsForNode(ctx, v)) {
+      if (el.spread || el.attrs.type) continue;
+      if (!seen.has(el)) {
+        seen.add(el);
+        const type = el.ancestors.some((a) => a.tag.toLowerCase() === 'form') ? 'submit' : 'button';
+        edits.push(insertAttr(el, 'type', type, `Added type="${type}" to <button>`));
+      }
+      if (!handled.includes(v)) handled.push(v);
+    }
+  }
+  return { edits, handled };
+}
+
+// Fixers by name, with the axe rules whose failing nodes they fix (null: every rule).
+const FIXERS = {
+  'html-has-lang':        { rules: ['html-has-lang'], fix: fixHtmlLang },
+  'meta-viewport':        { rules: ['meta-viewport'], fix: viewportFixer(2) },
+  'meta-viewport-large':  { rules: ['meta-viewport-large'], fix: viewportFixer(5) },
+  'frame-title':          { rules: ['frame-title'], fix: fixFrameTitle },
+  'aria-hidden-focus':    { rules: ['aria-hidden-focus'], fix: fixAriaHiddenFocus },
+  'duplicate-id':         { rules: ['duplicate-id', 'duplicate-id-active', 'duplicate-id-aria'], fix: fixDuplicateId },
+  'button-type':          { rules: null, fix: fixButtonType },
+};
+
+/*
+  Runs every fixer that applies to `violations` (flattened diff entries for
+  one file) on `source`. Returns { content, changes, handled, skipped }:
+  the fixed text, what was changed ({ fixer, line, description }), the
+  violations the changes fix, and notes on what could not be fixed.
+  Edits that overlap or repeat an earlier one are dropped.
+*/
+function applyRuleFixers(filePath, source, violations, { lang = 'en' } = {}) {
+  const elements = elementsOf(filePath, source);
+  const result = { content: source, changes: [], handled: [], skipped: [] };
+  if (!elements) return result;
+
+  const ctx = { filePath, elements, lang, locateNode, parseElement, skipped: result.skipped };
+  const edits = [];
+  for (const [name, { rules, fix }] of Object.entries(FIXERS)) {
+    const matching = rules ? violations.filter((v) => rules.includes(v.id)) : violations;
+    if (matching.length === 0) continue;
+    const { edits: fixerEdits, handled } = fix(ctx, matching, source);
+    edits.push(...fixerEdits.map((e) => ({ ...e, fixer: name })));
+    result.handled.push(...handled.filter((v) => !result.handled.includes(v)));
+  }
+
+  const kept = [];
+  for (const edit of edits) {
+    const clash = kept.some((k) => (edit.start < k.end && k.start < edit.end)
+      || (edit.start === k.start && edit.end === k.end && (edit.start !== edit.end || edit.text === k.text)));
+    if (clash) continue;
+    kept.push(edit);
+  }
+
+  let content = source;
+  for (const edit of [...kept].sort((a, b) => b.start - a.start)) {
+    content = content.slice(0, edit.start) + edit.text + content.slice(edit.end);
+  }
+  result.content = content;
+  result.changes = kept
+    .sort((a, b) => a.start - b.start)
+    .map(({ fixer, line, description }) => ({ fixer, line, description }));
+  return result;
+}
+
+module.exports = { applyRuleFixers, elementsOf, FIXERS };
@@ -0,0 +1,63 @@
+/**
+ * github.js
+ * Minimal GitHub REST client shared by comment.js and checks.js.
+ *
+ * The API base URL comes from GITHUB_API_URL (set by Actions, and pointing
+ * at the right host on GitHub Enterprise Server), so the calls can also be
+ * pointed at a local mock server, e.g. GITHUB_API_URL=http://127.0.0.1:3999.
+ */
+
+'use strict';
+
+const http  = require('http');
+const https = require('https');
+
+const DEFAULT_API_URL = 'https://api.github.com';
+
+/*
+  githubRequest takes: an HTTP method, a GitHub API path, and a request body.
+  Returns parsed result on success, and an error carrying the status code on failure.
+*/
+function githubRequest(method, urlPath, body, {
+  token = process.env.GITHUB_TOKEN,
+  apiUrl = process.env.GITHUB_API_URL || DEFAULT_API_URL,
+} = {}) {
+  return new Promise((resolve, reject) => {
+    const data = body ? JSON.stringify(body) : null;
+    // Keep any path prefix of the base URL (GHES uses https://host/api/v3).
+    const url = new URL(apiUrl.replace(/\/$/, '') + urlPath);
+    const options = {
+      protocol: url.protocol,
+      hostname: url.hostname,
+      port:     url.port || undefined,
+      path:     url.pathname + url.search,
+      method,
+      headers: {
+        Authorization:  `token ${token}`,
+        'Content-Type': 'application/json',
+        'User-Agent':   'a11y-diff-action',
+        Accept:         'application/vnd.github.v3+json',
+        ...(data ? { 'Content-Length': Buffer.byteLength(data) } : {}),
+      },
+    };
+    const transport = url.protocol === 'http:' ? http : https;
+    const req = transport.request(options, (res) => {
+      let buf = '';
+      res.on('data', (chunk) => (buf += chunk));
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(JSON.parse(buf || '{}'));
+        } else {
+          const err = new Error(`GitHub API ${res.statusCode}: ${buf}`);
+          err.status = res.statusCode;
+          reject(err);
+        }
+      });
+    });
+    req.on('error', reject);
+    if (data) req.write(data);
+    req.end();
+  });
+}
+
+module.exports = { githubRequest, DEFAULT_API_URL };
@@ -0,0 +1,68 @@
+/**
+ * glob.js
+ * Tiny glob matcher for URL paths, shared by route discovery and any other
+ * option that filters pages by pattern.
+ *
+ *   *   matches anything except "/"
+ *   **  matches anything, including "/"
+ *   ?   matches a single character except "/"
+ *
+ * A trailing "/**" also matches the parent path itself, so "/blog/**"
+ * matches "/blog" as well as "/blog/a/b".
+ */
+
+'use strict';
+
+/*
+  Converts a single glob pattern into an anchored RegExp.
+*/
+function globToRegExp(pattern) {
+  let src = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*') {
+      if (pattern[i + 1] === '*') {
+        // "/**" at the end also matches the bare parent path
+        if (src.endsWith('/') && i + 2 === pattern.length) {
+          src = src.slice(0, -1) + '(?:/.*)?';
+        } else {
+          src += '.*';
+        }
+        i++;
+      } else {
+        src += '[^/]*';
+      }
+    } else if (ch === '?') {
+      src += '[^/]';
+    } else {
+      src += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${src}$`);
+}
+
+/*
+  Splits a comma-separated list of patterns, e.g. from a CLI flag.
+*/
+function parsePatterns(value) {
+  if (Array.isArray(value)) return value.map((p) => String(p).trim()).filter(Boolean);
+  return (value || '').split(',').map((p) => p.trim()).filter(Boolean);
+}
+
+/*
+  True when the path matches at least one of the patterns.
+*/
+function matchesAny(urlPath, patterns) {
+  return patterns.some((p) => globToRegExp(p).test(urlPath));
+}
+
+/*
+  Applies include/exclude filters. An empty include list means "include everything".
+*/
+function filterPaths(paths, include, exclude) {
+  return paths.filter((p) =>
+    (include.length === 0 || matchesAny(p, include)) && !matchesAny(p, exclude)
+  );
+}
+
+module.exports = { globToRegExp, parsePatterns, matchesAny, filterPaths };
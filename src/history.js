@@ -0,0 +1,182 @@
+/**
+ * history.js
+ * Keeps a history of scan totals so the trend of accessibility debt can be
+ * followed across merges, without any external service. The store is a
+ * plain file, kept on a branch or in an artifact directory:
+ *
+ *   *.ndjson (default)  one JSON record per line, cheap to append
+ *   *.json              a JSON array of records
+ *
+ * Each record holds the run's totals by impact, rule and page:
+ *
+ *   { "recordedAt": "...", "sha": "abc123", "ref": "refs/heads/main",
+ *     "total": 42, "byImpact": { "critical": 1, ... },
+ *     "byRule": { "color-contrast": 12, ... }, "byPage": { "/": 8, ... } }
+ *
+ * Usage:
+ *   node history.js record --scan scan.json --history a11y-history.ndjson \
+ *     [--sha abc123] [--ref refs/heads/main] [--keep 500]
+ *   node history.js trend --history a11y-history.ndjson [--last 20] [--json]
+ */
+
+'use strict';
+
+const fs       = require('fs');
+const minimist = require('minimist');
+
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+const DEFAULT_KEEP = 500;
+
+/*
+  Reads every record, oldest first. A missing file is an empty history.
+  Either format is accepted whatever the file is named.
+*/
+function loadHistory(file) {
+  if (!file || !fs.existsSync(file)) return [];
+  const text = fs.readFileSync(file, 'utf8');
+  if (text.trimStart().startsWith('[')) return JSON.parse(text);
+  return text.split('\n').filter((line) => line.trim()).map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch (err) {
+      throw new Error(`${file}:${i + 1}: invalid history record: ${err.message}`);
+    }
+  });
+}
+
+/*
+  Appends a record, keeping only the newest `keep` records.
+*/
+function appendRecord(file, record, keep = DEFAULT_KEEP) {
+  const records = [...loadHistory(file), record].slice(-keep);
+  const text = /\.json$/i.test(file)
+    ? `${JSON.stringify(records, null, 2)}\n`
+    : records.map((r) => JSON.stringify(r)).join('\n') + '\n';
+  fs.writeFileSync(file, text);
+  return records;
+}
+
+/*
+  Totals of a scan.js output file, counting every failing node.
+*/
+function buildRecord(scan, { sha = null, ref = null, recordedAt = new Date().toISOString() } = {}) {
+  const byImpact = Object.fromEntries(IMPACTS.map((i) => [i, 0]));
+  const byRule = {};
+  const byPage = {};
+  let total = 0;
+
+  for (const page of scan.pages || []) {
+    for (const violation of page.violations || []) {
+      const count = (violation.nodes || []).length;
+      total += count;
+      byImpact[violation.impact] = (byImpact[violation.impact] || 0) + count;
+      byRule[violation.id] = (byRule[violation.id] || 0) + count;
+      byPage[page.urlPath] = (byPage[page.urlPath] || 0) + count;
+    }
+  }
+  return { recordedAt, sha, ref, total, byImpact, byRule, byPage };
+}
+
+/*
+  Unicode sparkline, e.g. [5, 3, 8] → "▄▁█". Flat series draw a flat line.
+*/
+function sparkline(values) {
+  if (values.length === 0) return '';
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return values.map((v) => {
+    if (max === min) return SPARK_CHARS[3];
+    return SPARK_CHARS[Math.round(((v - min) / (max - min)) * (SPARK_CHARS.length - 1))];
+  }).join('');
+}
+
+function signed(n) {
+  return n > 0 ? `+${n}` : `${n}`;
+}
+
+/*
+  Per-rule change between two records, biggest movers first.
+*/
+function ruleChanges(from, to) {
+  const ids = new Set([...Object.keys(from.byRule || {}), ...Object.keys(to.byRule || {})]);
+  return [...ids]
+    .map((id) => ({ id, from: (from.byRule || {})[id] || 0, to: (to.byRule || {})[id] || 0 }))
+    .map((r) => ({ ...r, delta: r.to - r.from }))
+    .filter((r) => r.delta !== 0)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.id.localeCompare(b.id));
+}
+
+/*
+  Plain-text trend report over the last `last` records.
+*/
+function trendReport(records, last = 20) {
+  const recent = records.slice(-last);
+  if (recent.length === 0) return 'No history recorded yet.';
+
+  const first = recent[0];
+  const latest = recent[recent.length - 1];
+  const lines = [
+    `Accessibility trend — last ${recent.length} run(s)`,
+    '',
+    `  Total     ${sparkline(recent.map((r) => r.total))}  ${first.total} → ${latest.total} (${signed(latest.total - first.total)})`,
+    ...IMPACTS.map((i) => {
+      const values = recent.map((r) => (r.byImpact || {})[i] || 0);
+      return `  ${i.padEnd(9)} ${sparkline(values)}  ${values[0]} → ${values[values.length - 1]} (${signed(values[values.length - 1] - values[0])})`;
+    }),
+    '',
+    '  Date        Commit    Total  Crit  Ser  Mod  Min',
+    ...recent.map((r) => {
+      const b = r.byImpact || {};
+      return `  ${(r.recordedAt || '').slice(0, 10).padEnd(10)}  ${(r.sha || '—').slice(0, 7).padEnd(8)}  ${String(r.total).padStart(5)}  ${String(b.critical || 0).padStart(4)}  ${String(b.serious || 0).padStart(3)}  ${String(b.moderate || 0).padStart(3)}  ${String(b.minor || 0).padStart(3)}`;
+    }),
+  ];
+
+  const changes = ruleChanges(first, latest).slice(0, 10);
+  if (changes.length > 0) {
+    lines.push('', '  Biggest rule changes since the first run shown:');
+    for (const c of changes) lines.push(`    ${c.id.padEnd(28)} ${c.from} → ${c.to} (${signed(c.delta)})`);
+  }
+  return lines.join('\n');
+}
+
+function main() {
+  const args = minimist(process.argv.slice(2));
+  const command = args._[0];
+  const historyFile = args.history || 'a11y-history.ndjson';
+
+  if (command === 'record') {
+    if (!args.scan) {
+      console.error('Usage: node history.js record --scan <scan.json> --history <file> [--sha] [--ref] [--keep]');
+      process.exit(1);
+    }
+    const scan = JSON.parse(fs.readFileSync(args.scan, 'utf8'));
+    const record = buildRecord(scan, {
+      sha: args.sha || process.env.GITHUB_SHA || null,
+      ref: args.ref || process.env.GITHUB_REF || null,
+    });
+    const records = appendRecord(historyFile, record, parseInt(args.keep || DEFAULT_KEEP, 10));
+    console.log(`SUCCESS: Recorded ${record.total} violation(s) for ${record.sha || 'this run'} in ${historyFile} (${records.length} record(s))`);
+    return;
+  }
+
+  if (command === 'trend') {
+    const records = loadHistory(historyFile);
+    const last = parseInt(args.last || '20', 10);
+    if (args.json) {
+      console.log(JSON.stringify(records.slice(-last), null, 2));
+    } else {
+      console.log(trendReport(records, last));
+    }
+    return;
+  }
+
+  console.error('Usage: node history.js <record|trend> --history <file> ...');
+  process.exit(1);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { loadHistory, appendRecord, buildRecord, sparkline, trendReport, ruleChanges, IMPACTS };
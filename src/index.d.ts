@@ -0,0 +1,352 @@
+// Types for the programmatic API (index.js).
+
+export type Impact = 'critical' | 'serious' | 'moderate' | 'minor';
+
+/** A logger with the console's shape; scanUrls() is silent without one. */
+export interface Logger {
+  log(...args: unknown[]): void;
+  warn(...args: unknown[]): void;
+  error(...args: unknown[]): void;
+}
+
+/** A loaded config file (see config.js); `file` is where it came from. */
+export interface A11yGuardConfig {
+  file?: string;
+  urls?: string[];
+  concurrency?: number;
+  pageTimeoutMs?: number;
+  viewports?: string[];
+  modes?: string[];
+  interactions?: string;
+  storageState?: string;
+  loginScript?: string;
+  suppressions?: string;
+  matchThreshold?: number;
+  impactLevel?: Impact;
+  ignoreRules?: string[];
+  tags?: string[];
+  /** A WCAG target such as 'wcag22aa'; replaces `tags`. */
+  standard?: string;
+  waitFor?: string;
+  extraWaitMs?: number;
+  routes?: Record<string, Partial<Pick<A11yGuardConfig, 'impactLevel' | 'ignoreRules' | 'tags' | 'waitFor' | 'extraWaitMs'>>>;
+  policy?: PolicyConfig;
+  [key: string]: unknown;
+}
+
+export interface PolicyConfig {
+  failOn?: Impact[];
+  warnOn?: Impact[];
+  budgets?: { rules?: Record<string, number>; pages?: Record<string, number> };
+  totalIncrease?: 'fail' | 'warn' | 'off';
+  /** Level of new needs-review (axe incomplete) items. Default 'warn'. */
+  incomplete?: 'fail' | 'warn' | 'off';
+  ratchet?: string;
+}
+
+export interface ScanOptions {
+  /** Site to scan. Default http://localhost:3000. */
+  baseUrl?: string;
+  /** URL paths; an array or a comma-separated string. Default ['/']. */
+  urls?: string[] | string;
+  /** Routes file written by discover.js, merged with `urls`. */
+  urlsFile?: string;
+  /** A loaded config object or a config file path. */
+  config?: A11yGuardConfig | string;
+  interactions?: string;
+  storageState?: string;
+  loginScript?: string;
+  viewports?: string[] | string;
+  modes?: string[] | string;
+  ignoreRules?: string[] | string;
+  tags?: string[] | string;
+  /** Runs only the rules for a WCAG target, e.g. 'wcag22aa' or 'WCAG 2.1 AA'. Not with `tags`. */
+  standard?: string;
+  impactLevel?: Impact;
+  /** load | domcontentloaded | networkidle | selector:<css> */
+  waitFor?: string;
+  extraWaitMs?: number;
+  concurrency?: number;
+  pageTimeoutMs?: number;
+  /** Folder for page and node screenshots. */
+  screenshots?: string;
+  logger?: Logger;
+}
+
+export interface AxeNode {
+  target: string[];
+  ancestry?: string[];
+  html: string;
+  failureSummary?: string;
+  screenshot?: string | null;
+}
+
+export interface AxeViolation {
+  id: string;
+  impact: Impact;
+  description: string;
+  help: string;
+  helpUrl: string;
+  tags: string[];
+  nodes: AxeNode[];
+}
+
+export interface PageResult {
+  urlPath: string;
+  route: string;
+  state: string | null;
+  viewport?: string;
+  mode?: string;
+  impactLevel?: Impact;
+  fullUrl: string;
+  status: number | null;
+  missing: boolean;
+  screenshot?: string | null;
+  violations: AxeViolation[];
+  /** axe's incomplete (needs review) results; missing in older scans. */
+  incomplete?: AxeViolation[];
+  /** Rules that passed (id and tags only); missing in older scans. */
+  passes?: Array<{ id: string; tags: string[] }>;
+  passCount: number;
+  incompleteCount: number;
+  timestamp: string;
+}
+
+export interface ScanError {
+  urlPath: string;
+  viewport?: string;
+  mode?: string;
+  error: string;
+}
+
+export interface ScanResult {
+  generatedAt: string;
+  baseUrl: string;
+  impactLevel: Impact;
+  /** The WCAG target the rules were chosen for, e.g. 'wcag22aa'. */
+  standard?: string | null;
+  viewports: string[];
+  modes: string[];
+  pages: PageResult[];
+  errors: ScanError[];
+  /** The scan.js options besides baseUrl and urls, so a re-scan can repeat them. Only set by the CLI. */
+  settings?: Partial<ScanOptions>;
+}
+
+/** One failing node, flattened with its rule and page. */
+export interface Violation {
+  id: string;
+  impact: Impact;
+  description: string;
+  help: string;
+  helpUrl: string;
+  tags: string[];
+  urlPath: string;
+  viewport: string | null;
+  mode: string | null;
+  target: string[];
+  ancestry: string[] | null;
+  html: string;
+  failureSummary?: string;
+  screenshot: string | null;
+  fingerprint: string;
+  match?: { strategy: string; score?: number };
+  previous?: { fingerprint: string; target: string[]; html: string; screenshot: string | null };
+  baselineScreenshot?: string | null;
+  suppression?: { owner: string; justification: string; expires: string | null };
+}
+
+export interface TriggeredPolicy {
+  policy: 'expiredSuppressions' | 'failOn' | 'budget' | 'warnOn' | 'totalIncrease' | 'incomplete' | 'ratchet';
+  level: 'fail' | 'warn';
+  message: string;
+  count?: number;
+  rule?: string;
+  page?: string;
+  max?: number;
+}
+
+export type ImpactCounts = Record<Impact, number>;
+
+export interface DiffResult {
+  generatedAt: string;
+  regression: boolean;
+  summary: {
+    baselineTotal: number;
+    headTotal: number;
+    newViolations: number;
+    resolvedViolations: number;
+    unchanged: number;
+    changed: number;
+    suppressed: number;
+    expiredSuppressions: number;
+    staleSuppressions: number;
+    addedPages: number;
+    removedPages: number;
+    /** null when either scan did not record incomplete results. */
+    baselineIncomplete: number | null;
+    headIncomplete: number | null;
+    newIncomplete: number;
+    resolvedIncomplete: number;
+  };
+  pageChanges: { added: string[]; removed: string[] };
+  impactDelta: { baseline: ImpactCounts; head: ImpactCounts };
+  viewportDelta: { baseline: Record<string, number>; head: Record<string, number> };
+  modeDelta: { baseline: Record<string, number>; head: Record<string, number>; newByMode: Record<string, number> };
+  policy: { outcome: 'pass' | 'warn' | 'fail'; configured: boolean; triggered: TriggeredPolicy[] };
+  matching: { fuzzy: boolean; threshold: number | null };
+  pageScreenshots: { baseline: Record<string, string>; head: Record<string, string> };
+  newViolations: Violation[];
+  resolvedViolations: Violation[];
+  unchangedViolations: Violation[];
+  changedViolations: Violation[];
+  suppressedViolations: Violation[];
+  expiredSuppressionViolations: Violation[];
+  staleSuppressions: Array<{ index: number; owner: string; justification: string; [key: string]: unknown }>;
+  /** Needs-review (axe incomplete) items only on the PR branch. */
+  newIncomplete: Violation[];
+  resolvedIncomplete: Violation[];
+}
+
+export interface DiffOptions {
+  /** Similarity needed to pair a moved/changed node (0-1). Default 0.75. */
+  matchThreshold?: number;
+  /** false pairs exact fingerprints only. Default true. */
+  fuzzyMatch?: boolean;
+  /** A suppression file path, or entries already loaded from one. */
+  suppressions?: string | object[];
+  policy?: PolicyConfig;
+}
+
+export interface HistoryRecord {
+  recordedAt: string;
+  sha: string | null;
+  ref: string | null;
+  total: number;
+  byImpact: ImpactCounts;
+  byRule: Record<string, number>;
+  byPage: Record<string, number>;
+}
+
+export interface CommentOptions {
+  /** Default 65536, GitHub's limit. */
+  maxLength?: number;
+  /** Recorded baselines for the trend section (see history.js). */
+  history?: HistoryRecord[] | null;
+  /** Linked when the comment has to be shortened. */
+  reportUrl?: string | null;
+  /** false adds the report-only note to failing comments. */
+  failOnRegression?: boolean;
+  /** false leaves out the hidden marker line. Default true. */
+  marker?: boolean;
+}
+
+export type ErrorCode =
+  | 'CONFIG_INVALID'
+  | 'SUPPRESSIONS_INVALID'
+  | 'OPTIONS_INVALID'
+  | 'SCAN_INPUT_INVALID'
+  | 'AUTH_FAILED'
+  | 'PATCH_REJECTED'
+  | 'LLM_FAILED'
+  | 'LLM_BUDGET_EXCEEDED';
+
+export class A11yGuardError extends Error {
+  constructor(code: ErrorCode, message: string, details?: Record<string, unknown>);
+  code: ErrorCode;
+  details: { file?: string; problems?: string[]; [key: string]: unknown };
+}
+
+/** Scans every URL path; pages that fail are listed in `errors`, not thrown. */
+export function scanUrls(options?: ScanOptions): Promise<ScanResult>;
+
+/** Compares a baseline scan with a PR scan. */
+export function diffScans(baseline: ScanResult, head: ScanResult, options?: DiffOptions): DiffResult;
+
+/** Markdown PR comment for a diff. */
+export function renderComment(diff: DiffResult, options?: CommentOptions): string;
+
+/** Self-contained HTML report for a diff. */
+export function renderReport(diff: DiffResult, options?: { title?: string }): string;
+
+export type Framework = 'next' | 'remix' | 'sveltekit' | 'astro' | 'react-router';
+
+export interface ResolveOptions {
+  /** Skips detection (defaults to the A11Y_FRAMEWORK env var). */
+  framework?: Framework | 'static';
+}
+
+export interface ResolvedSource {
+  /** The page file, or the imported component that best matches the nodes. */
+  file: string;
+  pageFile: string;
+  /** Matched route pattern, e.g. "/blog/[slug]". */
+  route: string;
+  framework: Framework | 'static';
+  kind: 'static' | 'dynamic' | 'catch-all' | 'html';
+  component: boolean;
+  /** 0–1: how well the nodes' HTML matches `file`. */
+  fit: number;
+  /** 0–1: route specificity scaled by `fit`. */
+  confidence: number;
+  reason: string;
+}
+
+/** Page file that renders a URL path under projectRoot, or null. */
+export function resolveUrlToFile(urlPath: string, projectRoot: string, options?: ResolveOptions): string | null;
+
+/** Source file that renders a violation (or { urlPath, nodes }), with confidence. */
+export function resolveSource(
+  target: { urlPath: string; html?: string; nodes?: AxeNode[] },
+  projectRoot: string,
+  options?: ResolveOptions,
+): ResolvedSource | null;
+
+export interface WcagCriterion {
+  /** e.g. "1.4.3" */
+  id: string;
+  name: string;
+  level: 'A' | 'AA' | 'AAA';
+  /** WCAG version that introduced it. */
+  version: '2.0' | '2.1' | '2.2';
+  /** Version it was removed from (4.1.1 Parsing: 2.2). */
+  removedIn?: string;
+  /** Its Understanding document. */
+  url: string;
+}
+
+export type ConformanceStatus = 'supports' | 'partially-supports' | 'does-not-support' | 'not-tested';
+
+export interface ConformanceSummary {
+  generatedAt: string;
+  standard: { id: string; label: string };
+  baseUrl: string | null;
+  scannedAt: string | null;
+  pages: string[];
+  counts: Record<ConformanceStatus, number>;
+  criteria: Array<WcagCriterion & { status: ConformanceStatus; remarks: string }>;
+  notes: string[];
+}
+
+/** Every WCAG 2.0–2.2 success criterion. */
+export const WCAG_CRITERIA: WcagCriterion[];
+
+/** Success criteria named by axe tags such as "wcag143". */
+export function criteriaFor(tags: string[]): WcagCriterion[];
+
+/** axe tags that select the rules of a WCAG target, e.g. 'wcag22aa'. */
+export function axeTagsFor(standard: string): string[];
+
+/** Draft per-criterion conformance summary of a scan. Defaults to the scan's standard, else WCAG 2.2 AA. */
+export function buildConformance(scan: ScanResult, options?: { standard?: string }): ConformanceSummary;
+
+export function renderConformance(summary: ConformanceSummary, format?: 'markdown' | 'json'): string;
+
+/** Stable fingerprint of one failing node. */
+export function fingerprint(ruleId: string, node: AxeNode, page?: { urlPath?: string; viewport?: string; mode?: string }): string;
+
+/** Reads and validates a config file; {} when none is found. */
+export function loadConfig(file?: string, cwd?: string): A11yGuardConfig;
+
+export const COMMENT_LIMIT: number;
+export const COMMENT_MARKER: string;
@@ -0,0 +1,54 @@
+/**
+ * index.js
+ * Library entry point: the pipeline as plain functions for your own Node
+ * tooling and tests. Nothing here reads process.argv or exits the process;
+ * failures throw an A11yGuardError with a `code` (see errors.js).
+ *
+ *   const { scanUrls, diffScans, renderComment } = require('a11y-diff-action');
+ *
+ *   const baseline = await scanUrls({ baseUrl: 'http://localhost:4000', urls: ['/', '/about'] });
+ *   const head     = await scanUrls({ baseUrl: 'http://localhost:5000', urls: ['/', '/about'] });
+ *   const diff     = diffScans(baseline, head, { suppressions: '.a11yguard-suppressions.json' });
+ *   console.log(renderComment(diff, { marker: false }));
+ *
+ * Types are in index.d.ts.
+ */
+
+'use strict';
+
+const { scanUrls } = require('./scan');
+const { diffScans, fingerprint } = require('./diff');
+const { buildComment, COMMENT_LIMIT, COMMENT_MARKER } = require('./comment');
+const { buildReport } = require('./report');
+const { resolveUrlToFile, resolveSource } = require('./resolve');
+const { buildConformance, renderConformance } = require('./conformance');
+const { CRITERIA, criteriaFor, axeTagsFor } = require('./wcag');
+const { loadConfig } = require('./config');
+const { A11yGuardError } = require('./errors');
+
+/**
+ * Markdown PR comment for a diff, kept under options.maxLength (GitHub's
+ * comment limit by default).
+ */
+function renderComment(diff, options) {
+  return buildComment(diff, options);
+}
+
+module.exports = {
+  scanUrls,
+  diffScans,
+  renderComment,
+  renderReport: buildReport,
+  resolveUrlToFile,
+  resolveSource,
+  buildConformance,
+  renderConformance,
+  WCAG_CRITERIA: CRITERIA,
+  criteriaFor,
+  axeTagsFor,
+  fingerprint,
+  loadConfig,
+  A11yGuardError,
+  COMMENT_LIMIT,
+  COMMENT_MARKER,
+};
@@ -0,0 +1,132 @@
+/**
+ * interactions.js
+ * Loads per-route interaction states and plays their steps on a Playwright
+ * page before the axe scan, so violations that only exist after user input
+ * (open modals, expanded menus, validation errors, tabs) get scanned too.
+ *
+ * File format (JSON). Keys are route paths or glob patterns (see glob.js):
+ *
+ *   {
+ *     "/checkout": [
+ *       {
+ *         "name": "error-state",
+ *         "steps": [
+ *           { "action": "fill",  "selector": "#email", "value": "not-an-email" },
+ *           { "action": "click", "selector": "button[type=submit]" },
+ *           { "action": "waitForSelector", "selector": ".field-error" }
+ *         ]
+ *       }
+ *     ],
+ *     "/**": [
+ *       { "name": "nav-open", "steps": [{ "action": "script", "module": "./open-nav.js" }] }
+ *     ]
+ *   }
+ *
+ * Each state is scanned as its own page entry named "<route>#<state name>".
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { globToRegExp } = require('./glob');
+
+// Each action lists the step fields it requires.
+const STEP_ACTIONS = {
+  click:           ['selector'],
+  fill:            ['selector', 'value'],
+  press:           ['key'],
+  waitForSelector: ['selector'],
+  wait:            ['ms'],
+  script:          ['module'],
+};
+
+const STATE_NAME = /^[A-Za-z0-9_-]+$/;
+
+/*
+  Reads and validates the interactions file. Script module paths are
+  resolved relative to the file so the config can live anywhere in the repo.
+*/
+function loadInteractions(file) {
+  if (!file) return [];
+
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const dir = path.dirname(path.resolve(file));
+  const entries = [];
+
+  for (const [pattern, states] of Object.entries(raw)) {
+    if (!Array.isArray(states)) {
+      throw new Error(`interactions: "${pattern}" must map to an array of states`);
+    }
+    for (const state of states) {
+      if (!state.name || !STATE_NAME.test(state.name)) {
+        throw new Error(`interactions: state under "${pattern}" needs a name made of letters, digits, "-" or "_"`);
+      }
+      const steps = state.steps || [];
+      steps.forEach((step, i) => {
+        const required = STEP_ACTIONS[step.action];
+        if (!required) {
+          throw new Error(`interactions: ${pattern}#${state.name} step ${i + 1} has unknown action "${step.action}"`);
+        }
+        for (const field of required) {
+          if (step[field] === undefined) {
+            throw new Error(`interactions: ${pattern}#${state.name} step ${i + 1} (${step.action}) is missing "${field}"`);
+          }
+        }
+        if (step.action === 'script') step.module = path.resolve(dir, step.module);
+      });
+      entries.push({ pattern, regex: globToRegExp(pattern), name: state.name, steps });
+    }
+  }
+
+  return entries;
+}
+
+/*
+  All states that apply to a route. A state name used by more than one
+  matching pattern is only kept once (first match wins).
+*/
+function statesForRoute(entries, urlPath) {
+  const seen = new Set();
+  return entries.filter((e) => {
+    if (!e.regex.test(urlPath) || seen.has(e.name)) return false;
+    seen.add(e.name);
+    return true;
+  });
+}
+
+/*
+  Plays a state's steps in order. Any failing step throws, which the scanner
+  reports as a scan error for that state only.
+*/
+async function runSteps(page, steps, context) {
+  for (const step of steps) {
+    const timeout = step.timeout || 10000;
+    switch (step.action) {
+      case 'click':
+        await page.click(step.selector, { timeout });
+        break;
+      case 'fill':
+        await page.fill(step.selector, String(step.value), { timeout });
+        break;
+      case 'press':
+        if (step.selector) await page.press(step.selector, step.key, { timeout });
+        else await page.keyboard.press(step.key);
+        break;
+      case 'waitForSelector':
+        await page.waitForSelector(step.selector, { state: step.state || 'visible', timeout });
+        break;
+      case 'wait':
+        await page.waitForTimeout(step.ms);
+        break;
+      case 'script': {
+        // Custom modules export `async (page, context) => {}`
+        const fn = require(step.module);
+        await (typeof fn === 'function' ? fn : fn.default)(page, context);
+        break;
+      }
+    }
+  }
+}
+
+module.exports = { loadInteractions, statesForRoute, runSteps, STEP_ACTIONS };
@@ -0,0 +1,214 @@
+/**
+ * llm.js
+ * Chat-completion providers for the AI fixer (auto-fix.js).
+ *
+ *   openai  Any OpenAI-compatible /chat/completions endpoint: OpenRouter
+ *           (the default), a self-hosted vLLM or Ollama server, Azure-style
+ *           gateways. Retries 429 and 5xx responses and network errors with
+ *           exponential backoff, honouring Retry-After.
+ *   mock    Replays responses recorded in a JSON file, so the fixer can run
+ *           offline and deterministically. Record them with the openai
+ *           provider and `record` set to the same file.
+ *
+ * Options (createProvider):
+ *   provider        'openai' | 'mock'                       (default 'openai')
+ *   baseUrl         API base, /chat/completions is appended (default OpenRouter)
+ *   apiKey          sent in authHeader; omitted when empty
+ *   authHeader      header for the key (default Authorization, as "Bearer <key>";
+ *                   any other header gets the bare key, e.g. api-key)
+ *   model           model id                                (default google/gemini-2.0-flash-001)
+ *   temperature     sampling temperature                    (default 0)
+ *   timeoutMs       per attempt                             (default 60000)
+ *   maxRetries      retries after the first attempt         (default 3)
+ *   backoffMs       first retry delay, doubled each time    (default 1000)
+ *   maxInputTokens  estimated prompt size limit             (default 100000)
+ *   maxOutputTokens sent as max_tokens                      (default 4096)
+ *   recordings      mock: file with the recorded responses
+ *   record          openai: file to save responses to, for the mock
+ *
+ * Prompts over maxInputTokens (estimated at 4 characters per token) are
+ * refused before any request with LLM_BUDGET_EXCEEDED; other failures
+ * throw LLM_FAILED (see errors.js).
+ */
+
+'use strict';
+
+const fs     = require('fs');
+const crypto = require('crypto');
+const { A11yGuardError } = require('./errors');
+
+const DEFAULTS = {
+  provider:        'openai',
+  baseUrl:         'https://openrouter.ai/api/v1',
+  authHeader:      'Authorization',
+  model:           'google/gemini-2.0-flash-001',
+  temperature:     0,
+  timeoutMs:       60000,
+  maxRetries:      3,
+  backoffMs:       1000,
+  maxInputTokens:  100000,
+  maxOutputTokens: 4096,
+};
+
+const CHARS_PER_TOKEN = 4;
+const RETRY_STATUSES  = new Set([408, 429, 500, 502, 503, 504]);
+
+function estimateTokens(messages) {
+  return Math.ceil(messages.reduce((sum, m) => sum + m.content.length, 0) / CHARS_PER_TOKEN);
+}
+
+/*
+  Key of a request in a recordings file: the same model and messages
+  always give the same key.
+*/
+function requestKey(model, messages) {
+  return crypto.createHash('sha256').update(JSON.stringify({ model, messages })).digest('hex').slice(0, 16);
+}
+
+function readRecordings(file) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new A11yGuardError('LLM_FAILED', `Cannot read recordings file ${file}: ${err.message}`, { file });
+  }
+}
+
+function checkBudget(messages, maxInputTokens) {
+  const tokens = estimateTokens(messages);
+  if (tokens > maxInputTokens) {
+    throw new A11yGuardError('LLM_BUDGET_EXCEEDED',
+      `The prompt needs about ${tokens} tokens, over the budget of ${maxInputTokens}`, { tokens, maxInputTokens });
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Delay before retry `attempt` (0-based): Retry-After when the server sent one.
+function retryDelay(attempt, backoffMs, retryAfter) {
+  const seconds = Number(retryAfter);
+  if (retryAfter && Number.isFinite(seconds)) return seconds * 1000;
+  return backoffMs * 2 ** attempt;
+}
+
+function authHeaders(authHeader, apiKey) {
+  if (!apiKey) return {};
+  return { [authHeader]: authHeader.toLowerCase() === 'authorization' ? `Bearer ${apiKey}` : apiKey };
+}
+
+function openAiProvider(opts) {
+  const url = `${opts.baseUrl.replace(/\/$/, '')}/chat/completions`;
+  const headers = {
+    'Content-Type': 'application/json',
+    ...authHeaders(opts.authHeader, opts.apiKey),
+    // OpenRouter's app attribution; other servers ignore these.
+    ...(/openrouter\.ai/.test(url) ? { 'HTTP-Referer': 'https://github.com/zachkklein/WCAG_PR_Checker', 'X-Title': 'a11yGuard-Bot' } : {}),
+  };
+
+  async function attempt(body) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), opts.timeoutMs);
+    try {
+      const response = await fetch(url, { method: 'POST', headers, body, signal: controller.signal });
+      const text = await response.text();
+      return { status: response.status, ok: response.ok, retryAfter: response.headers.get('retry-after'), text };
+    } catch (err) {
+      const reason = err.name === 'AbortError' ? `timed out after ${opts.timeoutMs}ms` : err.message;
+      return { status: null, ok: false, error: reason };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function complete(messages) {
+    checkBudget(messages, opts.maxInputTokens);
+    const body = JSON.stringify({
+      model:       opts.model,
+      messages,
+      temperature: opts.temperature,
+      max_tokens:  opts.maxOutputTokens,
+    });
+
+    let result;
+    for (let i = 0; ; i++) {
+      result = await attempt(body);
+      const retryable = result.status === null || RETRY_STATUSES.has(result.status);
+      if (result.ok || !retryable || i >= opts.maxRetries) break;
+      const delay = retryDelay(i, opts.backoffMs, result.retryAfter);
+      console.warn(`WARN: LLM request failed (${result.error || `HTTP ${result.status}`}); retrying in ${delay}ms...`);
+      await sleep(delay);
+    }
+
+    if (!result.ok) {
+      let apiError = result.error || result.text;
+      try {
+        apiError = JSON.parse(result.text).error?.message || apiError;
+      } catch {
+        // not JSON: keep the raw body
+      }
+      throw new A11yGuardError('LLM_FAILED', `LLM API error (${result.status ? `HTTP ${result.status}` : 'no response'}): ${apiError}`, { status: result.status });
+    }
+
+    let data;
+    try {
+      data = JSON.parse(result.text);
+    } catch {
+      throw new A11yGuardError('LLM_FAILED', 'The LLM API returned a response that is not JSON');
+    }
+    if (!data.choices || data.choices.length === 0) {
+      throw new A11yGuardError('LLM_FAILED', 'The LLM API returned success but no choices were found in the response.');
+    }
+
+    const content = data.choices[0].message.content;
+    if (opts.record) {
+      const recordings = readRecordings(opts.record);
+      recordings[requestKey(opts.model, messages)] = content;
+      fs.writeFileSync(opts.record, JSON.stringify(recordings, null, 2));
+    }
+    return { content, usage: data.usage || null };
+  }
+
+  return { name: 'openai', model: opts.model, complete };
+}
+
+function mockProvider(opts) {
+  if (!opts.recordings) {
+    throw new A11yGuardError('OPTIONS_INVALID', 'The mock LLM provider needs a recordings file');
+  }
+  const recordings = readRecordings(opts.recordings);
+
+  async function complete(messages) {
+    checkBudget(messages, opts.maxInputTokens);
+    const key = requestKey(opts.model, messages);
+    if (!(key in recordings)) {
+      throw new A11yGuardError('LLM_FAILED', `No recorded response for request ${key} in ${opts.recordings}`, { key });
+    }
+    return { content: recordings[key], usage: null };
+  }
+
+  return { name: 'mock', model: opts.model, complete };
+}
+
+/*
+  A provider with complete(messages) → { content, usage }. Options left
+  undefined or empty fall back to DEFAULTS.
+*/
+function createProvider(options = {}) {
+  const given = Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined && v !== ''));
+  const opts = { ...DEFAULTS, ...given };
+  for (const key of ['temperature', 'timeoutMs', 'maxRetries', 'backoffMs', 'maxInputTokens', 'maxOutputTokens']) {
+    opts[key] = Number(opts[key]);
+    if (!Number.isFinite(opts[key]) || opts[key] < 0) {
+      throw new A11yGuardError('OPTIONS_INVALID', `Invalid LLM option ${key}: "${given[key]}"`);
+    }
+  }
+
+  switch (opts.provider) {
+    case 'openai': return openAiProvider(opts);
+    case 'mock':   return mockProvider(opts);
+    default:
+      throw new A11yGuardError('OPTIONS_INVALID', `Unknown LLM provider "${opts.provider}" (expected openai or mock)`);
+  }
+}
+
+module.exports = { createProvider, requestKey, estimateTokens, DEFAULTS };
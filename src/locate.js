@@ -0,0 +1,142 @@
+/**
+ * locate.js
+ * Finds the line in a source file that most likely renders a failing node,
+ * so annotations (checks.js) and SARIF results (sarif.js) can point at it.
+ * resolve.js also uses the scores to pick which component renders a node.
+ *
+ * The node's HTML snippet from axe is parsed for its tag, attributes and
+ * text. Every opening tag of the same name in the file is then scored by
+ * how many of those it contains (an id counts most, then attributes such as
+ * name/href/src/alt, then text, then class names). Works on HTML, JSX/TSX,
+ * Vue, Svelte and Astro templates; attributes split over several lines are
+ * read together with their tag.
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+const ATTR_WEIGHTS = {
+  id: 6,
+  name: 3, for: 3, href: 3, src: 3, alt: 3, 'aria-label': 3, 'aria-labelledby': 3,
+  title: 2, placeholder: 2, role: 2, type: 1, lang: 1, content: 1,
+};
+const TEXT_WEIGHT  = 2;
+const CLASS_WEIGHT = 1;
+// Lines read after the tag's own line to find attributes on their own lines.
+const TAG_WINDOW = 6;
+
+const fileCache = new Map();
+
+function readLines(filePath) {
+  if (!fileCache.has(filePath)) {
+    let lines = null;
+    try {
+      lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+    } catch {
+      // unreadable file: nothing to locate
+    }
+    fileCache.set(filePath, lines);
+  }
+  return fileCache.get(filePath);
+}
+
+/*
+  Tag, attributes and leading text of the first element in an HTML snippet,
+  e.g. '<a class="nav" href="/x">Home</a>' →
+  { tag: 'a', attrs: { class: 'nav', href: '/x' }, text: 'Home' }.
+*/
+function parseElement(html) {
+  const open = (html || '').match(/^\s*<([a-zA-Z][\w:-]*)([^>]*)>([^<]*)/);
+  if (!open) return null;
+  const attrs = {};
+  const attrPattern = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let m;
+  while ((m = attrPattern.exec(open[2])) !== null) {
+    attrs[m[1].toLowerCase()] = m[2] ?? m[3] ?? m[4] ?? '';
+  }
+  return { tag: open[1].toLowerCase(), attrs, text: open[3].trim().slice(0, 60) };
+}
+
+/*
+  What to look for in the source, with weights. Short or generic values
+  ("#", "button") are skipped because they would match everywhere.
+*/
+function needlesFor(element) {
+  const needles = [];
+  for (const [name, value] of Object.entries(element.attrs)) {
+    if (name === 'class') {
+      value.split(/\s+/).filter((c) => c.length > 2).slice(0, 4)
+        .forEach((c) => needles.push({ text: c, weight: CLASS_WEIGHT }));
+    } else if (ATTR_WEIGHTS[name] && value.length > 1) {
+      needles.push({ text: value, weight: ATTR_WEIGHTS[name] });
+    }
+  }
+  if (element.text.length > 2) needles.push({ text: element.text, weight: TEXT_WEIGHT });
+  return needles;
+}
+
+/*
+  Best-matching opening tag for a violation node among `lines`, as
+  { score, maxScore, startLine, startColumn } (1-based lines), or null when
+  the tag never appears. maxScore is what a tag matching every attribute
+  and the text would score; resolve.js compares files by score / maxScore.
+*/
+function matchLines(lines, node) {
+  const element = parseElement(node.html);
+  if (!lines || !element) return null;
+
+  const tagPattern = new RegExp(`<${element.tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?=[\\s>/]|$)`, 'i');
+  const needles = needlesFor(element);
+
+  let best = null;
+  for (let i = 0; i < lines.length; i++) {
+    const tagMatch = tagPattern.exec(lines[i]);
+    if (!tagMatch) continue;
+
+    // The tag plus following lines up to the end of the opening tag.
+    let chunk = lines[i].slice(tagMatch.index);
+    for (let j = i + 1; j < Math.min(lines.length, i + TAG_WINDOW) && !chunk.includes('>'); j++) {
+      chunk += `\n${lines[j]}`;
+    }
+    // Text right after the opening tag may sit on the next line in JSX.
+    if (i + 1 < lines.length) chunk += `\n${lines[i + 1]}`;
+
+    const score = needles.reduce((sum, n) => sum + (chunk.includes(n.text) ? n.weight : 0), 0);
+    if (!best || score > best.score) {
+      best = { score, startLine: i + 1, startColumn: tagMatch.index + 1 };
+    }
+  }
+
+  if (!best) return null;
+  return { ...best, maxScore: needles.reduce((sum, n) => sum + n.weight, 0) };
+}
+
+/*
+  matchLines() on the file at `filePath`, read once and cached.
+*/
+function matchNode(filePath, node) {
+  return matchLines(readLines(filePath), node);
+}
+
+function position(best) {
+  return best ? { startLine: best.startLine, startColumn: best.startColumn } : null;
+}
+
+/*
+  Best-matching line for a violation node in `filePath`, as
+  { startLine, startColumn } (1-based), or null when the tag never appears.
+*/
+function locateNode(filePath, node) {
+  return position(matchNode(filePath, node));
+}
+
+/*
+  locateNode() on text that may differ from the file on disk, e.g. a file
+  the rule-based fixers have already changed.
+*/
+function locateNodeIn(source, node) {
+  return position(matchLines(source.split(/\r?\n/), node));
+}
+
+module.exports = { locateNode, locateNodeIn, matchNode, parseElement };
@@ -0,0 +1,201 @@
+/**
+ * match.js
+ * Pairs baseline and head violation nodes so that cosmetic changes (a typo
+ * fix in a label, a regenerated CSS-module hash, a reordered sibling) are
+ * not reported as one resolved plus one new violation.
+ *
+ * Matching runs in three passes, each only over what is still unmatched:
+ *
+ *   exact       identical fingerprint (see diff.js)
+ *   normalized  same page, rule and variant; selector and HTML identical
+ *               once hashed class names, nth-child indices and whitespace
+ *               are normalized away
+ *   similarity  same page, rule and variant; weighted similarity of the
+ *               selector, DOM path (axe "ancestry") and HTML is at or
+ *               above the threshold. Best-scoring pairs are taken first.
+ */
+
+'use strict';
+
+const WEIGHTS = { selector: 0.35, domPath: 0.25, html: 0.4 };
+const DEFAULT_THRESHOLD = 0.75;
+
+// Class names that carry a build-generated hash, e.g. "Button_primary__3xK9a",
+// "css-1a2b3c", "jsx-2839173", "sc-bdVaJa". Only suffixes containing a digit
+// are treated as hashes so real words ("header-navigation") survive.
+const HASHED_SUFFIX = /(__|_|-)(?=[A-Za-z0-9]*\d)[A-Za-z0-9]{5,}\b/g;
+
+function normalizeSelector(selector) {
+  return selector
+    .replace(HASHED_SUFFIX, '')
+    .replace(/:nth-(child|of-type)\(\d+\)/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function normalizeHtml(html) {
+  return (html || '')
+    .replace(HASHED_SUFFIX, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/*
+  Tag-only path of the node, e.g. "html > body > main > div:nth-child(2) > a"
+  becomes ["html", "body", "main", "div", "a"].
+*/
+function domPath(entry) {
+  const ancestry = entry.ancestry && entry.ancestry[entry.ancestry.length - 1];
+  if (!ancestry) return null;
+  return ancestry.split('>').map((part) => part.trim().match(/^[a-z0-9-]*/i)[0].toLowerCase()).filter(Boolean);
+}
+
+/*
+  Dice coefficient over character bigrams: 1 for identical strings, 0 for
+  nothing in common. Tolerant of small edits anywhere in the string.
+*/
+function stringSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bg = a.slice(i, i + 2);
+    bigrams.set(bg, (bigrams.get(bg) || 0) + 1);
+  }
+  let overlap = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bg = b.slice(i, i + 2);
+    const count = bigrams.get(bg) || 0;
+    if (count > 0) {
+      bigrams.set(bg, count - 1);
+      overlap++;
+    }
+  }
+  return (2 * overlap) / (a.length + b.length - 2);
+}
+
+/*
+  1 - normalized edit distance between two tag paths.
+*/
+function pathSimilarity(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const dist = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+  for (let j = 1; j < cols; j++) dist[0][j] = j;
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      dist[i][j] = Math.min(dist[i - 1][j] + 1, dist[i][j - 1] + 1, dist[i - 1][j - 1] + cost);
+    }
+  }
+  return 1 - dist[a.length][b.length] / Math.max(a.length, b.length, 1);
+}
+
+/*
+  Weighted similarity of two violation entries. When either side has no DOM
+  path (older scans), its weight is spread over the other two signals.
+*/
+function scorePair(a, b) {
+  const scores = {
+    selector: stringSimilarity(normalizeSelector(a.target.join(' > ')), normalizeSelector(b.target.join(' > '))),
+    html:     stringSimilarity(normalizeHtml(a.html), normalizeHtml(b.html)),
+  };
+  const pathA = domPath(a);
+  const pathB = domPath(b);
+  if (pathA && pathB) scores.domPath = pathSimilarity(pathA, pathB);
+
+  let total = 0;
+  let weight = 0;
+  for (const [key, value] of Object.entries(scores)) {
+    total  += value * WEIGHTS[key];
+    weight += WEIGHTS[key];
+  }
+  return { score: total / weight, scores };
+}
+
+// Fuzzy passes only pair nodes for the same rule, on the same page and variant.
+function groupKey(v) {
+  return [v.urlPath, v.viewport || '', v.mode || '', v.id].join('::');
+}
+
+function roundScores(scores) {
+  return Object.fromEntries(Object.entries(scores).map(([k, v]) => [k, Math.round(v * 1000) / 1000]));
+}
+
+/*
+  Matches two fingerprint maps (fingerprint → entry).
+  Returns the matched pairs with their strategy, plus what is left over on
+  each side: leftover head entries are new, leftover baseline entries are resolved.
+*/
+function matchViolations(baselineMap, headMap, { threshold = DEFAULT_THRESHOLD, fuzzy = true } = {}) {
+  const pairs = [];
+  const baselineLeft = new Map(baselineMap);
+  const headLeft = new Map(headMap);
+
+  // Pass 1: exact fingerprint
+  for (const [fp, head] of headMap) {
+    if (baselineLeft.has(fp)) {
+      pairs.push({ baseline: baselineLeft.get(fp), head, match: { strategy: 'exact', score: 1 } });
+      baselineLeft.delete(fp);
+      headLeft.delete(fp);
+    }
+  }
+
+  if (!fuzzy) {
+    return { pairs, newViolations: [...headLeft.values()], resolvedViolations: [...baselineLeft.values()] };
+  }
+
+  // Pass 2: normalized selector + HTML
+  const normalizedKey = (v) => `${groupKey(v)}::${normalizeSelector(v.target.join(' > '))}::${normalizeHtml(v.html)}`;
+  const baselineByKey = new Map();
+  for (const [fp, v] of baselineLeft) {
+    const key = normalizedKey(v);
+    if (!baselineByKey.has(key)) baselineByKey.set(key, []);
+    baselineByKey.get(key).push(fp);
+  }
+  for (const [fp, head] of [...headLeft]) {
+    const candidates = baselineByKey.get(normalizedKey(head));
+    if (!candidates || candidates.length === 0) continue;
+    const baseFp = candidates.shift();
+    pairs.push({ baseline: baselineLeft.get(baseFp), head, match: { strategy: 'normalized', score: 1 } });
+    baselineLeft.delete(baseFp);
+    headLeft.delete(fp);
+  }
+
+  // Pass 3: similarity, best pairs first within each page/rule/variant group
+  const candidates = [];
+  for (const [headFp, head] of headLeft) {
+    for (const [baseFp, baseline] of baselineLeft) {
+      if (groupKey(head) !== groupKey(baseline)) continue;
+      const { score, scores } = scorePair(baseline, head);
+      if (score >= threshold) candidates.push({ headFp, baseFp, score, scores });
+    }
+  }
+  candidates.sort((a, b) => b.score - a.score);
+  for (const c of candidates) {
+    if (!headLeft.has(c.headFp) || !baselineLeft.has(c.baseFp)) continue;
+    pairs.push({
+      baseline: baselineLeft.get(c.baseFp),
+      head:     headLeft.get(c.headFp),
+      match:    { strategy: 'similarity', score: Math.round(c.score * 1000) / 1000, scores: roundScores(c.scores) },
+    });
+    baselineLeft.delete(c.baseFp);
+    headLeft.delete(c.headFp);
+  }
+
+  return {
+    pairs,
+    newViolations:      [...headLeft.values()],
+    resolvedViolations: [...baselineLeft.values()],
+  };
+}
+
+module.exports = {
+  matchViolations,
+  scorePair,
+  normalizeSelector,
+  normalizeHtml,
+  stringSimilarity,
+  DEFAULT_THRESHOLD,
+};
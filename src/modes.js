@@ -0,0 +1,71 @@
+/**
+ * modes.js
+ * Resolves the --modes list into media emulation settings. Every route is
+ * scanned once per mode, so issues that only exist under a user preference
+ * (e.g. contrast in the dark theme) are caught.
+ *
+ *   default          no emulation (whatever the page does out of the box)
+ *   light / dark     prefers-color-scheme
+ *   reduced-motion   prefers-reduced-motion: reduce
+ *   forced-colors    forced-colors: active (Windows high contrast)
+ *   zoom-200         200% browser zoom: CSS viewport halved at 2x pixel
+ *                    density, the same layout a user gets from Ctrl/Cmd +
+ *
+ * Modes can be combined with "+", e.g. "dark+reduced-motion".
+ */
+
+'use strict';
+
+const MODE_SETTINGS = {
+  default:          {},
+  light:            { colorScheme: 'light' },
+  dark:             { colorScheme: 'dark' },
+  'reduced-motion': { reducedMotion: 'reduce' },
+  'forced-colors':  { forcedColors: 'active' },
+  'zoom-200':       { zoom: 2 },
+};
+
+// Playwright's default viewport, used when zooming without --viewports.
+const DEFAULT_VIEWPORT = { width: 1280, height: 720 };
+
+/*
+  Turns a comma-separated mode list into [{ name, settings }].
+  An empty list yields a single unnamed entry with no emulation, so scans
+  without --modes look exactly as before.
+*/
+function resolveModes(value) {
+  const names = (value || '').split(',').map((m) => m.trim()).filter(Boolean);
+  if (names.length === 0) return [{ name: null, settings: {} }];
+
+  return [...new Set(names)].map((name) => {
+    const settings = {};
+    for (const part of name.split('+').map((p) => p.trim().toLowerCase())) {
+      if (!MODE_SETTINGS[part]) {
+        throw new Error(`Unknown mode "${part}". Use one of: ${Object.keys(MODE_SETTINGS).join(', ')} (combine with "+").`);
+      }
+      Object.assign(settings, MODE_SETTINGS[part]);
+    }
+    return { name, settings };
+  });
+}
+
+/*
+  Applies a mode on top of the viewport's context options. Zoom shrinks the
+  CSS viewport and raises the device scale factor, which is how a browser
+  zoom reflows the page.
+*/
+function applyMode(contextOptions, mode) {
+  const { zoom, ...media } = mode.settings;
+  const options = { ...contextOptions, ...media };
+  if (zoom) {
+    const base = contextOptions.viewport || DEFAULT_VIEWPORT;
+    options.viewport = {
+      width:  Math.round(base.width / zoom),
+      height: Math.round(base.height / zoom),
+    };
+    options.deviceScaleFactor = (contextOptions.deviceScaleFactor || 1) * zoom;
+  }
+  return options;
+}
+
+module.exports = { resolveModes, applyMode, MODE_SETTINGS };
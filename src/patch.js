@@ -0,0 +1,227 @@
+/**
+ * patch.js
+ * Applies the AI fixer's edits (see auto-fix.js) strictly, so a bad reply
+ * can never damage a file. The model answers with search/replace edits:
+ *
+ *   { "edits": [ { "search": "<img src=\"/hero.png\">",
+ *                  "replace": "<img src=\"/hero.png\" alt=\"Team photo\">" } ] }
+ *
+ * An edit set is rejected as a whole when any edit:
+ *   - has a search text that is missing from the file or appears more than once
+ *   - overlaps another edit
+ *   - touches lines that are not near a failing element (found with locate.js)
+ *   - changes text content rather than markup and attributes
+ * and when the patched file no longer parses: Babel for JS/TS/JSX, parse5
+ * plus a tag-balance check for HTML and other templates.
+ *
+ * Rejections throw an A11yGuardError with code PATCH_REJECTED and the
+ * reasons in details.problems.
+ */
+
+'use strict';
+
+const path = require('path');
+const babel = require('@babel/parser');
+const parse5 = require('parse5');
+const { createTwoFilesPatch } = require('diff');
+const { A11yGuardError } = require('./errors');
+const { locateNodeIn } = require('./locate');
+
+// Lines around a failing element's opening tag that an edit may touch.
+const LINES_BEFORE = 2;
+const LINES_AFTER  = 8;
+
+const BABEL_PLUGINS = {
+  '.tsx': ['typescript', 'jsx'],
+  '.ts':  ['typescript'],
+  '.jsx': ['jsx'],
+  '.js':  ['jsx'],
+  '.mjs': ['jsx'],
+  '.cjs': ['jsx'],
+};
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr',
+]);
+
+function reject(problems) {
+  throw new A11yGuardError('PATCH_REJECTED', `Fix rejected: ${problems.join('; ')}`, { problems });
+}
+
+/*
+  Edits from the model's reply. Code fences around the JSON are tolerated;
+  anything else that is not { edits: [{ search, replace }] } is rejected.
+*/
+function parseEdits(reply) {
+  const text = String(reply || '').trim().replace(/^```[a-z]*\n?/i, '').replace(/\n?```$/, '');
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    reject([`the reply is not JSON (${err.message})`]);
+  }
+  const edits = parsed && parsed.edits;
+  if (!Array.isArray(edits) || edits.length === 0) reject(['the reply has no "edits" array']);
+  edits.forEach((e, i) => {
+    if (!e || typeof e.search !== 'string' || typeof e.replace !== 'string' || e.search === '') {
+      reject([`edit ${i + 1} needs a non-empty "search" and a "replace" string`]);
+    }
+  });
+  return edits.map(({ search, replace }) => ({ search, replace }));
+}
+
+/*
+  Visible text of a markup snippet: tags, comments and JSX comments removed,
+  whitespace collapsed. Attribute values live inside tags, so they may change.
+*/
+function textContent(snippet) {
+  return snippet
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/\{\/\*[\s\S]*?\*\/\}/g, ' ')
+    .replace(/<\/?[a-zA-Z][^>]*>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/*
+  1-based line numbers an edit may touch: a window around the line of
+  every failing node that locate.js can find in `source`. Located in the
+  text being patched, not the file on disk, which the rule-based fixers may
+  already have changed.
+*/
+function allowedLines(source, violations) {
+  const lines = new Set();
+  for (const v of violations) {
+    for (const node of v.nodes || [v]) {
+      const found = locateNodeIn(source, node);
+      if (!found) continue;
+      for (let l = found.startLine - LINES_BEFORE; l <= found.startLine + LINES_AFTER; l++) lines.add(l);
+    }
+  }
+  return lines;
+}
+
+function lineAt(source, index) {
+  return source.slice(0, index).split('\n').length;
+}
+
+/*
+  Locates and checks every edit against the original source. Returns the
+  edits with their offsets, sorted by position.
+*/
+function placeEdits(source, edits, allowed) {
+  const problems = [];
+  const placed = [];
+  edits.forEach((edit, i) => {
+    const label = `edit ${i + 1}`;
+    const index = source.indexOf(edit.search);
+    if (index === -1) {
+      problems.push(`${label}: search text not found in the file`);
+      return;
+    }
+    if (source.indexOf(edit.search, index + 1) !== -1) {
+      problems.push(`${label}: search text appears more than once; it must be unique`);
+      return;
+    }
+    const startLine = lineAt(source, index);
+    const endLine   = startLine + edit.search.split('\n').length - 1;
+    const outside = [];
+    for (let l = startLine; l <= endLine; l++) if (!allowed.has(l)) outside.push(l);
+    if (outside.length > 0) {
+      problems.push(`${label}: line(s) ${outside.join(', ')} are not near a failing element`);
+    }
+    if (textContent(edit.search) !== textContent(edit.replace)) {
+      problems.push(`${label}: changes text content ("${textContent(edit.search).slice(0, 60)}")`);
+    }
+    placed.push({ ...edit, index, end: index + edit.search.length, startLine, endLine });
+  });
+
+  placed.sort((a, b) => a.index - b.index);
+  for (let i = 1; i < placed.length; i++) {
+    if (placed[i].index < placed[i - 1].end) {
+      problems.push(`edits on lines ${placed[i - 1].startLine} and ${placed[i].startLine} overlap`);
+    }
+  }
+  if (problems.length > 0) reject(problems);
+  return placed;
+}
+
+// Open minus close tags per element name, for the structure check.
+function tagBalance(source) {
+  const balance = {};
+  const tagPattern = /<(\/?)([a-zA-Z][\w:-]*)\b[^>]*?(\/?)>/g;
+  let m;
+  while ((m = tagPattern.exec(source)) !== null) {
+    const name = m[2].toLowerCase();
+    if (VOID_ELEMENTS.has(name) || m[3]) continue;
+    balance[name] = (balance[name] || 0) + (m[1] ? -1 : 1);
+  }
+  return balance;
+}
+
+function htmlProblems(source) {
+  const errors = [];
+  parse5.parse(source, { onParseError: (err) => errors.push(`${err.code} at line ${err.startLine}`) });
+  return errors;
+}
+
+/*
+  Throws when the patched file no longer parses. HTML parsers accept
+  almost anything, so there a fix may not add parse errors or change the
+  balance of opening and closing tags.
+*/
+function validateSyntax(filePath, original, patched) {
+  const plugins = BABEL_PLUGINS[path.extname(filePath).toLowerCase()];
+  if (plugins) {
+    try {
+      babel.parse(patched, { sourceType: 'unambiguous', plugins, errorRecovery: false });
+    } catch (err) {
+      reject([`the result does not parse: ${err.message}`]);
+    }
+    return;
+  }
+
+  const before = htmlProblems(original);
+  const after  = htmlProblems(patched);
+  if (after.length > before.length) {
+    reject([`the result has new HTML parse errors: ${after.filter((e) => !before.includes(e)).slice(0, 3).join(', ')}`]);
+  }
+  const balanceBefore = tagBalance(original);
+  const balanceAfter  = tagBalance(patched);
+  const changed = [...new Set([...Object.keys(balanceBefore), ...Object.keys(balanceAfter)])]
+    .filter((tag) => (balanceBefore[tag] || 0) !== (balanceAfter[tag] || 0));
+  if (changed.length > 0) reject([`the result leaves unbalanced tags: ${changed.map((t) => `<${t}>`).join(', ')}`]);
+}
+
+/*
+  Unified diff between two versions of a file, with a/ and b/ prefixes.
+*/
+function unifiedDiff(displayPath, before, after) {
+  return createTwoFilesPatch(`a/${displayPath}`, `b/${displayPath}`, before, after, '', '', { context: 3 })
+    .split('\n')
+    .slice(1)
+    .map((line) => line.replace(/^((?:---|\+\+\+) .*)\t$/, '$1'))
+    .join('\n')
+    .trimEnd();
+}
+
+/*
+  Applies the edits to `original` (the current text of filePath) for the
+  given violations. Returns { content, diff }; throws PATCH_REJECTED otherwise.
+*/
+function applyEdits(filePath, original, edits, violations, { displayPath = filePath } = {}) {
+  const allowed = allowedLines(original, violations);
+  if (allowed.size === 0) reject(['none of the failing elements could be found in the file']);
+
+  const placed = placeEdits(original, edits, allowed);
+  let content = original;
+  for (const edit of [...placed].reverse()) {
+    content = content.slice(0, edit.index) + edit.replace + content.slice(edit.end);
+  }
+  if (content === original) reject(['the edits change nothing']);
+
+  validateSyntax(filePath, original, content);
+  return { content, diff: unifiedDiff(displayPath, original, content) };
+}
+
+module.exports = { applyEdits, parseEdits, validateSyntax, unifiedDiff, textContent };
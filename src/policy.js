@@ -0,0 +1,179 @@
+/**
+ * policy.js
+ * Decides whether a diff fails the check. Without a policy the rule is the
+ * original one: any new violation (or expired suppression) fails. The
+ * "policy" section of the config file (see config.js) can change that:
+ *
+ *   policy:
+ *     failOn: [critical, serious]      # impacts of new violations that fail
+ *     warnOn: [moderate]               # impacts that only warn (default: every other impact)
+ *     budgets:                         # new violations allowed before failing
+ *       rules: { color-contrast: 3 }
+ *       pages: { '/legacy/**': 5 }
+ *     totalIncrease: fail              # fail (or warn) when the total count goes up, even if
+ *                                      # fingerprints churned; default off
+ *     incomplete: warn                 # new axe "incomplete" (needs review) items: warn
+ *                                      # (default), fail or off
+ *     ratchet: ./a11y-ratchet.json     # per-rule maximums that may only go down
+ *
+ * A new violation is allowed (reported as a warning) when it has a budget
+ * and none of the budgets that apply to it (its rule's and its page's) is
+ * exceeded. The ratchet file holds, per rule,
+ * the most violations the PR branch may have; rules missing from it start at
+ * their baseline count. diff.js --updateRatchet lowers the maximums to the
+ * current counts when the check passes.
+ *
+ * Every policy that fired is recorded with its level, so the comment can
+ * say exactly why the check failed.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { globToRegExp } = require('./glob');
+const { A11yGuardError } = require('./errors');
+
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+function countBy(violations, key) {
+  const counts = {};
+  for (const v of violations) counts[key(v)] = (counts[key(v)] || 0) + 1;
+  return counts;
+}
+
+// "critical/serious " for a subset of impacts, nothing when all are listed.
+function impactList(impacts) {
+  const listed = IMPACTS.filter((i) => impacts.includes(i));
+  return listed.length === IMPACTS.length ? '' : `${listed.join('/')} `;
+}
+
+/*
+  Reads the ratchet file ({ rules: { ruleId: max } }). A missing file
+  yields null, so maximums start from the baseline counts; an unreadable
+  one throws CONFIG_INVALID.
+*/
+function loadRatchet(file) {
+  if (!file || !fs.existsSync(file)) return null;
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new A11yGuardError('CONFIG_INVALID', `Cannot read ratchet file ${file}: ${err.message}`, { file });
+  }
+  if (!raw || typeof raw !== 'object' || (raw.rules !== undefined && (typeof raw.rules !== 'object' || Array.isArray(raw.rules)))) {
+    throw new A11yGuardError('CONFIG_INVALID', `Ratchet file ${file} must be an object with a "rules" map of rule id to count`, { file });
+  }
+  return raw.rules || {};
+}
+
+/*
+  Per-rule maximums after this run: never higher than before, lowered to
+  the PR branch's count. Rules that were fixed everywhere stay at 0.
+*/
+function nextRatchet(maximums, headCounts) {
+  const rules = {};
+  for (const id of [...new Set([...Object.keys(maximums), ...Object.keys(headCounts)])].sort()) {
+    rules[id] = Math.min(maximums[id] ?? Infinity, headCounts[id] || 0);
+  }
+  return rules;
+}
+
+function writeRatchet(file, rules) {
+  fs.writeFileSync(file, `${JSON.stringify({ updatedAt: new Date().toISOString(), rules }, null, 2)}\n`);
+}
+
+/*
+  Evaluates the policy for one diff.
+  Inputs: newViolations, expired (expired-suppression violations), the
+  per-rule baseline and head counts, and newIncomplete. Returns
+  { outcome: 'pass' | 'warn' | 'fail', triggered: [{ policy, level, message, ... }], ratchet }.
+*/
+function evaluatePolicy(policy = {}, { newViolations, expired, baselineCounts, headCounts, baselineTotal, headTotal, newIncomplete = [] }) {
+  const triggered = [];
+  const failOn = policy.failOn || IMPACTS;
+  const warnOn = policy.warnOn || IMPACTS.filter((i) => !failOn.includes(i));
+  const ruleBudgets = (policy.budgets && policy.budgets.rules) || {};
+  const pageBudgets = Object.entries((policy.budgets && policy.budgets.pages) || {})
+    .map(([pattern, max]) => ({ pattern, max, regex: globToRegExp(pattern) }));
+
+  if (expired.length > 0) {
+    triggered.push({
+      policy:  'expiredSuppressions',
+      level:   'fail',
+      count:   expired.length,
+      message: `${expired.length} violation(s) are covered by expired suppressions`,
+    });
+  }
+
+  // New violations by impact, then budgets for the ones that would fail.
+  const failing = newViolations.filter((v) => failOn.includes(v.impact));
+  const warning = newViolations.filter((v) => !failOn.includes(v.impact) && warnOn.includes(v.impact));
+  const pageOf  = (v) => pageBudgets.find((b) => b.regex.test(v.urlPath.split('#')[0]));
+  const byRule  = countBy(failing, (v) => v.id);
+  const byPage  = countBy(failing.filter(pageOf), (v) => pageOf(v).pattern);
+
+  const withinBudget = (v) => {
+    const page = pageOf(v);
+    if (ruleBudgets[v.id] === undefined && page === undefined) return false;
+    return (ruleBudgets[v.id] === undefined || byRule[v.id] <= ruleBudgets[v.id])
+      && (page === undefined || byPage[page.pattern] <= page.max);
+  };
+  const allowed  = failing.filter(withinBudget);
+  const blocking = failing.filter((v) => !withinBudget(v));
+
+  const overRule = Object.keys(byRule).filter((id) => ruleBudgets[id] !== undefined && byRule[id] > ruleBudgets[id]);
+  const overPage = pageBudgets.filter((b) => byPage[b.pattern] > b.max);
+  for (const id of overRule) {
+    triggered.push({ policy: 'budget', level: 'fail', rule: id, count: byRule[id], max: ruleBudgets[id],
+      message: `${byRule[id]} new \`${id}\` violation(s), over the rule budget of ${ruleBudgets[id]}` });
+  }
+  for (const b of overPage) {
+    triggered.push({ policy: 'budget', level: 'fail', page: b.pattern, count: byPage[b.pattern], max: b.max,
+      message: `${byPage[b.pattern]} new violation(s) on \`${b.pattern}\`, over the page budget of ${b.max}` });
+  }
+  // Blocking violations that have no budget at all fail on impact alone.
+  const unbudgeted = blocking.filter((v) => ruleBudgets[v.id] === undefined && !pageOf(v));
+  if (unbudgeted.length > 0) {
+    triggered.push({ policy: 'failOn', level: 'fail', count: unbudgeted.length,
+      message: `${unbudgeted.length} new ${impactList(failOn)}violation(s)` });
+  }
+  if (allowed.length > 0) {
+    triggered.push({ policy: 'budget', level: 'warn', count: allowed.length,
+      message: `${allowed.length} new violation(s) within budget` });
+  }
+  if (warning.length > 0) {
+    triggered.push({ policy: 'warnOn', level: 'warn', count: warning.length,
+      message: `${warning.length} new ${impactList(warnOn)}violation(s)` });
+  }
+
+  if (policy.totalIncrease && policy.totalIncrease !== 'off' && headTotal > baselineTotal) {
+    triggered.push({ policy: 'totalIncrease', level: policy.totalIncrease, count: headTotal - baselineTotal,
+      message: `total violations went up from ${baselineTotal} to ${headTotal}` });
+  }
+
+  const incompleteLevel = policy.incomplete || 'warn';
+  if (incompleteLevel !== 'off' && newIncomplete.length > 0) {
+    triggered.push({ policy: 'incomplete', level: incompleteLevel, count: newIncomplete.length,
+      message: `${newIncomplete.length} new item(s) need manual review` });
+  }
+
+  let ratchet = null;
+  if (policy.ratchet) {
+    const maximums = { ...baselineCounts, ...(loadRatchet(policy.ratchet) || {}) };
+    for (const [id, count] of Object.entries(headCounts)) {
+      const max = maximums[id] ?? 0;
+      if (count > max) {
+        triggered.push({ policy: 'ratchet', level: 'fail', rule: id, count, max,
+          message: `\`${id}\` has ${count} violation(s), above its ratchet maximum of ${max}` });
+      }
+    }
+    ratchet = { file: policy.ratchet, maximums, next: nextRatchet(maximums, headCounts) };
+  }
+
+  const outcome = triggered.some((t) => t.level === 'fail') ? 'fail'
+    : triggered.some((t) => t.level === 'warn') ? 'warn'
+      : 'pass';
+  return { outcome, triggered, ratchet };
+}
+
+module.exports = { evaluatePolicy, writeRatchet, IMPACTS };
@@ -0,0 +1,236 @@
+/**
+ * report.js
+ * Turns the diff.js output into one self-contained HTML file for reviewers:
+ * screenshots inlined, base and PR side by side, filters by impact, rule
+ * and page, and expandable node details. Items axe could not decide
+ * (incomplete) get their own sections. Works without screenshots too.
+ *
+ * Usage:
+ *   node report.js --diff diff.json --output a11y-report.html [--title "PR #42"]
+ *
+ * Screenshots come from scan.js --screenshots; their paths are carried
+ * through the diff JSON and read from disk here.
+ */
+
+'use strict';
+
+const fs       = require('fs');
+const minimist = require('minimist');
+const { standardRefs } = require('./wcag');
+
+const IMPACT_ORDER  = ['critical', 'serious', 'moderate', 'minor'];
+const IMPACT_COLORS = { critical: '#b91c1c', serious: '#c2410c', moderate: '#a16207', minor: '#1d4ed8' };
+
+// Sections in display order. base/head pick each side's node screenshot.
+const SECTIONS = [
+  { key: 'newViolations',        title: 'New violations',        base: () => null,                   head: (v) => v.screenshot, baseNote: 'Not on base' },
+  { key: 'resolvedViolations',   title: 'Resolved violations',   base: (v) => v.screenshot,          head: () => null,          headNote: 'Fixed in this PR' },
+  { key: 'changedViolations',    title: 'Moved / changed',       base: (v) => v.previous && v.previous.screenshot, head: (v) => v.screenshot },
+  { key: 'expiredSuppressionViolations', title: 'Expired suppressions', base: () => null,           head: (v) => v.screenshot, baseNote: '—' },
+  { key: 'unchangedViolations',  title: 'Pre-existing',          base: (v) => v.baselineScreenshot,  head: (v) => v.screenshot },
+  { key: 'suppressedViolations', title: 'Suppressed',            base: () => null,                   head: (v) => v.screenshot, baseNote: '—' },
+  { key: 'newIncomplete',        title: 'New, needs manual review', base: () => null,                head: (v) => v.screenshot, baseNote: 'Not on base' },
+  { key: 'resolvedIncomplete',   title: 'No longer needs review', base: (v) => v.screenshot,         head: () => null,          headNote: 'Gone in this PR' },
+];
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/*
+  Reads an image into a data: URI. Missing files (screenshots off, or the
+  artifact came from another machine) yield null.
+*/
+const imageCache = new Map();
+function inlineImage(file) {
+  if (!file) return null;
+  if (!imageCache.has(file)) {
+    let uri = null;
+    try {
+      const type = /\.png$/i.test(file) ? 'image/png' : 'image/jpeg';
+      uri = `data:${type};base64,${fs.readFileSync(file).toString('base64')}`;
+    } catch {
+      // leave as null
+    }
+    imageCache.set(file, uri);
+  }
+  return imageCache.get(file);
+}
+
+function figure(label, file, note) {
+  const src = inlineImage(file);
+  const body = src
+    ? `<img src="${src}" alt="${escapeHtml(label)} screenshot" loading="lazy">`
+    : `<div class="empty">${escapeHtml(note || 'No screenshot')}</div>`;
+  return `<figure><figcaption>${escapeHtml(label)}</figcaption>${body}</figure>`;
+}
+
+function variantText(v) {
+  return [v.viewport && `@ ${v.viewport}`, v.mode && `[${v.mode}]`].filter(Boolean).join(' ');
+}
+
+function buildCard(v, section) {
+  const selector = v.target.join(' > ');
+  const rows = [
+    ['Page', `${v.urlPath} ${variantText(v)}`.trim()],
+    ['Selector', selector],
+    v.previous && ['Previous selector', v.previous.target.join(' > ')],
+    ['HTML', v.html],
+    v.previous && v.previous.html !== v.html && ['Previous HTML', v.previous.html],
+    ['Failure', v.failureSummary],
+    ['WCAG', standardRefs(v.tags).map((r) => r.label).join(', ') || '—'],
+    v.match && v.match.strategy !== 'exact' && ['Matched', `${v.match.strategy} (score ${v.match.score})`],
+    v.suppression && ['Suppression', `${v.suppression.justification} — ${v.suppression.owner}${v.suppression.expires ? `, expires ${v.suppression.expires}` : ''}`],
+  ].filter(Boolean);
+
+  return `
+    <details class="card" data-impact="${escapeHtml(v.impact)}" data-rule="${escapeHtml(v.id)}" data-page="${escapeHtml(v.urlPath)}">
+      <summary>
+        <span class="impact" style="background:${IMPACT_COLORS[v.impact] || '#475569'}">${escapeHtml(v.impact)}</span>
+        <strong>${escapeHtml(v.id)}</strong>
+        <span class="page">${escapeHtml(v.urlPath)} ${escapeHtml(variantText(v))}</span>
+        <code>${escapeHtml(selector)}</code>
+      </summary>
+      <div class="sides">
+        ${figure('Base', section.base(v), section.baseNote)}
+        ${figure('This PR', section.head(v), section.headNote)}
+      </div>
+      <dl>
+        ${rows.map(([k, val]) => `<dt>${escapeHtml(k)}</dt><dd>${k.includes('HTML') || k.includes('Selector') ? `<code>${escapeHtml(val)}</code>` : escapeHtml(val)}</dd>`).join('\n        ')}
+        <dt>Docs</dt><dd><a href="${escapeHtml(v.helpUrl)}">${escapeHtml(v.description || v.helpUrl)}</a></dd>
+      </dl>
+    </details>`;
+}
+
+function buildPageShots(diff) {
+  const shots = diff.pageScreenshots || { baseline: {}, head: {} };
+  const keys = [...new Set([...Object.keys(shots.baseline || {}), ...Object.keys(shots.head || {})])].sort();
+  if (keys.length === 0) return '';
+
+  const items = keys.map((key) => {
+    const [urlPath, viewport, mode] = key.split('|');
+    const label = `${urlPath} ${variantText({ viewport, mode })}`.trim();
+    return `
+    <details class="card" data-page="${escapeHtml(urlPath)}">
+      <summary><strong>${escapeHtml(label)}</strong></summary>
+      <div class="sides">
+        ${figure('Base', shots.baseline[key], 'Page not on base')}
+        ${figure('This PR', shots.head[key], 'Page not in this PR')}
+      </div>
+    </details>`;
+  });
+  return `<section><h2>Full pages (${keys.length})</h2>${items.join('')}</section>`;
+}
+
+function options(values) {
+  return values.map((v) => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`).join('');
+}
+
+/*
+  Builds the whole report. Everything (styles, script, images) is inline so
+  the file can be opened straight from the downloaded artifact.
+*/
+function buildReport(diff, { title = 'Accessibility report' } = {}) {
+  const all = SECTIONS.flatMap((s) => diff[s.key] || []);
+  const rules = [...new Set(all.map((v) => v.id))].sort();
+  const pages = [...new Set(all.map((v) => v.urlPath))].sort();
+  const s = diff.summary || {};
+
+  const sections = SECTIONS
+    .filter((section) => (diff[section.key] || []).length > 0)
+    .map((section) => {
+      const list = [...diff[section.key]].sort((a, b) => IMPACT_ORDER.indexOf(a.impact) - IMPACT_ORDER.indexOf(b.impact));
+      return `<section><h2>${section.title} (<span class="count">${list.length}</span>)</h2>${list.map((v) => buildCard(v, section)).join('')}</section>`;
+    });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font: 14px/1.5 system-ui, sans-serif; margin: 0 auto; max-width: 1200px; padding: 24px; color: #0f172a; }
+  h1 { margin-top: 0; }
+  .status { font-weight: 600; color: ${diff.regression ? '#b91c1c' : '#15803d'}; }
+  table { border-collapse: collapse; margin: 12px 0 24px; }
+  th, td { border: 1px solid #cbd5e1; padding: 4px 12px; text-align: left; }
+  .filters { display: flex; gap: 12px; flex-wrap: wrap; margin-bottom: 16px; position: sticky; top: 0; background: #fff; padding: 8px 0; }
+  .card { border: 1px solid #cbd5e1; border-radius: 6px; margin: 8px 0; padding: 8px 12px; }
+  .card summary { cursor: pointer; display: flex; gap: 10px; align-items: baseline; flex-wrap: wrap; }
+  .impact { color: #fff; border-radius: 4px; padding: 0 6px; font-size: 12px; text-transform: uppercase; }
+  .page { color: #475569; }
+  code { background: #f1f5f9; padding: 1px 4px; border-radius: 3px; word-break: break-all; }
+  .sides { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; margin: 12px 0; }
+  figure { margin: 0; }
+  figcaption { font-weight: 600; margin-bottom: 4px; }
+  figure img { max-width: 100%; border: 1px solid #e2e8f0; }
+  .empty { border: 1px dashed #cbd5e1; color: #64748b; padding: 24px; text-align: center; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 12px; }
+  dt { font-weight: 600; }
+  dd { margin: 0; }
+  [hidden] { display: none !important; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="status">${diff.regression ? 'Regressions found' : 'No regressions'}</p>
+<table>
+  <tr><th>Baseline violations</th><td>${s.baselineTotal ?? '—'}</td></tr>
+  <tr><th>PR violations</th><td>${s.headTotal ?? '—'}</td></tr>
+  <tr><th>New</th><td>${s.newViolations ?? 0}</td></tr>
+  <tr><th>Resolved</th><td>${s.resolvedViolations ?? 0}</td></tr>
+  <tr><th>Moved / changed</th><td>${s.changed ?? 0}</td></tr>
+  <tr><th>Suppressed</th><td>${s.suppressed ?? 0}</td></tr>
+${s.headIncomplete != null ? `  <tr><th>Needs manual review</th><td>${s.headIncomplete} (${s.newIncomplete} new, ${s.resolvedIncomplete} resolved)</td></tr>\n` : ''}</table>
+<div class="filters" role="search">
+  <label>Impact <select id="f-impact"><option value="">All</option>${options(IMPACT_ORDER)}</select></label>
+  <label>Rule <select id="f-rule"><option value="">All</option>${options(rules)}</select></label>
+  <label>Page <select id="f-page"><option value="">All</option>${options(pages)}</select></label>
+</div>
+${sections.join('\n')}
+${buildPageShots(diff)}
+<p><small>Generated ${escapeHtml(new Date().toISOString())} by a11yGuard from the diff of ${escapeHtml(diff.generatedAt || '')}.</small></p>
+<script>
+  const filters = ['impact', 'rule', 'page'].map((f) => [f, document.getElementById('f-' + f)]);
+  function applyFilters() {
+    for (const card of document.querySelectorAll('.card')) {
+      card.hidden = filters.some(([f, el]) => el.value && card.dataset[f] !== undefined && card.dataset[f] !== el.value);
+    }
+    for (const section of document.querySelectorAll('section')) {
+      const cards = section.querySelectorAll('.card');
+      const visible = [...cards].filter((c) => !c.hidden).length;
+      const count = section.querySelector('.count');
+      if (count) count.textContent = visible;
+      section.hidden = cards.length > 0 && visible === 0;
+    }
+  }
+  filters.forEach(([, el]) => el.addEventListener('change', applyFilters));
+</script>
+</body>
+</html>
+`;
+}
+
+function main() {
+  const args = minimist(process.argv.slice(2));
+  const diffFile   = args.diff || '/tmp/a11y_diff.json';
+  const outputFile = args.output || 'a11y-report.html';
+  const title      = args.title || 'Accessibility report';
+
+  const diff = JSON.parse(fs.readFileSync(diffFile, 'utf8'));
+  const html = buildReport(diff, { title });
+  fs.writeFileSync(outputFile, html);
+  const inlined = [...imageCache.values()].filter(Boolean).length;
+  console.log(`SUCCESS: Wrote ${outputFile} (${(html.length / 1024).toFixed(0)} KB, ${inlined} screenshot(s) inlined)`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildReport };
@@ -0,0 +1,669 @@
+/**
+ * resolve.js
+ * Maps a scanned URL path back to the source file that renders it, for the
+ * AI fixer, Check Run annotations and SARIF.
+ *
+ * Each framework has an adapter that lists its routes as segment patterns:
+ *
+ *   next          app/ and src/app/ page files (route groups, [slug],
+ *                 [...slug], [[...slug]]), then pages/ and src/pages/
+ *   remix         app/routes/ flat and folder routes (blog.$slug, $, ($lang))
+ *   sveltekit     src/routes/ +page.svelte files ([slug], [[opt]], [...rest])
+ *   astro         src/pages/ (.astro, .md, .mdx, .html)
+ *   react-router  app/routes.ts route()/index() config, and <Route path>
+ *                 elements or { path, element } objects in src/
+ *   static        built or plain HTML files (always tried last)
+ *
+ * The framework is detected from package.json (or set with A11Y_FRAMEWORK;
+ * "static" skips the adapters, an unknown name throws CONFIG_INVALID).
+ * A URL matches the route with the most specific segments: static beats
+ * dynamic beats catch-all.
+ *
+ * With the failing nodes at hand, resolveSource() also looks through the
+ * components the page imports (a few levels deep) and picks the file whose
+ * markup best matches the nodes' HTML (see locate.js). The result carries
+ * a confidence between 0 and 1: how specific the route match was, scaled by
+ * how well the nodes matched the chosen file.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const babel = require('@babel/parser');
+const { matchNode, locateNode } = require('./locate');
+const { A11yGuardError } = require('./errors');
+
+const SOURCE_EXTS = ['.tsx', '.ts', '.jsx', '.js', '.mjs', '.svelte', '.astro', '.vue', '.mdx'];
+const MAX_COMPONENT_DEPTH = 3;
+const MAX_COMPONENTS = 40;
+
+// Confidence of a route match before the node check.
+const MATCH_CONFIDENCE = { static: 0.95, html: 0.9, dynamic: 0.8, 'catch-all': 0.65 };
+
+const routeCache = new Map();
+const sourceCache = new Map();
+
+/* ---------- files ---------- */
+
+function listFiles(dir, test, rel = '') {
+  let entries;
+  try {
+    entries = fs.readdirSync(path.join(dir, rel), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  return entries.flatMap((entry) => {
+    const child = rel ? `${rel}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      return entry.name === 'node_modules' || entry.name.startsWith('.') ? [] : listFiles(dir, test, child);
+    }
+    return test(child) ? [child] : [];
+  });
+}
+
+function isFile(file) {
+  try {
+    return fs.statSync(file).isFile();
+  } catch {
+    return false;
+  }
+}
+
+function readJson(file) {
+  try {
+    // tsconfig/jsconfig may contain comments and trailing commas.
+    const text = fs.readFileSync(file, 'utf8')
+      .replace(/\/\*[\s\S]*?\*\/|(^|[^:"])\/\/.*$/gm, '$1')
+      .replace(/,(\s*[}\]])/g, '$1');
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/* ---------- segments ---------- */
+
+/*
+  Segment of a file-based route from a [bracketed] name, as
+  { type: 'static' | 'dynamic' | 'catch-all', value, optional }.
+*/
+function bracketSegment(part, { restOptional = false } = {}) {
+  let m;
+  if ((m = part.match(/^\[\[\.\.\.(.+)\]\]$/))) return { type: 'catch-all', value: m[1], optional: true };
+  if ((m = part.match(/^\[\.\.\.(.+)\]$/)))     return { type: 'catch-all', value: m[1], optional: restOptional };
+  if ((m = part.match(/^\[\[(.+)\]\]$/)))       return { type: 'dynamic', value: m[1], optional: true };
+  if ((m = part.match(/^\[(.+)\]$/)))           return { type: 'dynamic', value: m[1], optional: false };
+  // Astro allows several params in one segment, e.g. [lang]-[version].
+  if (/\[.+\]/.test(part))                     return { type: 'dynamic', value: part.replace(/[[\]]/g, ''), optional: false };
+  return { type: 'static', value: part, optional: false };
+}
+
+// "/blog/:slug?/*" (React Router) → segments.
+function pathSegments(routePath) {
+  return routePath.split('/').filter(Boolean).map((part) => {
+    if (part === '*') return { type: 'catch-all', value: '*', optional: true };
+    const optional = part.endsWith('?');
+    const name = optional ? part.slice(0, -1) : part;
+    return name.startsWith(':')
+      ? { type: 'dynamic', value: name.slice(1), optional }
+      : { type: 'static', value: name, optional };
+  });
+}
+
+function patternOf(segments) {
+  const shown = segments.map((s) => {
+    if (s.type === 'static') return s.optional ? `(${s.value})` : s.value;
+    if (s.type === 'dynamic') return s.optional ? `[[${s.value}]]` : `[${s.value}]`;
+    return s.optional ? `[[...${s.value}]]` : `[...${s.value}]`;
+  });
+  return `/${shown.join('/')}`;
+}
+
+/*
+  Specificity of a match of `segments` against the URL `parts`, or -1.
+  Static segments count 3, dynamic 2, a catch-all 1 (0 when it matches
+  nothing).
+*/
+function matchSegments(segments, parts) {
+  if (segments.length === 0) return parts.length === 0 ? 0 : -1;
+  const [seg, ...rest] = segments;
+  let best = -1;
+  const consider = (score) => { if (score > best) best = score; };
+
+  if (seg.type === 'catch-all') {
+    for (let k = parts.length; k >= (seg.optional ? 0 : 1); k--) {
+      const tail = matchSegments(rest, parts.slice(k));
+      if (tail >= 0) consider((k > 0 ? 1 : 0) + tail);
+    }
+    return best;
+  }
+  if (parts.length > 0 && (seg.type === 'dynamic' || parts[0].toLowerCase() === seg.value.toLowerCase())) {
+    const tail = matchSegments(rest, parts.slice(1));
+    if (tail >= 0) consider((seg.type === 'static' ? 3 : 2) + tail);
+  }
+  if (seg.optional) consider(matchSegments(rest, parts));
+  return best;
+}
+
+function matchKind(segments) {
+  if (segments.some((s) => s.type === 'catch-all')) return 'catch-all';
+  if (segments.some((s) => s.type === 'dynamic')) return 'dynamic';
+  return 'static';
+}
+
+/* ---------- adapters ---------- */
+
+function fileRoutes(root, base, pageTest, toSegments) {
+  return listFiles(path.join(root, base), pageTest)
+    .map((rel) => ({ file: path.join(root, base, rel), segments: toSegments(rel) }))
+    .filter((r) => r.segments);
+}
+
+const nextAdapter = {
+  name: 'next',
+  detect: (deps) => 'next' in deps,
+  routes(root) {
+    const appRoutes = ['app', 'src/app'].flatMap((base) => fileRoutes(root, base,
+      (rel) => /(^|\/)page\.(tsx|jsx|ts|js|mdx)$/.test(rel),
+      (rel) => {
+        const dirs = rel.split('/').slice(0, -1);
+        // Private folders and parallel-route slots are not URL segments of their own.
+        if (dirs.some((d) => d.startsWith('_') || d.startsWith('@'))) return null;
+        return dirs.filter((d) => !/^\(.*\)$/.test(d)).map((d) => bracketSegment(d));
+      }));
+    const pageRoutes = ['pages', 'src/pages'].flatMap((base) => fileRoutes(root, base,
+      (rel) => /\.(tsx|jsx|ts|js|mdx)$/.test(rel) && !rel.startsWith('api/') && !/(^|\/)_/.test(rel),
+      (rel) => {
+        const parts = rel.replace(/\.[^.]+$/, '').split('/');
+        if (parts[parts.length - 1] === 'index') parts.pop();
+        return parts.map((p) => bracketSegment(p));
+      }));
+    return [...appRoutes, ...pageRoutes];
+  },
+};
+
+/*
+  Remix route file name → segments: "blog.$slug" → /blog/[slug],
+  "$" → splat, "($lang)" → optional, "_auth.login" → /login (pathless
+  layout), "blog_.edit" → /blog/edit, "[sitemap.xml]" → escaped dots.
+*/
+function remixSegments(name) {
+  const parts = name.match(/(\[[^\]]*\]|[^./])+/g) || [];
+  const segments = [];
+  for (const raw of parts) {
+    if (raw === '_index' || raw === 'index' || raw === 'route') continue;
+    if (raw.startsWith('_')) continue;
+    const part = raw.replace(/_$/, '').replace(/\[([^\]]*)\]/g, '$1');
+    const optional = /^\(.*\)$/.test(part);
+    const bare = optional ? part.slice(1, -1) : part;
+    if (bare === '$') segments.push({ type: 'catch-all', value: '*', optional: true });
+    else if (bare.startsWith('$')) segments.push({ type: 'dynamic', value: bare.slice(1), optional });
+    else segments.push({ type: 'static', value: bare, optional });
+  }
+  return segments;
+}
+
+function remixRoutes(root) {
+  return fileRoutes(root, 'app/routes',
+    (rel) => /\.(tsx|jsx|ts|js|mdx)$/.test(rel) && (!rel.includes('/') || /\/route\.[^/]+$/.test(rel)),
+    (rel) => remixSegments(rel.replace(/\/route\.[^/]+$/, '').replace(/\.(tsx|jsx|ts|js|mdx)$/, '')));
+}
+
+const remixAdapter = {
+  name: 'remix',
+  detect: (deps) => Object.keys(deps).some((d) => d.startsWith('@remix-run/')),
+  routes: remixRoutes,
+};
+
+const svelteKitAdapter = {
+  name: 'sveltekit',
+  detect: (deps) => '@sveltejs/kit' in deps,
+  routes(root) {
+    return fileRoutes(root, 'src/routes',
+      (rel) => /(^|\/)\+page\.svelte$/.test(rel),
+      (rel) => rel.split('/').slice(0, -1)
+        .filter((d) => !/^\(.*\)$/.test(d))
+        // [slug=integer] uses a param matcher; the name before "=" is enough here.
+        .map((d) => bracketSegment(d.replace(/=[^\]]+\]/, ']'), { restOptional: true })));
+  },
+};
+
+const astroAdapter = {
+  name: 'astro',
+  detect: (deps) => 'astro' in deps,
+  routes(root) {
+    return fileRoutes(root, 'src/pages',
+      (rel) => /\.(astro|md|mdx|html)$/.test(rel) && !/(^|\/)_/.test(rel),
+      (rel) => {
+        const parts = rel.replace(/\.[^.]+$/, '').split('/');
+        if (parts[parts.length - 1] === 'index') parts.pop();
+        return parts.map((p) => bracketSegment(p, { restOptional: true }));
+      });
+  },
+};
+
+/*
+  Import source of `name` in a parsed module: an import declaration, or a
+  lazy(() => import('...')) variable. null when it is defined locally.
+*/
+function importSourceOf(ast, name) {
+  for (const stmt of ast.program.body) {
+    if (stmt.type === 'ImportDeclaration' && stmt.specifiers.some((s) => s.local.name === name)) {
+      return stmt.source.value;
+    }
+  }
+  let found = null;
+  walkAst(ast.program, (node) => {
+    if (found || node.type !== 'VariableDeclarator' || !node.id || node.id.name !== name || !node.init) return;
+    walkAst(node.init, (inner) => {
+      if (found) return;
+      if (inner.type === 'ImportExpression' && inner.source.type === 'StringLiteral') found = inner.source.value;
+      if (inner.type === 'CallExpression' && inner.callee.type === 'Import' && inner.arguments[0]?.type === 'StringLiteral') {
+        found = inner.arguments[0].value;
+      }
+    });
+  });
+  return found;
+}
+
+function walkAst(node, visit) {
+  if (!node || typeof node.type !== 'string') return;
+  visit(node);
+  for (const key of Object.keys(node)) {
+    if (key === 'loc') continue;
+    const value = node[key];
+    if (Array.isArray(value)) value.forEach((child) => walkAst(child, visit));
+    else if (value && typeof value === 'object') walkAst(value, visit);
+  }
+}
+
+function parseModule(file) {
+  try {
+    return babel.parse(fs.readFileSync(file, 'utf8'), {
+      sourceType: 'unambiguous',
+      plugins: /\.tsx?$/.test(file) ? ['typescript', 'jsx'] : ['jsx'],
+      errorRecovery: true,
+    });
+  } catch {
+    return null;
+  }
+}
+
+function joinRoute(parent, child) {
+  if (child.startsWith('/')) return child;
+  return `${parent.replace(/\/$/, '')}/${child}`;
+}
+
+/*
+  Routes declared in code: <Route path element={<Page />}> elements and
+  { path, element | Component | lazy } objects, nested paths joined.
+*/
+function codeRoutes(root, file, ast) {
+  const routes = [];
+  const componentFile = (name) => {
+    const source = importSourceOf(ast, name);
+    return source ? resolveImport(root, file, source) : file;
+  };
+  const jsxName = (node) => node && node.type === 'JSXElement' && node.openingElement.name.type === 'JSXIdentifier'
+    ? node.openingElement.name.name : null;
+
+  (function visit(node, parentPath) {
+    if (!node || typeof node.type !== 'string') return;
+    let own = parentPath;
+
+    if (jsxName(node) === 'Route') {
+      const attrs = Object.fromEntries(node.openingElement.attributes
+        .filter((a) => a.type === 'JSXAttribute')
+        .map((a) => [a.name.name, a.value]));
+      const routePath = attrs.path?.type === 'StringLiteral' ? attrs.path.value : (attrs.index !== undefined ? '' : null);
+      if (routePath !== null) {
+        own = joinRoute(parentPath, routePath);
+        const element = attrs.element?.type === 'JSXExpressionContainer' ? jsxName(attrs.element.expression) : null;
+        const component = attrs.Component?.type === 'JSXExpressionContainer' ? attrs.Component.expression.name : null;
+        const target = (element || component) && componentFile(element || component);
+        if (target) routes.push({ file: target, segments: pathSegments(own) });
+      }
+    } else if (node.type === 'ObjectExpression') {
+      const props = Object.fromEntries(node.properties
+        .filter((p) => p.type === 'ObjectProperty' && p.key.type === 'Identifier')
+        .map((p) => [p.key.name, p.value]));
+      const routePath = props.path?.type === 'StringLiteral' ? props.path.value : (props.index ? '' : null);
+      if (routePath !== null && (props.element || props.Component || props.lazy)) {
+        own = joinRoute(parentPath, routePath);
+        let target = null;
+        if (props.element) target = jsxName(props.element) && componentFile(jsxName(props.element));
+        else if (props.Component?.type === 'Identifier') target = componentFile(props.Component.name);
+        else walkAst(props.lazy, (n) => {
+          if (!target && n.type === 'ImportExpression' && n.source.type === 'StringLiteral') target = resolveImport(root, file, n.source.value);
+          if (!target && n.type === 'CallExpression' && n.callee.type === 'Import') target = resolveImport(root, file, n.arguments[0].value);
+        });
+        if (target) routes.push({ file: target, segments: pathSegments(own) });
+      }
+    }
+
+    for (const key of Object.keys(node)) {
+      if (key === 'loc') continue;
+      const value = node[key];
+      if (Array.isArray(value)) value.forEach((child) => visit(child, own));
+      else if (value && typeof value === 'object') visit(value, own);
+    }
+  })(ast.program, '/');
+
+  return routes;
+}
+
+/*
+  React Router framework mode: route("blog/:slug", "routes/post.tsx"),
+  index("routes/home.tsx"), prefix("docs", [...]), layout(file, [...]) in
+  app/routes.ts. flatRoutes() adds the app/routes/ files, named as in Remix.
+*/
+function configRoutes(root, file, ast) {
+  const appDir = path.dirname(file);
+  const routes = [];
+  const str = (n) => (n && n.type === 'StringLiteral' ? n.value : null);
+
+  (function visit(node, parentPath) {
+    if (!node || typeof node.type !== 'string') return;
+    if (node.type === 'CallExpression' && node.callee.type === 'Identifier') {
+      const [a, b, c] = node.arguments;
+      const name = node.callee.name;
+      if (name === 'route' && str(a) !== null && str(b)) {
+        const own = joinRoute(parentPath, str(a));
+        routes.push({ file: path.join(appDir, str(b)), segments: pathSegments(own) });
+        if (c) visit(c, own);
+        return;
+      }
+      if (name === 'index' && str(a)) {
+        routes.push({ file: path.join(appDir, str(a)), segments: pathSegments(parentPath) });
+        return;
+      }
+      if (name === 'prefix' && str(a) !== null) {
+        visit(b, joinRoute(parentPath, str(a)));
+        return;
+      }
+      if (name === 'flatRoutes') {
+        routes.push(...remixRoutes(root));
+        return;
+      }
+    }
+    for (const key of Object.keys(node)) {
+      if (key === 'loc') continue;
+      const value = node[key];
+      if (Array.isArray(value)) value.forEach((child) => visit(child, parentPath));
+      else if (value && typeof value === 'object') visit(value, parentPath);
+    }
+  })(ast.program, '/');
+
+  return routes;
+}
+
+const reactRouterAdapter = {
+  name: 'react-router',
+  detect: (deps) => ['react-router', 'react-router-dom', '@react-router/dev'].some((d) => d in deps),
+  routes(root) {
+    const config = ['app/routes.ts', 'app/routes.js'].map((f) => path.join(root, f)).find(isFile);
+    if (config) {
+      const ast = parseModule(config);
+      return ast ? configRoutes(root, config, ast) : [];
+    }
+    return listFiles(path.join(root, 'src'), (rel) => /\.(tsx|jsx|ts|js)$/.test(rel))
+      .map((rel) => path.join(root, 'src', rel))
+      .filter((file) => /<Route\b|\bpath\s*:/.test(fs.readFileSync(file, 'utf8')))
+      .flatMap((file) => {
+        const ast = parseModule(file);
+        return ast ? codeRoutes(root, file, ast) : [];
+      });
+  },
+};
+
+// Built or hand-written HTML: /about → about.html, about/index.html, ...
+const staticAdapter = {
+  name: 'static',
+  detect: () => true,
+  resolve(root, parts) {
+    const clean = parts.join('/');
+    const candidates = clean === ''
+      ? [path.join(root, 'index.html')]
+      : [
+        path.join(root, clean),
+        path.join(root, `${clean}.html`),
+        path.join(root, clean, 'index.html'),
+        path.join(root, '.next/server/app', `${clean}.html`),
+        path.join(root, '.next/server/pages', `${clean}.html`),
+      ];
+    const file = candidates.find(isFile);
+    return file ? { file, segments: parts.map((p) => ({ type: 'static', value: p })), kind: 'html' } : null;
+  },
+};
+
+const ADAPTERS = [nextAdapter, remixAdapter, svelteKitAdapter, astroAdapter, reactRouterAdapter];
+
+const FRAMEWORKS = [...ADAPTERS.map((a) => a.name), staticAdapter.name];
+
+/*
+  The adapter for a project: A11Y_FRAMEWORK / `framework` when given, else
+  the first whose package is a dependency, else the one whose route folder
+  exists. null for plain static sites (or framework "static"). An unknown
+  framework name throws CONFIG_INVALID.
+*/
+function detectFramework(root, framework = process.env.A11Y_FRAMEWORK) {
+  if (framework) {
+    if (!FRAMEWORKS.includes(framework)) {
+      throw new A11yGuardError('CONFIG_INVALID',
+        `Unknown framework "${framework}" (expected ${FRAMEWORKS.join(', ')})`, { framework, frameworks: FRAMEWORKS });
+    }
+    return ADAPTERS.find((a) => a.name === framework) || null;
+  }
+  const pkg = readJson(path.join(root, 'package.json')) || {};
+  const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+  const byDeps = ADAPTERS.find((a) => a.detect(deps));
+  if (byDeps) return byDeps;
+  if (['app', 'src/app', 'pages', 'src/pages'].some((d) => fs.existsSync(path.join(root, d)))) return nextAdapter;
+  return null;
+}
+
+function routesFor(root, adapter) {
+  const key = `${root}::${adapter.name}`;
+  if (!routeCache.has(key)) routeCache.set(key, adapter.routes(root));
+  return routeCache.get(key);
+}
+
+/*
+  The route a URL path maps to, as { file, segments, kind, framework }, or
+  null. Interaction states ("/checkout#error") and query strings are ignored.
+*/
+function resolveRoute(urlPath, root, { framework } = {}) {
+  let pathname;
+  try {
+    pathname = new URL(urlPath, 'http://localhost').pathname;
+  } catch {
+    pathname = urlPath.split(/[?#]/)[0];
+  }
+  const parts = pathname.split('/').filter(Boolean).map((p) => {
+    try {
+      return decodeURIComponent(p);
+    } catch {
+      return p;
+    }
+  });
+
+  const adapter = detectFramework(root, framework);
+  if (adapter) {
+    let best = null;
+    for (const route of routesFor(root, adapter)) {
+      const score = matchSegments(route.segments, parts);
+      // On a tie the route with fewer segments is the more direct one (/ → _index, not $).
+      if (score >= 0 && (!best || score > best.score || (score === best.score && route.segments.length < best.segments.length))) {
+        best = { ...route, score };
+      }
+    }
+    if (best) return { file: best.file, segments: best.segments, kind: matchKind(best.segments), framework: adapter.name };
+  }
+  const html = staticAdapter.resolve(root, parts);
+  return html ? { ...html, framework: 'static' } : null;
+}
+
+/* ---------- components ---------- */
+
+function loadAliases(root) {
+  const aliases = [['$lib/', 'src/lib/'], ['~/', 'app/'], ['~/', 'src/'], ['@/', 'src/'], ['@/', '']];
+  for (const name of ['tsconfig.json', 'jsconfig.json']) {
+    const config = readJson(path.join(root, name));
+    const options = config && config.compilerOptions;
+    if (!options || !options.paths) continue;
+    const baseUrl = options.baseUrl || '.';
+    for (const [key, targets] of Object.entries(options.paths)) {
+      if (!key.endsWith('/*') || !targets[0] || !targets[0].endsWith('/*')) continue;
+      aliases.unshift([key.slice(0, -1), path.join(baseUrl, targets[0].slice(0, -1)) + '/']);
+    }
+  }
+  return aliases;
+}
+
+const aliasCache = new Map();
+
+/*
+  File an import specifier points at, trying the usual extensions and
+  index files, or null for packages and unresolvable paths.
+*/
+function resolveImport(root, fromFile, spec) {
+  let bases;
+  if (spec.startsWith('.')) {
+    bases = [path.resolve(path.dirname(fromFile), spec)];
+  } else {
+    if (!aliasCache.has(root)) aliasCache.set(root, loadAliases(root));
+    bases = aliasCache.get(root)
+      .filter(([prefix]) => spec.startsWith(prefix))
+      .map(([prefix, target]) => path.join(root, target, spec.slice(prefix.length)));
+  }
+  for (const base of bases) {
+    const found = [base, ...SOURCE_EXTS.map((e) => base + e), ...SOURCE_EXTS.map((e) => path.join(base, `index${e}`))]
+      .find((f) => SOURCE_EXTS.includes(path.extname(f)) && isFile(f));
+    if (found) return found;
+  }
+  return null;
+}
+
+const IMPORT_PATTERN = /(?:import|export)\s[^'"]*?from\s*['"]([^'"]+)['"]|import\s*\(\s*['"]([^'"]+)['"]\s*\)|import\s+['"]([^'"]+)['"]/g;
+
+/*
+  The page file plus the local files it imports, breadth first, up to
+  MAX_COMPONENT_DEPTH levels and MAX_COMPONENTS files.
+*/
+function componentFiles(root, pageFile) {
+  const key = `${root}::${pageFile}`;
+  if (sourceCache.has(key)) return sourceCache.get(key);
+
+  const seen = [pageFile];
+  let level = [pageFile];
+  for (let depth = 0; depth < MAX_COMPONENT_DEPTH && level.length > 0; depth++) {
+    const next = [];
+    for (const file of level) {
+      let source;
+      try {
+        source = fs.readFileSync(file, 'utf8');
+      } catch {
+        continue;
+      }
+      for (const m of source.matchAll(IMPORT_PATTERN)) {
+        const target = resolveImport(root, file, m[1] || m[2] || m[3]);
+        if (target && !seen.includes(target) && seen.length < MAX_COMPONENTS) {
+          seen.push(target);
+          next.push(target);
+        }
+      }
+    }
+    level = next;
+  }
+  sourceCache.set(key, seen);
+  return seen;
+}
+
+/*
+  How well `file` matches the nodes: the average of score / maxScore over
+  the nodes, 0 when no node can be told apart by attributes or text.
+*/
+function nodeFit(file, nodes) {
+  if (nodes.length === 0) return 0;
+  const total = nodes.reduce((sum, node) => {
+    const m = matchNode(file, node);
+    return sum + (m && m.maxScore > 0 ? m.score / m.maxScore : 0);
+  }, 0);
+  return total / nodes.length;
+}
+
+/*
+  Source of a violation (or of several on the same page): `target` is a
+  flattened diff entry or { urlPath, nodes }. Returns
+    { file, pageFile, route, framework, kind, component, fit, confidence, reason }
+  or null when the page maps to no file. `file` is the page or the imported
+  component that best matches the nodes.
+*/
+function resolveSource(target, root, options = {}) {
+  const route = resolveRoute(target.urlPath, root, options);
+  if (!route) return null;
+
+  const nodes = (target.nodes || [target]).filter((n) => n && n.html);
+  const candidates = nodes.length > 0 ? componentFiles(root, route.file) : [route.file];
+  let file = route.file;
+  let fit = nodeFit(route.file, nodes);
+  for (const candidate of candidates.slice(1)) {
+    const candidateFit = nodeFit(candidate, nodes);
+    if (candidateFit > fit) {
+      file = candidate;
+      fit = candidateFit;
+    }
+  }
+
+  const base = MATCH_CONFIDENCE[route.kind];
+  const confidence = Math.round(base * (nodes.length > 0 ? 0.6 + 0.4 * fit : 1) * 100) / 100;
+  const relative = (f) => path.relative(root, f).split(path.sep).join('/');
+  const reason = [
+    `${route.framework} route ${patternOf(route.segments)} → ${relative(route.file)} (${route.kind} match)`,
+    file !== route.file ? `nodes found in ${relative(file)} (fit ${fit.toFixed(2)})` : (nodes.length > 0 ? `node fit ${fit.toFixed(2)}` : null),
+  ].filter(Boolean).join('; ');
+
+  return {
+    file,
+    pageFile: route.file,
+    route: patternOf(route.segments),
+    framework: route.framework,
+    kind: route.kind,
+    component: file !== route.file,
+    fit,
+    confidence,
+    reason,
+  };
+}
+
+/*
+  The page file for a URL path under projectRoot, or null.
+*/
+function resolveUrlToFile(urlPath, projectRoot, options) {
+  const route = resolveRoute(urlPath, projectRoot, options);
+  return route ? route.file : null;
+}
+
+/*
+  Source location of a violation: the file that renders it (see
+  resolveSource) plus the node's line in it. Returns
+  { file, startLine, startColumn } with line 1 when the node is not found
+  in the file, or null when the page maps to no file.
+*/
+function locateViolation(v, projectRoot) {
+  if (!projectRoot) return null;
+  const source = resolveSource(v, projectRoot);
+  if (!source) return null;
+  return { file: source.file, ...(locateNode(source.file, v) || { startLine: 1, startColumn: null }) };
+}
+
+module.exports = {
+  resolveSource,
+  resolveRoute,
+  resolveUrlToFile,
+  locateViolation,
+  detectFramework,
+  matchSegments,
+  FRAMEWORKS,
+};
@@ -0,0 +1,232 @@
+/**
+ * sarif.js
+ * Converts the diff.js output into a SARIF 2.1.0 log so results can be
+ * uploaded to GitHub code scanning next to other analyzers.
+ *
+ * Usage:
+ *   node sarif.js --diff diff.json --output a11y.sarif \
+ *     [--projectRoot _a11y_pr/my-app] [--repoRoot _a11y_pr] [--fallbackFile .a11yguard.yml]
+ *
+ * Every axe rule seen in the diff becomes a SARIF rule (help text, helpUri,
+ * WCAG tags and success criteria). Every violation becomes a result with a
+ * baselineState:
+ *
+ *   new        introduced by the PR
+ *   unchanged  on both sides
+ *   updated    on both sides, but the element moved or changed (see match.js)
+ *   absent     fixed by the PR; emitted as kind "pass" so it raises no alert
+ *
+ * Suppressed violations are emitted with an "accepted" suppression.
+ *
+ * Locations come from the route → source resolver (resolve.js), looked up under
+ * --projectRoot and written relative to --repoRoot, with the line of the
+ * element found by locate.js. Code scanning needs a file for every result, so
+ * a page that maps to no file is placed on line 1 of --fallbackFile (or else
+ * the package.json in --projectRoot), next to its logical location (the page
+ * path). Without a fallback inside --repoRoot those results are left out and
+ * counted in runs[0].properties.unlocatedResults.
+ */
+
+'use strict';
+
+const fs       = require('fs');
+const path     = require('path');
+const minimist = require('minimist');
+const { locateViolation } = require('./resolve');
+const { criteriaFor } = require('./wcag');
+const { version } = require('../package.json');
+
+const SARIF_SCHEMA  = 'https://json.schemastore.org/sarif-2.1.0.json';
+const INFO_URI      = 'https://github.com/dequelabs/axe-core';
+// v2: fingerprints include the page path.
+const FINGERPRINT_KEY = 'a11yGuard/v2';
+
+// axe impact → SARIF level
+const IMPACT_LEVEL = {
+  critical: 'error',
+  serious:  'error',
+  moderate: 'warning',
+  minor:    'note',
+};
+
+/*
+  WCAG-related axe tags ("wcag2aa", "wcag143", "best-practice", ...), which
+  GitHub shows as rule tags and allows filtering on.
+*/
+function ruleTags(tags) {
+  return ['accessibility', ...(tags || []).filter((t) => /^(wcag|section508|best-practice|ACT|EN-)/i.test(t))];
+}
+
+function buildRule(v) {
+  const help = v.help || v.description;
+  const criteria = criteriaFor(v.tags);
+  const wcagText = criteria.map((c) => `${c.id} ${c.name} (${c.level}): ${c.url}`).join('\n');
+  const wcagMarkdown = criteria.map((c) => `[${c.id} ${c.name}](${c.url}) (${c.level})`).join(', ');
+  return {
+    id:               v.id,
+    name:             v.id,
+    shortDescription: { text: help },
+    fullDescription:  { text: v.description },
+    helpUri:          v.helpUrl,
+    help: {
+      text:     `${v.description}\n\n${wcagText ? `WCAG success criteria:\n${wcagText}\n\n` : ''}More information: ${v.helpUrl}`,
+      markdown: `${v.description}\n\n${wcagMarkdown ? `WCAG: ${wcagMarkdown}\n\n` : ''}[More information (axe ${v.id})](${v.helpUrl})`,
+    },
+    defaultConfiguration: { level: IMPACT_LEVEL[v.impact] || 'warning' },
+    properties: {
+      tags:   ruleTags(v.tags),
+      impact: v.impact,
+      ...(criteria.length > 0 ? { wcagCriteria: criteria.map((c) => c.id) } : {}),
+    },
+  };
+}
+
+// Repo-relative URI of a file, or null when it is outside repoRoot.
+function artifactUri(file, repoRoot) {
+  const relative = path.relative(repoRoot, file);
+  if (relative === '' || relative.split(path.sep)[0] === '..' || path.isAbsolute(relative)) return null;
+  return relative.split(path.sep).join('/');
+}
+
+/*
+  Where a violation lives: the page's source file when one is found, else
+  line 1 of the fallback file, plus the page itself as a logical location.
+  null when there is neither.
+*/
+function buildLocation(v, projectRoot, repoRoot, fallbackUri) {
+  const source = locateViolation(v, projectRoot);
+  const sourceUri = source && artifactUri(source.file, repoRoot);
+  if (!sourceUri && !fallbackUri) return null;
+  let region = { startLine: 1 };
+  if (sourceUri) {
+    region = source.startColumn
+      ? { startLine: source.startLine, startColumn: source.startColumn }
+      : { startLine: source.startLine };
+  }
+  return {
+    physicalLocation: {
+      artifactLocation: { uri: sourceUri || fallbackUri, uriBaseId: '%SRCROOT%' },
+      region,
+    },
+    logicalLocations: [{ name: v.urlPath, kind: 'page', fullyQualifiedName: v.urlPath }],
+  };
+}
+
+function buildMessage(v) {
+  const variant = [v.viewport && `@ ${v.viewport}`, v.mode && `[${v.mode}]`].filter(Boolean).join(' ');
+  const where = `${v.urlPath}${variant ? ` ${variant}` : ''}`;
+  return `${v.help || v.description} on ${where} (${v.target.join(' > ')}).\n${v.failureSummary || ''}`.trim();
+}
+
+function buildResult(v, baselineState, ruleIndex, location) {
+  const result = {
+    ruleId:    v.id,
+    ruleIndex,
+    level:     IMPACT_LEVEL[v.impact] || 'warning',
+    message:   { text: buildMessage(v) },
+    locations: [location],
+    partialFingerprints: { [FINGERPRINT_KEY]: v.fingerprint },
+    properties: {
+      impact:   v.impact,
+      page:     v.urlPath,
+      selector: v.target.join(' > '),
+      html:     v.html,
+      viewport: v.viewport || null,
+      mode:     v.mode || null,
+    },
+  };
+  if (baselineState) result.baselineState = baselineState;
+  if (baselineState === 'absent') {
+    result.kind  = 'pass';
+    result.level = 'none';
+  }
+  return result;
+}
+
+/*
+  Builds the SARIF log from a diff object.
+  Options: projectRoot (where page files are looked up), repoRoot (what
+  artifact URIs are relative to, defaults to projectRoot), fallbackFile
+  (where results without a source file are placed).
+*/
+function buildSarif(diff, { projectRoot = null, repoRoot = projectRoot || '.', fallbackFile = null } = {}) {
+  const fallbackUri = fallbackFile ? artifactUri(fallbackFile, repoRoot) : null;
+  const groups = [
+    ['new',       diff.newViolations],
+    ['unchanged', diff.unchangedViolations],
+    ['updated',   diff.changedViolations],
+    ['absent',    diff.resolvedViolations],
+    [null,        diff.suppressedViolations],
+  ];
+
+  const rules = [];
+  const ruleIndex = new Map();
+  const results = [];
+  let unlocated = 0;
+
+  for (const [baselineState, violations] of groups) {
+    for (const v of violations || []) {
+      const location = buildLocation(v, projectRoot, repoRoot, fallbackUri);
+      if (!location) {
+        unlocated++;
+        continue;
+      }
+      if (!ruleIndex.has(v.id)) {
+        ruleIndex.set(v.id, rules.length);
+        rules.push(buildRule(v));
+      }
+      const result = buildResult(v, baselineState, ruleIndex.get(v.id), location);
+      if (v.suppression) {
+        result.suppressions = [{
+          kind:          'external',
+          status:        'accepted',
+          justification: `${v.suppression.justification} (owner: ${v.suppression.owner})`,
+        }];
+      }
+      results.push(result);
+    }
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name:           'a11yGuard',
+          version,
+          informationUri: INFO_URI,
+          rules,
+        },
+      },
+      automationDetails: { id: 'a11yguard/' },
+      results,
+      properties: { unlocatedResults: unlocated },
+    }],
+  };
+}
+
+function main() {
+  const args = minimist(process.argv.slice(2));
+  const diffFile    = args.diff || '/tmp/a11y_diff.json';
+  const outputFile  = args.output || 'a11y.sarif';
+  const projectRoot = args.projectRoot || null;
+  const repoRoot    = args.repoRoot || projectRoot || '.';
+  const packageJson = projectRoot && path.join(projectRoot, 'package.json');
+  const fallbackFile = [args.fallbackFile, packageJson].find((f) => f && fs.existsSync(f) && artifactUri(f, repoRoot)) || null;
+
+  const diff  = JSON.parse(fs.readFileSync(diffFile, 'utf8'));
+  const sarif = buildSarif(diff, { projectRoot, repoRoot, fallbackFile });
+  fs.writeFileSync(outputFile, JSON.stringify(sarif, null, 2));
+
+  const [run] = sarif.runs;
+  const { unlocatedResults } = run.properties;
+  console.log(`SUCCESS: Wrote ${outputFile}: ${run.results.length} result(s), ${run.tool.driver.rules.length} rule(s)`
+    + (unlocatedResults > 0 ? `; ${unlocatedResults} without a source file were left out (set --fallbackFile)` : ''));
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildSarif, IMPACT_LEVEL };
@@ -3,17 +3,44 @@
  * Launches a headless Playwright browser, scans each URL with axe-core,
  * and writes structured JSON output.
  *
- * All config comes from CLI args — no config.json dependency.
+ * Options come from CLI args and, when present, the project config file
+ * (.a11yguard.yml / .json, see config.js). CLI args win over the file;
+ * the file can also override impact level, ignored rules, axe tags and
+ * wait strategy per route.
  *
  * Usage:
  *   node scan.js \
  *     --baseUrl http://localhost:3000 \
  *     --output baseline.json \
  *     --urls "/,/about,/dashboard" \
+ *     --urlsFile routes.json \
+ *     --interactions interactions.json \
+ *     --storageState auth-state.json \
+ *     --loginScript ./login.js \
+ *     --viewports "desktop,iPhone 13,1024x768" \
+ *     --modes "default,dark,forced-colors,zoom-200" \
  *     --ignore "duplicate-id,color-contrast" \
+ *     --tags "wcag2a,wcag2aa" \
+ *     --standard "wcag22aa" \
  *     --impactLevel "moderate" \
- *     --waitForNetworkIdle "true" \
- *     --extraWaitMs "500"
+ *     --waitFor "networkidle" \
+ *     --extraWaitMs "500" \
+ *     --concurrency "4" \
+ *     --pageTimeoutMs "60000" \
+ *     --screenshots /tmp/a11y_shots/pr \
+ *     --config .a11yguard.yml
+ *
+ * --screenshots saves a full-page shot per page and a highlighted crop of
+ * each failing node into that folder, for the HTML report (see report.js).
+ *
+ * --standard runs only the axe rules for a WCAG conformance target, e.g.
+ * wcag22aa or "WCAG 2.1 AA" (see wcag.js). It replaces the tags from the
+ * config file and cannot be combined with --tags.
+ *
+ * --waitForNetworkIdle "false" is still accepted as --waitFor "domcontentloaded".
+ *
+ * Secrets for authenticated scans (A11Y_HEADERS, A11Y_COOKIES,
+ * A11Y_HTTP_CREDENTIALS) are read from the environment; see auth.js.
  */
 'use strict';
 const fs = require('fs');
@@ -21,58 +48,276 @@ const path = require('path');
 const { chromium } = require('playwright');
 const { AxeBuilder } = require('@axe-core/playwright');
 const minimist = require('minimist');
+const { loadInteractions, statesForRoute, runSteps } = require('./interactions');
+const { loadAuthOptions, describeAuth, prepareSession, newSessionContext, redact, redactValues } = require('./auth');
+const { resolveViewports } = require('./viewports');
+const { resolveModes, applyMode } = require('./modes');
+const { loadConfig, loadConfigOrExit, pick, pickList } = require('./config');
+const { globToRegExp } = require('./glob');
+const { captureScreenshots } = require('./screenshots');
+const { A11yGuardError } = require('./errors');
+const { parseStandard, axeTagsFor } = require('./wcag');
 const IMPACT_ORDER = ['minor', 'moderate', 'serious', 'critical'];
-const args = minimist(process.argv.slice(2));
-const baseUrl       = (args.baseUrl || 'http://localhost:3000').replace(/\/$/, '');
-const outputFile    = args.output || 'scan-output.json';
-const urls          = (args.urls || '/').split(',').map((u) => u.trim()).filter(Boolean);
-const ignoreRules   = (args.ignore || '').split(',').map((r) => r.trim()).filter(Boolean);
-const impactLevel   = args.impactLevel || 'moderate';
-const waitIdle      = args.waitForNetworkIdle !== 'false';
-const extraWaitMs   = parseInt(args.extraWaitMs || '500', 10);
-const minImpactIdx  = IMPACT_ORDER.indexOf(impactLevel);
-function meetsImpactThreshold(impact) {
-  return IMPACT_ORDER.indexOf(impact) >= minImpactIdx;
+
+// scanUrls() logs nothing unless given a logger (the CLI passes console).
+const SILENT_LOGGER = { log() {}, warn() {}, error() {} };
+
+// Lists may be given as arrays or comma-separated strings.
+function listOption(value) {
+  return Array.isArray(value) ? value.join(',') : value;
 }
 
-// Scan a single page at a given URL path.
-async function scanPage(page, urlPath) {
-  const fullUrl = `${baseUrl}${urlPath}`;
-  console.log(`INFO: Scanning ${fullUrl}`);
+// A whole number of at least `min`, e.g. from a CLI flag given as a string.
+function intOption(name, value, min) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min) {
+    throw new A11yGuardError('OPTIONS_INVALID', `${name} must be a whole number of at least ${min}, got "${value}"`);
+  }
+  return n;
+}
+
+/*
+  Everything one scan run needs, from the scanUrls() options over the
+  config file: URLs, viewports, modes, interaction states, auth and the
+  per-route options. Per-route options that were actually given are kept
+  apart so they win over both the file's defaults and its routes.
+*/
+function resolveScanContext(options) {
+  const config = (typeof options.config === 'string' ? loadConfig(options.config) : options.config) || {};
+  const baseUrl = (options.baseUrl || 'http://localhost:3000').replace(/\/$/, '');
+  const interactionsFile = pick(options.interactions, config.interactions);
+
+  let resolved;
+  try {
+    resolved = {
+      urls:         loadUrls(pickList(listOption(options.urls), config.urls), options.urlsFile),
+      interactions: loadInteractions(interactionsFile),
+      viewports:    resolveViewports(pickList(listOption(options.viewports), config.viewports).join(',')),
+      modes:        resolveModes(pickList(listOption(options.modes), config.modes).join(',')),
+      auth:         loadAuthOptions({
+        storageState: pick(options.storageState, config.storageState),
+        loginScript:  pick(options.loginScript, config.loginScript),
+        baseUrl,
+      }),
+    };
+  } catch (err) {
+    throw new A11yGuardError('OPTIONS_INVALID', err.message);
+  }
+
+  // --tags given on its own wins over a standard from the config file.
+  const standardOption = pick(options.standard, pick(listOption(options.tags)) ? undefined : config.standard);
+  const standard = standardOption ? parseStandard(standardOption) : null;
+  if (standardOption && !standard) {
+    throw new A11yGuardError('OPTIONS_INVALID', `Unknown standard "${standardOption}" (expected e.g. wcag21aa or "WCAG 2.2 AA")`);
+  }
+  if (pick(options.standard) && pick(listOption(options.tags))) {
+    throw new A11yGuardError('OPTIONS_INVALID', 'Use either --standard or --tags, not both');
+  }
+
+  const overrides = Object.fromEntries(Object.entries({
+    impactLevel: pick(options.impactLevel),
+    ignoreRules: options.ignoreRules ? pickList(listOption(options.ignoreRules)) : undefined,
+    tags:        standard ? axeTagsFor(standard) : (options.tags ? pickList(listOption(options.tags)) : undefined),
+    waitFor:     pick(options.waitFor),
+    extraWaitMs: pick(options.extraWaitMs) !== undefined ? intOption('extraWaitMs', options.extraWaitMs, 0) : undefined,
+  }).filter(([, v]) => v !== undefined));
+  const defaults = {
+    impactLevel: pick(config.impactLevel, 'moderate'),
+    ignoreRules: config.ignoreRules || [],
+    tags:        config.tags || [],
+    waitFor:     pick(config.waitFor, 'networkidle'),
+    extraWaitMs: pick(config.extraWaitMs, 500),
+  };
+  const routeOverrides = Object.entries(config.routes || {}).map(([pattern, routeOptions]) => ({
+    pattern,
+    regex: globToRegExp(pattern),
+    options: routeOptions,
+  }));
+
+  return {
+    ...resolved,
+    baseUrl,
+    interactionsFile,
+    routeOverrides,
+    standard,
+    concurrency:    intOption('concurrency', pick(options.concurrency, config.concurrency, 1), 1),
+    pageTimeoutMs:  intOption('pageTimeoutMs', pick(options.pageTimeoutMs, config.pageTimeoutMs, 60000), 1),
+    screenshotsDir: options.screenshots || null,
+    log:            options.logger || SILENT_LOGGER,
+    routeOptions:   (route) => routeOptionsFor(route, defaults, routeOverrides, overrides),
+  };
+}
+
+/*
+  Effective options for one route: file defaults, then every matching
+  "routes" entry in file order (ignoreRules add up, the rest replace), then
+  the options given to scanUrls() (CLI flags).
+*/
+function routeOptionsFor(route, defaults, routeOverrides, overrides) {
+  const options = { ...defaults };
+  for (const { regex, options: override } of routeOverrides) {
+    if (!regex.test(route)) continue;
+    const { ignoreRules: extraIgnores, ...rest } = override;
+    Object.assign(options, rest);
+    if (extraIgnores) options.ignoreRules = [...new Set([...options.ignoreRules, ...extraIgnores])];
+  }
+  return { ...options, ...overrides };
+}
+
+function meetsImpactThreshold(impact, minImpact) {
+  return IMPACT_ORDER.indexOf(impact) >= IMPACT_ORDER.indexOf(minImpact);
+}
+
+/*
+  Merges the --urls list with routes written by discover.js (--urlsFile).
+  Order is kept stable and duplicates are dropped.
+*/
+function loadUrls(urlList, urlsFile) {
+  const list = urlList.length > 0 || urlsFile ? [...urlList] : ['/'];
+  if (urlsFile) {
+    const discovered = JSON.parse(fs.readFileSync(urlsFile, 'utf8'));
+    list.push(...(discovered.routes || []));
+  }
+  return [...new Set(list)];
+}
+
+/*
+  Expands each route into scan jobs: for every viewport and media mode, the
+  page as loaded plus one job per interaction state that applies to it. A
+  state's entry is keyed "<route>#<state>" so diff.js and the PR comment
+  treat it as its own page; viewport and mode are recorded on each entry.
+*/
+function buildJobs(ctx) {
+  return ctx.urls.flatMap((route) => ctx.viewports.flatMap((viewport) => ctx.modes.flatMap((mode) => [
+    { urlPath: route, route, state: null, viewport, mode },
+    ...statesForRoute(ctx.interactions, route).map((state) => ({
+      urlPath: `${route}#${state.name}`,
+      route,
+      state,
+      viewport,
+      mode,
+    })),
+  ])));
+}
+
+/*
+  Human-readable label for a job in log lines.
+*/
+function jobLabel(job) {
+  const parts = [job.urlPath];
+  if (job.viewport.name) parts.push(`@ ${job.viewport.name}`);
+  if (job.mode.name) parts.push(`[${job.mode.name}]`);
+  return parts.join(' ');
+}
+
+// Scan a single page (or one interaction state of it) at a given URL path.
+async function scanPage(ctx, page, job) {
+  const { urlPath, route, state, viewport, mode } = job;
+  const options = ctx.routeOptions(route);
+  const fullUrl = `${ctx.baseUrl}${route}`;
+  const details = [
+    state && `state: ${state.name}`,
+    viewport.name && `viewport: ${viewport.name}`,
+    mode.name && `mode: ${mode.name}`,
+  ].filter(Boolean);
+  ctx.log.log(`INFO: Scanning ${redact(fullUrl, ctx.auth.secrets)}${details.length > 0 ? ` (${details.join(', ')})` : ''}`);
 
   // Navigate and wait for DOM to be ready
-  await page.goto(fullUrl, { waitUntil: 'domcontentloaded' });
-  if (waitIdle) {
-    try {
-      await page.waitForLoadState('networkidle', { timeout: 10000 });
-    } catch {
-      // keep scanning even if the page never reaches networkidle
-      console.warn(`  WARN: networkidle timeout on ${urlPath}, continuing`);
+  const response = await page.goto(fullUrl, { waitUntil: 'domcontentloaded' });
+  const status = response ? response.status() : null;
+
+  // A 404/410 means the route does not exist on this side. Record it as a
+  // missing page so diff.js can report it as added/removed, not scan the error page.
+  if (status === 404 || status === 410) {
+    ctx.log.warn(`  WARN: ${jobLabel(job)} returned HTTP ${status}, recording as missing page`);
+    return {
+      urlPath,
+      route,
+      state: state ? state.name : null,
+      viewport: viewport.name,
+      mode: mode.name,
+      fullUrl,
+      status,
+      missing: true,
+      violations: [],
+      incomplete: [],
+      passes: [],
+      passCount: 0,
+      incompleteCount: 0,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  // Wait strategy: a load state, or "selector:<css>" for an element
+  try {
+    if (options.waitFor.startsWith('selector:')) {
+      await page.waitForSelector(options.waitFor.slice('selector:'.length), { timeout: 10000 });
+    } else if (options.waitFor !== 'domcontentloaded') {
+      await page.waitForLoadState(options.waitFor, { timeout: 10000 });
     }
+  } catch {
+    // keep scanning even if the page never reaches the wait condition
+    ctx.log.warn(`  WARN: ${options.waitFor} timeout on ${jobLabel(job)}, continuing`);
   }
-  if (extraWaitMs > 0) {
-    await page.waitForTimeout(extraWaitMs);
+  if (options.extraWaitMs > 0) {
+    await page.waitForTimeout(options.extraWaitMs);
+  }
+
+  // Put the page into the requested UI state before scanning.
+  if (state) {
+    await runSteps(page, state.steps, { urlPath: route, baseUrl: ctx.baseUrl, state: state.name });
   }
 
   // Build an axe scan for the current Playwright page.
   // A new builder each time to ensure no state leaks between scans.
-  let builder = new AxeBuilder({ page });
+  // ancestry gives every node its full DOM path, which diff.js uses to
+  // re-match nodes whose short selector changed between scans.
+  let builder = new AxeBuilder({ page }).options({ ancestry: true });
+
+  // Only run rules carrying one of these axe tags, e.g. wcag2aa.
+  if (options.tags.length > 0) {
+    builder = builder.withTags(options.tags);
+  }
 
   // If the user provided ignore rules, disable them in the axe scan.
-  if (ignoreRules.length > 0) {
-    builder = builder.disableRules(ignoreRules);
+  if (options.ignoreRules.length > 0) {
+    builder = builder.disableRules(options.ignoreRules);
   }
   const results = await builder.analyze();
   
   // Filter violations by severity threshold
   const violations = results.violations.filter((v) =>
-    meetsImpactThreshold(v.impact)
+    meetsImpactThreshold(v.impact, options.impactLevel)
+  );
+
+  // Checks axe could not decide (e.g. contrast over a background image),
+  // kept with their nodes so diff.js can compare them like violations.
+  // Some have no impact; those are always kept.
+  const incomplete = results.incomplete.filter((i) =>
+    !i.impact || meetsImpactThreshold(i.impact, options.impactLevel)
   );
 
+  // Screenshots go last so the node outlines never end up in axe's view.
+  const screenshot = ctx.screenshotsDir
+    ? await captureScreenshots(page, violations, ctx.screenshotsDir, jobLabel(job), ctx.log)
+    : null;
+
   return {
     urlPath,
+    route,
+    state: state ? state.name : null,
+    viewport: viewport.name,
+    mode: mode.name,
+    impactLevel: options.impactLevel,
     fullUrl,
+    status,
+    missing: false,
+    screenshot,
     violations,
+    incomplete,
+    // Rules that passed, without their nodes: enough for conformance.js to
+    // tell a tested criterion from an untested one.
+    passes: results.passes.map((r) => ({ id: r.id, tags: r.tags })),
     passCount: results.passes.length,
     incompleteCount: results.incomplete.length,
     timestamp: new Date().toISOString(),
@@ -80,63 +325,211 @@ async function scanPage(page, urlPath) {
 }
 
 /*
- * CLI entry point.
- * Iterates through all URL paths, scans them one-by-one, writes a report JSON file,
- * and exits with code 1 if any page fails to scan.
- */
-async function main() {
-  console.log('\nRESULTS: a11y-diff scanner');
-  console.log(`   baseUrl      : ${baseUrl}`);
-  console.log(`   output       : ${outputFile}`);
-  console.log(`   urls         : ${urls.join(', ')}`);
-  console.log(`   ignoreRules  : ${ignoreRules.join(', ') || '(none)'}`);
-  console.log(`   minImpact    : ${impactLevel}\n`);
+  Scans one URL in its own browser context so pages running side by side
+  never share cookies, storage or state. Each context starts from the same
+  authenticated session (see auth.js). If the scan takes longer than
+  --pageTimeoutMs the context is closed, which aborts whatever the page was
+  waiting on, and the URL is reported as an error.
+*/
+async function scanInContext(ctx, browser, session, job) {
+  const contextOptions = applyMode({ ...session, ...job.viewport.contextOptions }, job.mode);
+  const context = await newSessionContext(browser, contextOptions, ctx.auth);
+  let timer;
+  try {
+    const page = await context.newPage();
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`Timed out after ${ctx.pageTimeoutMs}ms`)),
+        ctx.pageTimeoutMs
+      );
+    });
+    return await Promise.race([scanPage(ctx, page, job), timeout]);
+  } finally {
+    clearTimeout(timer);
+    await context.close().catch(() => {});
+  }
+}
+
+/*
+  Runs worker(item, index) over items with at most `limit` in flight.
+  Results are stored by input index, so their order never depends on
+  which item finishes first.
+*/
+async function runPool(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function runNext() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, runNext);
+  await Promise.all(runners);
+  return results;
+}
+
+/*
+  Scans every job of a resolved context and builds the report, with secrets
+  already scrubbed from it.
+*/
+async function runScan(ctx) {
+  const { log, auth, baseUrl, viewports, modes } = ctx;
+  const defaults = ctx.routeOptions('/');
+
+  log.log('\nRESULTS: a11y-diff scanner');
+  log.log(`   baseUrl      : ${redact(baseUrl, auth.secrets)}`);
+  log.log(`   urls         : ${ctx.urls.join(', ')}`);
+  log.log(`   viewports    : ${viewports.map((v) => v.name || 'default').join(', ')}`);
+  log.log(`   modes        : ${modes.map((m) => m.name || 'default').join(', ')}`);
+  log.log(`   states       : ${ctx.interactions.length > 0 ? `${ctx.interactions.length} from ${ctx.interactionsFile}` : '(none)'}`);
+  log.log(`   ignoreRules  : ${defaults.ignoreRules.join(', ') || '(none)'}`);
+  log.log(`   minImpact    : ${defaults.impactLevel}`);
+  log.log(`   standard     : ${ctx.standard ? `${ctx.standard.label} (${defaults.tags.join(', ')})` : '(none)'}`);
+  log.log(`   waitFor      : ${defaults.waitFor}`);
+  log.log(`   routeRules   : ${ctx.routeOverrides.length > 0 ? ctx.routeOverrides.map((r) => r.pattern).join(', ') : '(none)'}`);
+  log.log(`   screenshots  : ${ctx.screenshotsDir || '(off)'}`);
+  log.log(`   concurrency  : ${ctx.concurrency}`);
+  log.log(`   pageTimeout  : ${ctx.pageTimeoutMs}ms`);
+  log.log(`   auth         : ${describeAuth(auth)}\n`);
 
   // Launch Chromium in headless mode
   const browser = await chromium.launch({
     args: ['--no-sandbox', '--disable-setuid-sandbox'],
   });
-  const context = await browser.newContext();
-  const pages = [];
-  const errors = [];
 
-  // Scan sequentially to keep output deterministic and avoid overloading the target.
-  // (Parallel scanning could be added later!)
-  for (const urlPath of urls) {
-    const page = await context.newPage();
-    try {
-      const result = await scanPage(page, urlPath);
-      pages.push(result);
-      console.log(` SUCCESS: ${urlPath} — ${result.violations.length} violation(s) found`);
-    } catch (err) {
-      // Record error and continue scanning other pages.
-      console.error(`FAILURE: Error scanning ${urlPath}: ${err.message}`);
-      errors.push({ urlPath, error: err.message });
-    } finally {
-      await page.close();
-    }
+  // Log in (or load the saved session) once; every page reuses it.
+  let session;
+  try {
+    session = await prepareSession(browser, auth, baseUrl);
+  } catch (err) {
+    await browser.close();
+    throw new A11yGuardError('AUTH_FAILED', `Authentication failed: ${redact(err.message, auth.secrets)}`);
   }
-  await browser.close();
-  
+
+  let outcomes;
+  try {
+    outcomes = await runPool(buildJobs(ctx), ctx.concurrency, async (job) => {
+      try {
+        const result = await scanInContext(ctx, browser, session, job);
+        if (!result.missing) {
+          log.log(` SUCCESS: ${jobLabel(job)} — ${result.violations.length} violation(s) found`);
+        }
+        return { result };
+      } catch (err) {
+        // Record error and continue scanning other pages.
+        const message = redact(err.message, auth.secrets);
+        log.error(`FAILURE: Error scanning ${jobLabel(job)}: ${message}`);
+        return { error: { urlPath: job.urlPath, viewport: job.viewport.name, mode: job.mode.name, error: message } };
+      }
+    });
+  } finally {
+    await browser.close();
+  }
+
   // Final report payload
   const output = {
     generatedAt: new Date().toISOString(),
     baseUrl,
-    impactLevel,
-    pages,
-    errors,
+    impactLevel: defaults.impactLevel,
+    standard: ctx.standard ? ctx.standard.id : null,
+    viewports: viewports.map((v) => v.name).filter(Boolean),
+    modes: modes.map((m) => m.name).filter(Boolean),
+    pages: outcomes.filter((o) => o.result).map((o) => o.result),
+    errors: outcomes.filter((o) => o.error).map((o) => o.error),
   };
 
+  // Scrub secrets that may have been echoed into URLs, HTML or error text.
+  return redactValues(output, auth.secrets);
+}
+
+/**
+ * Programmatic entry point (see index.js). Scans every URL path with up to
+ * `concurrency` pages in flight and returns the report object scan.js
+ * writes: { generatedAt, baseUrl, impactLevel, standard, viewports, modes, pages, errors },
+ * pages in `urls` order. Pages that fail to scan are listed in `errors`
+ * rather than thrown; anything that is thrown has secrets removed from its
+ * message. Options mirror the CLI flags (ignore is `ignoreRules`, `config`
+ * is a loaded config object or a config file path).
+ */
+async function scanUrls(options = {}) {
+  const ctx = resolveScanContext(options);
+  try {
+    return await runScan(ctx);
+  } catch (err) {
+    err.message = redact(err.message, ctx.auth.secrets);
+    throw err;
+  }
+}
+
+/*
+ * CLI entry point.
+ * Writes the scanUrls() report to --output and exits with code 1 if any
+ * page fails to scan, 2 on invalid options or config.
+ */
+async function main() {
+  const args = minimist(process.argv.slice(2));
+  const config = loadConfigOrExit(args.config);
+  const outputFile = args.output || 'scan-output.json';
+  const legacyWait = args.waitForNetworkIdle === undefined || args.waitForNetworkIdle === ''
+    ? undefined
+    : (String(args.waitForNetworkIdle) === 'false' ? 'domcontentloaded' : 'networkidle');
+
+  // Everything but the site and its routes, kept in the output so a later
+  // scan can repeat these settings (auto-fix.js re-scans fixed routes).
+  const settings = {
+    config:        args.config,
+    interactions:  args.interactions,
+    storageState:  args.storageState,
+    loginScript:   args.loginScript,
+    viewports:     args.viewports,
+    modes:         args.modes,
+    ignoreRules:   args.ignore,
+    tags:          args.tags,
+    standard:      args.standard,
+    impactLevel:   args.impactLevel,
+    waitFor:       pick(args.waitFor, legacyWait),
+    extraWaitMs:   args.extraWaitMs,
+    concurrency:   args.concurrency,
+    pageTimeoutMs: args.pageTimeoutMs,
+  };
+
+  let output;
+  try {
+    output = await scanUrls({
+      ...settings,
+      baseUrl:     args.baseUrl,
+      urls:        args.urls,
+      urlsFile:    args.urlsFile,
+      config,
+      screenshots: args.screenshots,
+      logger:      console,
+    });
+    output.settings = JSON.parse(JSON.stringify(settings));
+  } catch (err) {
+    if (err.code === 'OPTIONS_INVALID') {
+      console.error(`FAILURE: ${err.message}`);
+      process.exit(2);
+    }
+    throw err;
+  }
+
   fs.writeFileSync(outputFile, JSON.stringify(output, null, 2));
   console.log(`\nSUCCESS:Scan complete: ${outputFile}`);
-  
-  if (errors.length > 0) {
-    console.error(`\nFAILURE: ${errors.length} page(s) failed to scan.`);
+
+  if (output.errors.length > 0) {
+    console.error(`\nFAILURE: ${output.errors.length} page(s) failed to scan.`);
     process.exit(1);
   }
 }
 
-main().catch((err) => {
-  console.error('\nFAILURE: Fatal scan error:', err.message);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('\nFAILURE: Fatal scan error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { scanUrls };
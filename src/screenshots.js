@@ -0,0 +1,113 @@
+/**
+ * screenshots.js
+ * Optional screenshots for the HTML report (see report.js): one full-page
+ * shot per scanned page, plus a cropped shot of every failing node with the
+ * node outlined, so reviewers can see which element a selector points at.
+ *
+ * Files are written as JPEG into the --screenshots folder and their paths
+ * are recorded on the scan output (page.screenshot, node.screenshot).
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const path   = require('path');
+
+// Beyond this many nodes per page, the rest are listed without a picture.
+const MAX_NODE_SCREENSHOTS = 25;
+// Context kept around the node in a cropped shot, in CSS pixels.
+const PADDING = 24;
+const HIGHLIGHT = '3px solid #e11d48';
+const QUALITY = 70;
+
+/*
+  File-name-safe version of a page key, e.g. "/docs/intro#menu @ mobile" →
+  "docs-intro-menu-mobile-1a2b3c". The hash keeps "/a-b" and "/a/b" apart.
+*/
+function slug(text) {
+  const readable = text.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'root';
+  const hash = crypto.createHash('sha1').update(text).digest('hex').slice(0, 6);
+  return `${readable.slice(0, 80)}-${hash}`;
+}
+
+/*
+  Screenshots one failing node: scrolls it into view, outlines it and crops
+  the viewport around it. Nodes inside iframes or shadow roots (multi-part
+  axe targets), hidden nodes and nodes that have gone away are skipped.
+*/
+async function captureNode(page, node, file) {
+  if (node.target.length !== 1 || typeof node.target[0] !== 'string') return null;
+
+  const handle = await page.$(node.target[0]).catch(() => null);
+  if (!handle) return null;
+  try {
+    await handle.scrollIntoViewIfNeeded({ timeout: 2000 }).catch(() => {});
+    const box = await handle.boundingBox();
+    if (!box || box.width === 0 || box.height === 0) return null;
+
+    const viewport = page.viewportSize() || { width: 1280, height: 720 };
+    const x = Math.max(0, box.x - PADDING);
+    const y = Math.max(0, box.y - PADDING);
+    const clip = {
+      x,
+      y,
+      width:  Math.min(viewport.width, box.x + box.width + PADDING) - x,
+      height: Math.min(viewport.height, box.y + box.height + PADDING) - y,
+    };
+    if (clip.width <= 0 || clip.height <= 0) return null;
+
+    const previous = await handle.evaluate((el, outline) => {
+      const before = { outline: el.style.outline, offset: el.style.outlineOffset };
+      el.style.outline = outline;
+      el.style.outlineOffset = '2px';
+      return before;
+    }, HIGHLIGHT);
+    await page.screenshot({ path: file, clip, type: 'jpeg', quality: QUALITY });
+    await handle.evaluate((el, before) => {
+      el.style.outline = before.outline;
+      el.style.outlineOffset = before.offset;
+    }, previous);
+    return file;
+  } catch {
+    return null;
+  } finally {
+    await handle.dispose().catch(() => {});
+  }
+}
+
+/*
+  Takes the full-page shot, then the node shots, for one scanned page.
+  `label` identifies the page (route, state, viewport, mode). Sets
+  node.screenshot on the captured nodes and returns the full-page path.
+  Screenshot failures are logged to `log` (scan.js passes its logger) and
+  never fail the scan.
+*/
+async function captureScreenshots(page, violations, dir, label, log = console) {
+  fs.mkdirSync(dir, { recursive: true });
+  const base = path.join(dir, slug(label));
+
+  let pageShot = null;
+  try {
+    pageShot = `${base}.jpg`;
+    await page.screenshot({ path: pageShot, fullPage: true, type: 'jpeg', quality: QUALITY });
+  } catch (err) {
+    log.warn(`  WARN: full-page screenshot failed on ${label}: ${err.message}`);
+    pageShot = null;
+  }
+
+  let count = 0;
+  for (const violation of violations) {
+    for (const node of violation.nodes) {
+      if (count >= MAX_NODE_SCREENSHOTS) return pageShot;
+      const file = await captureNode(page, node, `${base}--${count + 1}.jpg`);
+      if (file) {
+        node.screenshot = file;
+        count++;
+      }
+    }
+  }
+  return pageShot;
+}
+
+module.exports = { captureScreenshots, MAX_NODE_SCREENSHOTS };
@@ -0,0 +1,254 @@
+/**
+ * suggest.js
+ * Delivers the fixer's changes (see auto-fix.js) as a pull request review
+ * instead of a commit: every changed block becomes a ```suggestion comment
+ * on the PR's head file, so authors can accept the fixes one by one. Works
+ * for PRs from forks, where the action cannot push.
+ *
+ * GitHub only accepts review comments on lines that are part of the PR diff
+ * (its hunks, as listed by the pull request files API). A change outside
+ * them, or on a file whose head content differs from the fixed file, is
+ * returned as a patch instead; auto-fix.js shows it in the summary comment.
+ *
+ * Comments are ordered by violation, and each one names the violations it
+ * fixes. Earlier suggestion comments (SUGGESTION_MARKER) are deleted first.
+ */
+
+'use strict';
+
+const path = require('path');
+const { structuredPatch } = require('diff');
+const { githubRequest } = require('./github');
+const { locateNode } = require('./locate');
+const { unifiedDiff } = require('./patch');
+
+const SUGGESTION_MARKER = '<!-- a11yguard:suggestion -->';
+// Lines around a change that still count as fixing a node found there.
+const NODE_SLACK = 2;
+
+/*
+  Maps the new-file line numbers of a PR file's `patch` to their diff
+  position (1 on the line below the first @@ header, counting later headers
+  too) and hunk index. Only these lines can carry review comments.
+*/
+function diffLineMap(patch) {
+  const map = new Map();
+  if (!patch) return map;
+  let position = 0;
+  let hunk = -1;
+  let newLine = 0;
+  for (const line of patch.split('\n')) {
+    const header = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (header) {
+      if (hunk >= 0) position++;
+      hunk++;
+      newLine = Number(header[1]);
+      continue;
+    }
+    if (hunk < 0) continue;
+    position++;
+    if (line.startsWith('-') || line.startsWith('\\')) continue;
+    map.set(newLine, { position, hunk });
+    newLine++;
+  }
+  return map;
+}
+
+/*
+  The changes from `before` to `after` as line ranges of `before`, each
+  { startLine, endLine, lines } with `lines` replacing the range (1-based,
+  inclusive). Pure insertions take in the line above (or below, at the top
+  of the file) so every range has a line to anchor on; ranges that then
+  touch are merged.
+*/
+function changeBlocks(before, after) {
+  const newLines = after.split('\n');
+  const oldCount = before.split('\n').length;
+  const ranges = structuredPatch('a', 'b', before, after, '', '', { context: 0 }).hunks.map((h) => {
+    if (h.oldLines > 0) {
+      return { os: h.oldStart, oe: h.oldStart + h.oldLines - 1, ns: h.newStart, ne: h.newStart + h.newLines - 1 };
+    }
+    // Inserted before old line oldStart.
+    return h.oldStart > 1
+      ? { os: h.oldStart - 1, oe: h.oldStart - 1, ns: h.newStart - 1, ne: h.newStart + h.newLines - 1 }
+      : { os: 1, oe: Math.min(1, oldCount), ns: 1, ne: h.newLines + 1 };
+  });
+
+  const merged = [];
+  for (const r of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && r.os <= last.oe + 1) {
+      last.oe = Math.max(last.oe, r.oe);
+      last.ne = Math.max(last.ne, r.ne);
+    } else {
+      merged.push({ ...r });
+    }
+  }
+  return merged.map((r) => ({ startLine: r.os, endLine: r.oe, lines: newLines.slice(r.ns - 1, r.ne) }));
+}
+
+// Applies only `blocks` (from changeBlocks) to `before`.
+function applyBlocks(before, blocks) {
+  const lines = before.split('\n');
+  for (const b of [...blocks].sort((x, y) => y.startLine - x.startLine)) {
+    lines.splice(b.startLine - 1, b.endLine - b.startLine + 1, ...b.lines);
+  }
+  return lines.join('\n');
+}
+
+// Violations a block fixes: those with a node within NODE_SLACK lines of it.
+function violationsFor(block, fix) {
+  const near = (line) => line >= block.startLine - NODE_SLACK && line <= block.endLine + NODE_SLACK;
+  return fix.violations.filter((v) => (v.nodes || [v]).some((node) => {
+    const found = locateNode(fix.filePath, node);
+    return found && near(found.startLine);
+  }));
+}
+
+function repoPathOf(fix, repoRoot) {
+  return path.relative(repoRoot, fix.filePath).split(path.sep).join('/');
+}
+
+function suggestionBody(block, violations) {
+  // A longer fence when the suggested code contains one itself.
+  const fence = block.lines.some((l) => l.includes('```')) ? '````' : '```';
+  const heading = violations.length > 0
+    ? violations.map((v) => `**\`${v.id}\`** (${v.impact}) on \`${v.urlPath}\`${v.help ? `: ${v.help}` : ''}`).join('\n')
+    : 'Related accessibility fix';
+  return `${SUGGESTION_MARKER}\n${heading}\n\n${fence}suggestion\n${block.lines.join('\n')}\n${fence}`;
+}
+
+/*
+  Splits the fixes ({ filePath, original, content, violations, ... } from
+  auto-fix.js) into review comments and patches. `prFiles` are the pull
+  request files ({ filename, patch }); `headContents` maps a repository
+  path to its content at the head commit (undefined when unknown). Returns
+  { comments, patches, suggested }: comments in the reviews API format,
+  sorted by violation; patches as { repoPath, diff, reason } for changes
+  that cannot be suggested; the rule ids the comments fix.
+*/
+function buildSuggestions(fixes, prFiles, { repoRoot, headContents = {} }) {
+  const entries = [];
+  const patches = [];
+  const allViolations = fixes.flatMap((fix) => fix.violations);
+
+  for (const fix of fixes) {
+    const repoPath = repoPathOf(fix, repoRoot);
+    const prFile = prFiles.find((f) => f.filename === repoPath);
+    const head = headContents[repoPath];
+    const blocks = changeBlocks(fix.original, fix.content);
+
+    let reason = null;
+    if (!prFile) reason = 'the file is not changed by this PR';
+    else if (head !== undefined && head !== fix.original) reason = 'the file differs from the PR head commit';
+    const lineMap = reason ? new Map() : diffLineMap(prFile.patch);
+
+    const outside = [];
+    for (const block of blocks) {
+      const start = lineMap.get(block.startLine);
+      const end = lineMap.get(block.endLine);
+      if (!start || !end || start.hunk !== end.hunk) {
+        outside.push(block);
+        continue;
+      }
+      const violations = violationsFor(block, fix);
+      entries.push({
+        order: violations.length > 0 ? Math.min(...violations.map((v) => allViolations.indexOf(v))) : Infinity,
+        violations,
+        comment: {
+          path: repoPath,
+          ...(block.startLine < block.endLine ? { start_line: block.startLine, start_side: 'RIGHT' } : {}),
+          line: block.endLine,
+          side: 'RIGHT',
+          body: suggestionBody(block, violations),
+        },
+      });
+    }
+
+    if (outside.length > 0) {
+      patches.push({
+        repoPath,
+        diff: unifiedDiff(repoPath, fix.original, applyBlocks(fix.original, outside)),
+        reason: reason || `${outside.length} change(s) are outside the lines this PR changes`,
+      });
+    }
+  }
+
+  entries.sort((a, b) => a.order - b.order || a.comment.path.localeCompare(b.comment.path) || a.comment.line - b.comment.line);
+  return {
+    comments:  entries.map((e) => e.comment),
+    patches,
+    suggested: [...new Set(entries.flatMap((e) => e.violations.map((v) => v.id)))],
+  };
+}
+
+/* ---------- GitHub ---------- */
+
+async function listAll(urlPath, request) {
+  const items = [];
+  for (let page = 1; ; page++) {
+    const batch = await request('GET', `${urlPath}${urlPath.includes('?') ? '&' : '?'}per_page=100&page=${page}`);
+    items.push(...batch);
+    if (batch.length < 100) return items;
+  }
+}
+
+/*
+  Content of each path at `ref`, for buildSuggestions' headContents. Paths
+  that cannot be read are left out.
+*/
+async function fetchHeadContents(owner, repo, paths, ref, request = githubRequest) {
+  const contents = {};
+  for (const p of paths) {
+    try {
+      const file = await request('GET', `/repos/${owner}/${repo}/contents/${p.split('/').map(encodeURIComponent).join('/')}?ref=${ref}`);
+      if (file.encoding === 'base64') contents[p] = Buffer.from(file.content, 'base64').toString('utf8');
+    } catch (err) {
+      console.warn(`WARN: Could not read ${p} at ${ref}: ${err.message}`);
+    }
+  }
+  return contents;
+}
+
+/*
+  Posts the fixes as one review on the PR. Returns { review, patches }:
+  the created review (null when no change could be suggested) and the
+  patches for the rest. A review the API refuses is turned into patches.
+*/
+async function postSuggestions(fixes, { owner, repo, prNumber, headSha, repoRoot, request = githubRequest }) {
+  const prFiles = await listAll(`/repos/${owner}/${repo}/pulls/${prNumber}/files`, request);
+  const paths = fixes.map((fix) => repoPathOf(fix, repoRoot));
+  const headContents = headSha ? await fetchHeadContents(owner, repo, paths, headSha, request) : {};
+  const { comments, patches, suggested } = buildSuggestions(fixes, prFiles, { repoRoot, headContents });
+
+  try {
+    const previous = await listAll(`/repos/${owner}/${repo}/pulls/${prNumber}/comments`, request);
+    for (const comment of previous.filter((c) => c.body && c.body.startsWith(SUGGESTION_MARKER))) {
+      await request('DELETE', `/repos/${owner}/${repo}/pulls/comments/${comment.id}`);
+    }
+  } catch (err) {
+    console.warn(`WARN: Could not delete old suggestions: ${err.message}`);
+  }
+
+  if (comments.length === 0) return { review: null, patches };
+
+  try {
+    const review = await request('POST', `/repos/${owner}/${repo}/pulls/${prNumber}/reviews`, {
+      ...(headSha ? { commit_id: headSha } : {}),
+      event: 'COMMENT',
+      body: `${SUGGESTION_MARKER}\n**a11yGuard** suggests ${comments.length} accessibility fix(es)${suggested.length > 0 ? ` for ${suggested.map((id) => `\`${id}\``).join(', ')}` : ''}. Accept each one with **Commit suggestion**, or batch them.`,
+      comments,
+    });
+    return { review, patches };
+  } catch (err) {
+    console.warn(`WARN: The review was not accepted (${err.message}); posting the fixes as patches.`);
+    const all = fixes.map((fix) => ({
+      repoPath: repoPathOf(fix, repoRoot),
+      diff:     unifiedDiff(repoPathOf(fix, repoRoot), fix.original, fix.content),
+      reason:   'GitHub did not accept the suggestions',
+    }));
+    return { review: null, patches: all };
+  }
+}
+
+module.exports = { postSuggestions, buildSuggestions, diffLineMap, changeBlocks, SUGGESTION_MARKER };
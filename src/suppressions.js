@@ -0,0 +1,165 @@
+/**
+ * suppressions.js
+ * Loads the committed suppression file: violations the team has formally
+ * accepted, each with a justification, an owner and an optional expiry.
+ *
+ * File format (JSON):
+ *
+ *   {
+ *     "suppressions": [
+ *       {
+ *         "rule": "color-contrast",
+ *         "page": "/legacy/**",
+ *         "selector": "#intercom-*",
+ *         "justification": "Third-party chat widget, vendor ticket #1234",
+ *         "owner": "@frontend-team",
+ *         "expires": "2026-12-31"
+ *       },
+ *       {
+ *         "fingerprint": "/::image-alt::img.hero::42",
+ *         "justification": "Hero image replaced in the Q3 redesign",
+ *         "owner": "@design"
+ *       }
+ *     ]
+ *   }
+ *
+ * An entry matches a violation when every criterion it sets matches:
+ *   rule         exact axe rule id
+ *   page         glob on the page path (see glob.js)
+ *   selector     wildcard on the joined selector ("*" matches anything)
+ *   fingerprint  exact violation fingerprint from the diff JSON
+ *
+ * An entry is expired once its "expires" date has passed: it no longer
+ * suppresses anything and the violations it still matches fail the check.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { globToRegExp } = require('./glob');
+const { A11yGuardError } = require('./errors');
+
+const CRITERIA = ['rule', 'page', 'selector', 'fingerprint'];
+const KNOWN_KEYS = new Set([...CRITERIA, 'justification', 'owner', 'expires']);
+
+function wildcardToRegExp(pattern) {
+  const src = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${src}$`);
+}
+
+/*
+  Reads and validates the suppression file. Every problem is collected so
+  the error lists all bad entries at once.
+*/
+function loadSuppressions(file, now = new Date()) {
+  if (!file) return [];
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new A11yGuardError('SUPPRESSIONS_INVALID', `${file}: could not be read: ${err.message}`, { file, problems: [] });
+  }
+  const list = Array.isArray(raw) ? raw : raw.suppressions;
+  if (!Array.isArray(list)) {
+    throw new A11yGuardError('SUPPRESSIONS_INVALID', `${file}: expected a "suppressions" array`, { file, problems: [] });
+  }
+
+  const problems = [];
+  const entries = list.map((entry, index) => {
+    const where = `${file}: suppression #${index + 1}`;
+    for (const key of Object.keys(entry)) {
+      if (!KNOWN_KEYS.has(key)) problems.push(`${where} has unknown key "${key}"`);
+    }
+    if (!CRITERIA.some((c) => entry[c])) {
+      problems.push(`${where} needs at least one of: ${CRITERIA.join(', ')}`);
+    }
+    if (!entry.justification || !String(entry.justification).trim()) {
+      problems.push(`${where} is missing a justification`);
+    }
+    if (!entry.owner || !String(entry.owner).trim()) {
+      problems.push(`${where} is missing an owner`);
+    }
+
+    let expires = null;
+    if (entry.expires) {
+      expires = new Date(`${entry.expires}T23:59:59Z`);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.expires) || Number.isNaN(expires.getTime())) {
+        problems.push(`${where} has an invalid expires date "${entry.expires}" (use YYYY-MM-DD)`);
+      }
+    }
+
+    return {
+      index,
+      rule:          entry.rule || null,
+      page:          entry.page || null,
+      selector:      entry.selector || null,
+      fingerprint:   entry.fingerprint || null,
+      justification: entry.justification,
+      owner:         entry.owner,
+      expires:       entry.expires || null,
+      expired:       Boolean(expires && expires < now),
+      pageRegex:     entry.page ? globToRegExp(entry.page) : null,
+      selectorRegex: entry.selector ? wildcardToRegExp(entry.selector) : null,
+    };
+  });
+
+  if (problems.length > 0) {
+    throw new A11yGuardError('SUPPRESSIONS_INVALID', `Invalid suppression file:\n  ${problems.join('\n  ')}`, { file, problems });
+  }
+  return entries;
+}
+
+function matches(entry, v) {
+  if (entry.rule && entry.rule !== v.id) return false;
+  // Interaction states ("/checkout#error") match on their route path.
+  if (entry.pageRegex && !entry.pageRegex.test(v.urlPath.split('#')[0])) return false;
+  if (entry.selectorRegex && !entry.selectorRegex.test((v.target || []).join(' > '))) return false;
+  if (entry.fingerprint && entry.fingerprint !== v.fingerprint) return false;
+  return true;
+}
+
+/*
+  First suppression entry (active or expired) that covers a violation.
+*/
+function findSuppression(entries, v) {
+  return entries.find((entry) => matches(entry, v)) || null;
+}
+
+/*
+  The fields of an entry worth keeping in the diff JSON.
+*/
+function describeSuppression(entry) {
+  const { pageRegex, selectorRegex, ...rest } = entry;
+  return rest;
+}
+
+/*
+  Splits a fingerprint map into what stays in the diff and what is
+  suppressed. Head violations are also checked against expired entries
+  and every entry's use is counted so stale ones can be reported.
+*/
+function applySuppressions(entries, map, usage) {
+  const kept = new Map();
+  const suppressed = [];
+  const expired = [];
+
+  for (const [fp, v] of map) {
+    const entry = findSuppression(entries, v);
+    if (!entry) {
+      kept.set(fp, v);
+      continue;
+    }
+    if (usage) usage.set(entry.index, (usage.get(entry.index) || 0) + 1);
+    if (entry.expired) {
+      kept.set(fp, v);
+      expired.push({ ...v, suppression: describeSuppression(entry) });
+    } else {
+      suppressed.push({ ...v, suppression: describeSuppression(entry) });
+    }
+  }
+
+  return { kept, suppressed, expired };
+}
+
+module.exports = { loadSuppressions, applySuppressions, describeSuppression };
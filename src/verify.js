@@ -0,0 +1,141 @@
+/**
+ * verify.js
+ * Checks the AI fixer's changes (see auto-fix.js) before they are pushed:
+ * rebuilds the PR app, re-scans only the routes the fixes target with the
+ * settings of the original PR scan, and diffs the result against the
+ * original baseline scan.
+ *
+ * A fixed file passes when none of the new violations on its pages are left
+ * and the re-scan shows no other new ones there. Failing files are restored
+ * and reported with the reason. When some fixes fail and others pass, the
+ * app is rebuilt without the failed ones and the routes of the kept fixes
+ * are re-scanned once more, so the fixes that get pushed were verified
+ * together, as they will be deployed.
+ *
+ * The PR build must still be served at `url` (the action keeps its server on
+ * port 5000 running); a static site without a build command is re-scanned
+ * as served.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { spawnSync } = require('child_process');
+const { scanUrls } = require('./scan');
+const { compareScans } = require('./diff');
+const { loadConfig, pick } = require('./config');
+const { loadSuppressions } = require('./suppressions');
+
+function routeOf(urlPath) {
+  return urlPath.split('#')[0];
+}
+
+function sameNode(a, b) {
+  return a.id === b.id && a.urlPath === b.urlPath && (a.target || []).join(' ') === (b.target || []).join(' ');
+}
+
+/*
+  Runs `npm run <buildCommand>` in appDir. Returns null on success, else
+  the reason it failed.
+*/
+function rebuild(buildCommand, appDir) {
+  console.log(`INFO: Rebuilding the PR app (npm run ${buildCommand}) to verify the fixes...`);
+  const result = spawnSync('npm', ['run', buildCommand], { cwd: appDir, stdio: 'inherit' });
+  if (result.error) return `the rebuild could not start (${result.error.message})`;
+  if (result.status !== 0) return `the rebuild failed (npm run ${buildCommand} exited with ${result.status})`;
+  return null;
+}
+
+/*
+  Why a fixed file fails verification, or null when it passes. `remaining`
+  are the re-scan's new violations, `known` the original diff's (which may
+  include ones the fix did not target); `errors` the failed page scans.
+*/
+function verdictFor(fix, remaining, known, errors) {
+  const routes = new Set(fix.violations.map((v) => routeOf(v.urlPath)));
+  const failed = errors.filter((e) => routes.has(routeOf(e.urlPath)));
+  if (failed.length > 0) return `the re-scan of ${failed[0].urlPath} failed (${failed[0].error})`;
+
+  const onPages = remaining.filter((v) => routes.has(routeOf(v.urlPath)));
+  const stillFailing = onPages.filter((v) => fix.violations.some((t) => sameNode(t, v)));
+  const introduced   = onPages.filter((v) => !stillFailing.includes(v) && !known.some((k) => sameNode(k, v)));
+  const reasons = [];
+  if (stillFailing.length > 0) {
+    reasons.push(`still failing: ${[...new Set(stillFailing.map((v) => `${v.id} on ${v.urlPath}`))].join(', ')}`);
+  }
+  if (introduced.length > 0) {
+    reasons.push(`new after the fix: ${[...new Set(introduced.map((v) => `${v.id} on ${v.urlPath}`))].join(', ')}`);
+  }
+  return reasons.length > 0 ? reasons.join('; ') : null;
+}
+
+/*
+  One round of verification: rebuild, re-scan the routes of `fixes` and
+  judge each fix. Returns { verified, failed }.
+*/
+async function checkFixes(fixes, { baseline, head, matching, newViolations, url, buildCommand, appDir, suppressionsFile, scan }) {
+  const failAll = (reason) => ({ verified: [], failed: fixes.map((fix) => ({ ...fix, reason })) });
+
+  if (buildCommand) {
+    const buildError = rebuild(buildCommand, appDir);
+    if (buildError) return failAll(buildError);
+  }
+
+  const routes = [...new Set(fixes.flatMap((fix) => fix.violations.map((v) => routeOf(v.urlPath))))];
+  console.log(`INFO: Re-scanning ${routes.join(', ')} at ${url}...`);
+
+  const settings = head.settings || {};
+  let rescan;
+  try {
+    rescan = await scan({ ...settings, baseUrl: url, urls: routes, logger: console });
+  } catch (err) {
+    return failAll(`the re-scan failed (${err.message})`);
+  }
+
+  // Only the re-scanned routes are compared, so other pages don't show as removed.
+  const scopedBaseline = { ...baseline, pages: baseline.pages.filter((p) => routes.includes(p.route || routeOf(p.urlPath))) };
+  const { diff } = compareScans(scopedBaseline, rescan, {
+    fuzzyMatch:   matching.fuzzy !== false,
+    ...(matching.threshold != null ? { matchThreshold: matching.threshold } : {}),
+    suppressions: loadSuppressions(pick(suppressionsFile, loadConfig(settings.config).suppressions, '')),
+  });
+
+  const verified = [];
+  const failed   = [];
+  for (const fix of fixes) {
+    const reason = verdictFor(fix, diff.newViolations, newViolations, rescan.errors);
+    if (reason) failed.push({ ...fix, reason });
+    else verified.push(fix);
+  }
+  return { verified, failed };
+}
+
+function restore(fixes) {
+  for (const fix of fixes) fs.writeFileSync(fix.filePath, fix.original);
+}
+
+/*
+  Verifies every entry of `fixes` ({ filePath, original, violations, ... }
+  as built by auto-fix.js). `baseline` and `head` are the original scans;
+  the re-scan repeats head.settings and is matched like the original diff
+  (`matching` and `newViolations`, the diff's own fields). `scan` defaults
+  to scanUrls(). Failed fixes are restored on disk. Returns the fixes
+  split into { verified, failed }, each failed entry with a `reason`.
+*/
+async function verifyFixes(fixes, { baseline, head, matching = {}, newViolations = [], url, buildCommand, appDir, suppressionsFile, scan = scanUrls }) {
+  const options = { baseline, head, matching, newViolations, url, buildCommand, appDir, suppressionsFile, scan };
+  const first = await checkFixes(fixes, options);
+  restore(first.failed);
+  if (first.failed.length === 0 || first.verified.length === 0) return first;
+
+  // The kept fixes were checked next to the failed ones; check them again without.
+  console.log(`INFO: Verifying the ${first.verified.length} kept fix(es) again without the ${first.failed.length} reverted one(s)...`);
+  const second = await checkFixes(first.verified, options);
+  restore(second.failed);
+  return {
+    verified: second.verified,
+    failed:   [...first.failed, ...second.failed.map((fix) => ({ ...fix, reason: `with the failed fixes reverted, ${fix.reason}` }))],
+  };
+}
+
+module.exports = { verifyFixes };
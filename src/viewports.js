@@ -0,0 +1,58 @@
+/**
+ * viewports.js
+ * Resolves the --viewports list into Playwright context options. Each entry
+ * is one of:
+ *
+ *   desktop / tablet / mobile   built-in presets
+ *   1024x768                    a custom width x height
+ *   iPhone 13, Pixel 7, ...     any Playwright device descriptor name
+ *                               (user agent, touch and scale factor included)
+ */
+
+'use strict';
+
+const { devices } = require('playwright');
+
+const PRESETS = {
+  desktop: { viewport: { width: 1280, height: 720 } },
+  tablet:  { viewport: { width: 768, height: 1024 }, hasTouch: true },
+  mobile:  { viewport: { width: 375, height: 667 }, isMobile: true, hasTouch: true },
+};
+
+/*
+  Looks up a device name, ignoring case, e.g. "iphone 13" → "iPhone 13".
+*/
+function findDevice(name) {
+  if (devices[name]) return devices[name];
+  const key = Object.keys(devices).find((d) => d.toLowerCase() === name.toLowerCase());
+  return key ? devices[key] : null;
+}
+
+/*
+  Turns a comma-separated viewport list into [{ name, contextOptions }].
+  An empty list yields a single unnamed entry that keeps Playwright's
+  default viewport, so scans without --viewports look exactly as before.
+*/
+function resolveViewports(value) {
+  const names = (value || '').split(',').map((v) => v.trim()).filter(Boolean);
+  if (names.length === 0) return [{ name: null, contextOptions: {} }];
+
+  return [...new Set(names)].map((name) => {
+    const size = name.match(/^(\d+)x(\d+)$/i);
+    if (size) {
+      return { name, contextOptions: { viewport: { width: Number(size[1]), height: Number(size[2]) } } };
+    }
+    if (PRESETS[name.toLowerCase()]) {
+      return { name, contextOptions: PRESETS[name.toLowerCase()] };
+    }
+    const device = findDevice(name);
+    if (device) {
+      // Browser choice is fixed by the scanner; only keep the emulation settings.
+      const { defaultBrowserType, ...contextOptions } = device;
+      return { name, contextOptions };
+    }
+    throw new Error(`Unknown viewport "${name}". Use desktop, tablet, mobile, WIDTHxHEIGHT or a Playwright device name.`);
+  });
+}
+
+module.exports = { resolveViewports, PRESETS };
@@ -0,0 +1,205 @@
+/**
+ * wcag.js
+ * The WCAG 2.0 / 2.1 / 2.2 success criteria and how axe-core's tags map to
+ * them. axe tags each rule with the criteria it tests ("wcag143" is 1.4.3)
+ * and with the level it belongs to ("wcag21aa" is a 2.1 AA criterion).
+ *
+ * A conformance target ("standard") is a WCAG version plus a level, e.g.
+ * wcag22aa or "WCAG 2.2 AA". It covers every criterion of that version at
+ * that level or below, and runs the axe rules tagged for any of them.
+ */
+
+'use strict';
+
+const LEVELS   = ['A', 'AA', 'AAA'];
+const VERSIONS = ['2.0', '2.1', '2.2'];
+
+const UNDERSTANDING_URL = 'https://www.w3.org/WAI/WCAG22/Understanding/';
+
+// [id, name, level, version introduced, Understanding page]
+const CRITERIA_TABLE = [
+  ['1.1.1',  'Non-text Content',                          'A',   '2.0', 'non-text-content'],
+  ['1.2.1',  'Audio-only and Video-only (Prerecorded)',   'A',   '2.0', 'audio-only-and-video-only-prerecorded'],
+  ['1.2.2',  'Captions (Prerecorded)',                    'A',   '2.0', 'captions-prerecorded'],
+  ['1.2.3',  'Audio Description or Media Alternative (Prerecorded)', 'A', '2.0', 'audio-description-or-media-alternative-prerecorded'],
+  ['1.2.4',  'Captions (Live)',                           'AA',  '2.0', 'captions-live'],
+  ['1.2.5',  'Audio Description (Prerecorded)',           'AA',  '2.0', 'audio-description-prerecorded'],
+  ['1.2.6',  'Sign Language (Prerecorded)',               'AAA', '2.0', 'sign-language-prerecorded'],
+  ['1.2.7',  'Extended Audio Description (Prerecorded)',  'AAA', '2.0', 'extended-audio-description-prerecorded'],
+  ['1.2.8',  'Media Alternative (Prerecorded)',           'AAA', '2.0', 'media-alternative-prerecorded'],
+  ['1.2.9',  'Audio-only (Live)',                         'AAA', '2.0', 'audio-only-live'],
+  ['1.3.1',  'Info and Relationships',                    'A',   '2.0', 'info-and-relationships'],
+  ['1.3.2',  'Meaningful Sequence',                       'A',   '2.0', 'meaningful-sequence'],
+  ['1.3.3',  'Sensory Characteristics',                   'A',   '2.0', 'sensory-characteristics'],
+  ['1.3.4',  'Orientation',                               'AA',  '2.1', 'orientation'],
+  ['1.3.5',  'Identify Input Purpose',                    'AA',  '2.1', 'identify-input-purpose'],
+  ['1.3.6',  'Identify Purpose',                          'AAA', '2.1', 'identify-purpose'],
+  ['1.4.1',  'Use of Color',                              'A',   '2.0', 'use-of-color'],
+  ['1.4.2',  'Audio Control',                             'A',   '2.0', 'audio-control'],
+  ['1.4.3',  'Contrast (Minimum)',                        'AA',  '2.0', 'contrast-minimum'],
+  ['1.4.4',  'Resize Text',                               'AA',  '2.0', 'resize-text'],
+  ['1.4.5',  'Images of Text',                            'AA',  '2.0', 'images-of-text'],
+  ['1.4.6',  'Contrast (Enhanced)',                       'AAA', '2.0', 'contrast-enhanced'],
+  ['1.4.7',  'Low or No Background Audio',                'AAA', '2.0', 'low-or-no-background-audio'],
+  ['1.4.8',  'Visual Presentation',                       'AAA', '2.0', 'visual-presentation'],
+  ['1.4.9',  'Images of Text (No Exception)',             'AAA', '2.0', 'images-of-text-no-exception'],
+  ['1.4.10', 'Reflow',                                    'AA',  '2.1', 'reflow'],
+  ['1.4.11', 'Non-text Contrast',                         'AA',  '2.1', 'non-text-contrast'],
+  ['1.4.12', 'Text Spacing',                              'AA',  '2.1', 'text-spacing'],
+  ['1.4.13', 'Content on Hover or Focus',                 'AA',  '2.1', 'content-on-hover-or-focus'],
+  ['2.1.1',  'Keyboard',                                  'A',   '2.0', 'keyboard'],
+  ['2.1.2',  'No Keyboard Trap',                          'A',   '2.0', 'no-keyboard-trap'],
+  ['2.1.3',  'Keyboard (No Exception)',                   'AAA', '2.0', 'keyboard-no-exception'],
+  ['2.1.4',  'Character Key Shortcuts',                   'A',   '2.1', 'character-key-shortcuts'],
+  ['2.2.1',  'Timing Adjustable',                         'A',   '2.0', 'timing-adjustable'],
+  ['2.2.2',  'Pause, Stop, Hide',                         'A',   '2.0', 'pause-stop-hide'],
+  ['2.2.3',  'No Timing',                                 'AAA', '2.0', 'no-timing'],
+  ['2.2.4',  'Interruptions',                             'AAA', '2.0', 'interruptions'],
+  ['2.2.5',  'Re-authenticating',                         'AAA', '2.0', 're-authenticating'],
+  ['2.2.6',  'Timeouts',                                  'AAA', '2.1', 'timeouts'],
+  ['2.3.1',  'Three Flashes or Below Threshold',          'A',   '2.0', 'three-flashes-or-below-threshold'],
+  ['2.3.2',  'Three Flashes',                             'AAA', '2.0', 'three-flashes'],
+  ['2.3.3',  'Animation from Interactions',               'AAA', '2.1', 'animation-from-interactions'],
+  ['2.4.1',  'Bypass Blocks',                             'A',   '2.0', 'bypass-blocks'],
+  ['2.4.2',  'Page Titled',                               'A',   '2.0', 'page-titled'],
+  ['2.4.3',  'Focus Order',                               'A',   '2.0', 'focus-order'],
+  ['2.4.4',  'Link Purpose (In Context)',                 'A',   '2.0', 'link-purpose-in-context'],
+  ['2.4.5',  'Multiple Ways',                             'AA',  '2.0', 'multiple-ways'],
+  ['2.4.6',  'Headings and Labels',                       'AA',  '2.0', 'headings-and-labels'],
+  ['2.4.7',  'Focus Visible',                             'AA',  '2.0', 'focus-visible'],
+  ['2.4.8',  'Location',                                  'AAA', '2.0', 'location'],
+  ['2.4.9',  'Link Purpose (Link Only)',                  'AAA', '2.0', 'link-purpose-link-only'],
+  ['2.4.10', 'Section Headings',                          'AAA', '2.0', 'section-headings'],
+  ['2.4.11', 'Focus Not Obscured (Minimum)',              'AA',  '2.2', 'focus-not-obscured-minimum'],
+  ['2.4.12', 'Focus Not Obscured (Enhanced)',             'AAA', '2.2', 'focus-not-obscured-enhanced'],
+  ['2.4.13', 'Focus Appearance',                          'AAA', '2.2', 'focus-appearance'],
+  ['2.5.1',  'Pointer Gestures',                          'A',   '2.1', 'pointer-gestures'],
+  ['2.5.2',  'Pointer Cancellation',                      'A',   '2.1', 'pointer-cancellation'],
+  ['2.5.3',  'Label in Name',                             'A',   '2.1', 'label-in-name'],
+  ['2.5.4',  'Motion Actuation',                          'A',   '2.1', 'motion-actuation'],
+  ['2.5.5',  'Target Size (Enhanced)',                    'AAA', '2.1', 'target-size-enhanced'],
+  ['2.5.6',  'Concurrent Input Mechanisms',               'AAA', '2.1', 'concurrent-input-mechanisms'],
+  ['2.5.7',  'Dragging Movements',                        'AA',  '2.2', 'dragging-movements'],
+  ['2.5.8',  'Target Size (Minimum)',                     'AA',  '2.2', 'target-size-minimum'],
+  ['3.1.1',  'Language of Page',                          'A',   '2.0', 'language-of-page'],
+  ['3.1.2',  'Language of Parts',                         'AA',  '2.0', 'language-of-parts'],
+  ['3.1.3',  'Unusual Words',                             'AAA', '2.0', 'unusual-words'],
+  ['3.1.4',  'Abbreviations',                             'AAA', '2.0', 'abbreviations'],
+  ['3.1.5',  'Reading Level',                             'AAA', '2.0', 'reading-level'],
+  ['3.1.6',  'Pronunciation',                             'AAA', '2.0', 'pronunciation'],
+  ['3.2.1',  'On Focus',                                  'A',   '2.0', 'on-focus'],
+  ['3.2.2',  'On Input',                                  'A',   '2.0', 'on-input'],
+  ['3.2.3',  'Consistent Navigation',                     'AA',  '2.0', 'consistent-navigation'],
+  ['3.2.4',  'Consistent Identification',                 'AA',  '2.0', 'consistent-identification'],
+  ['3.2.5',  'Change on Request',                         'AAA', '2.0', 'change-on-request'],
+  ['3.2.6',  'Consistent Help',                           'A',   '2.2', 'consistent-help'],
+  ['3.3.1',  'Error Identification',                      'A',   '2.0', 'error-identification'],
+  ['3.3.2',  'Labels or Instructions',                    'A',   '2.0', 'labels-or-instructions'],
+  ['3.3.3',  'Error Suggestion',                          'AA',  '2.0', 'error-suggestion'],
+  ['3.3.4',  'Error Prevention (Legal, Financial, Data)', 'AA',  '2.0', 'error-prevention-legal-financial-data'],
+  ['3.3.5',  'Help',                                      'AAA', '2.0', 'help'],
+  ['3.3.6',  'Error Prevention (All)',                    'AAA', '2.0', 'error-prevention-all'],
+  ['3.3.7',  'Redundant Entry',                           'A',   '2.2', 'redundant-entry'],
+  ['3.3.8',  'Accessible Authentication (Minimum)',       'AA',  '2.2', 'accessible-authentication-minimum'],
+  ['3.3.9',  'Accessible Authentication (Enhanced)',      'AAA', '2.2', 'accessible-authentication-enhanced'],
+  ['4.1.1',  'Parsing',                                   'A',   '2.0', 'parsing'],
+  ['4.1.2',  'Name, Role, Value',                         'A',   '2.0', 'name-role-value'],
+  ['4.1.3',  'Status Messages',                           'AA',  '2.1', 'status-messages'],
+];
+
+// Criteria dropped from later versions: 4.1.1 Parsing is obsolete in 2.2.
+const REMOVED_IN = { '4.1.1': '2.2' };
+
+const CRITERIA = CRITERIA_TABLE.map(([id, name, level, version, slug]) => ({
+  id,
+  name,
+  level,
+  version,
+  ...(REMOVED_IN[id] ? { removedIn: REMOVED_IN[id] } : {}),
+  url: `${UNDERSTANDING_URL}${slug}`,
+}));
+const BY_ID = new Map(CRITERIA.map((c) => [c.id, c]));
+
+// The level tags axe-core uses; there are no wcag21aaa or wcag22a tags.
+const AXE_LEVEL_TAGS = ['wcag2a', 'wcag2aa', 'wcag2aaa', 'wcag21a', 'wcag21aa', 'wcag22aa'];
+
+const BEST_PRACTICE = { label: 'Best Practice', url: 'https://dequeuniversity.com/rules/axe/' };
+
+const versionIndex = (v) => VERSIONS.indexOf(v);
+const levelIndex   = (l) => LEVELS.indexOf(l);
+
+/*
+  A conformance target from "wcag22aa", "wcag2aa" (2.0), "WCAG 2.1 AA" or
+  "2.2 AA": { id, version, level, label }. null when it is not one.
+*/
+function parseStandard(value) {
+  const m = String(value || '').trim().toLowerCase().replace(/\s+/g, '')
+    .match(/^(?:wcag)?2(?:\.?([012]))?(a{1,3})$/);
+  if (!m) return null;
+  const minor = m[1] || '0';
+  const level = m[2].toUpperCase();
+  return {
+    id:      `wcag2${minor === '0' ? '' : minor}${level.toLowerCase()}`,
+    version: `2.${minor}`,
+    level,
+    label:   `WCAG 2.${minor} ${level}`,
+  };
+}
+
+// The axe tags that select every rule a standard covers.
+function axeTagsFor(standard) {
+  const target = typeof standard === 'string' ? parseStandard(standard) : standard;
+  return AXE_LEVEL_TAGS.filter((tag) => {
+    const s = parseStandard(tag);
+    return versionIndex(s.version) <= versionIndex(target.version) && levelIndex(s.level) <= levelIndex(target.level);
+  });
+}
+
+// The criteria a standard covers, in catalog order.
+function criteriaInStandard(standard) {
+  const target = typeof standard === 'string' ? parseStandard(standard) : standard;
+  return CRITERIA.filter((c) => versionIndex(c.version) <= versionIndex(target.version)
+    && levelIndex(c.level) <= levelIndex(target.level)
+    && !(c.removedIn && versionIndex(c.removedIn) <= versionIndex(target.version)));
+}
+
+// The success criteria named by axe tags such as "wcag143" or "wcag1410".
+function criteriaFor(tags) {
+  const found = [];
+  for (const tag of tags || []) {
+    const m = tag.match(/^wcag(\d)(\d)(\d{1,2})$/);
+    const criterion = m && BY_ID.get(`${m[1]}.${m[2]}.${m[3]}`);
+    if (criterion && !found.includes(criterion)) found.push(criterion);
+  }
+  return found;
+}
+
+/*
+  What a rule's tags point at, for display: its success criteria, or else
+  its level ("WCAG 2.1 AA", the lowest version tagged) or Best Practice.
+  Returns [{ label, url }], empty when the tags name none of these.
+*/
+function standardRefs(tags) {
+  const criteria = criteriaFor(tags);
+  if (criteria.length > 0) {
+    return criteria.map((c) => ({ label: `${c.id} ${c.name} (${c.level})`, url: c.url }));
+  }
+  const levels = (tags || []).filter((t) => AXE_LEVEL_TAGS.includes(t)).map(parseStandard)
+    .sort((a, b) => versionIndex(a.version) - versionIndex(b.version) || levelIndex(a.level) - levelIndex(b.level));
+  if (levels.length > 0) {
+    return [{ label: levels[0].label, url: `https://www.w3.org/TR/WCAG2${levels[0].version.slice(2)}/` }];
+  }
+  return (tags || []).includes('best-practice') ? [BEST_PRACTICE] : [];
+}
+
+module.exports = {
+  CRITERIA,
+  LEVELS,
+  VERSIONS,
+  AXE_LEVEL_TAGS,
+  parseStandard,
+  axeTagsFor,
+  criteriaInStandard,
+  criteriaFor,
+  standardRefs,
+};
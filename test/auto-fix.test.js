@@ -0,0 +1,105 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { spawn, spawnSync } = require('child_process');
+const { FIXTURES } = require('./helpers');
+
+const AUTO_FIX = path.join(__dirname, '..', 'src', 'auto-fix.js');
+const DIFF = path.join(FIXTURES, 'auto-fix', 'diff.json');
+const RECORDINGS = path.join(FIXTURES, 'auto-fix', 'recordings.json');
+
+// A scratch copy of the Next.js fixture app for auto-fix.js to edit.
+function copyApp(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11yguard-test-'));
+  fs.cpSync(path.join(FIXTURES, 'next-app'), dir, { recursive: true });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Runs the CLI without LLM keys or GitHub metadata, so nothing leaves the machine.
+function autoFix(appDir, args) {
+  return spawnSync(process.execPath, [AUTO_FIX, '--diff', DIFF, '--verify', 'false', ...args], {
+    env: { PATH: process.env.PATH, PR_PROJECT_PATH: appDir },
+    encoding: 'utf8',
+  });
+}
+
+test('auto-fix.js applies the recorded LLM edits with the mock provider', (t) => {
+  const app = copyApp(t);
+  const run = autoFix(app, ['--provider', 'mock', '--recordings', RECORDINGS]);
+
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stdout, /Using the mock LLM provider/);
+  assert.match(run.stdout, /image-alt on \/ → app\/page\.tsx/);
+  assert.match(fs.readFileSync(path.join(app, 'app/page.tsx'), 'utf8'), /<img className="hero" src="\/hero\.png" alt="Product overview" \/>/);
+});
+
+test('auto-fix.js leaves the file alone when the request has no recording', (t) => {
+  const app = copyApp(t);
+  const empty = path.join(app, 'empty-recordings.json');
+  fs.writeFileSync(empty, '{}');
+  const before = fs.readFileSync(path.join(app, 'app/page.tsx'), 'utf8');
+  const run = autoFix(app, ['--provider', 'mock', '--recordings', empty]);
+
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stderr, /No recorded response for request [0-9a-f]{16}/);
+  assert.equal(fs.readFileSync(path.join(app, 'app/page.tsx'), 'utf8'), before);
+});
+
+test('auto-fix.js runs only the rule-based fixers when no LLM is configured', (t) => {
+  const app = copyApp(t);
+  const run = autoFix(app, []);
+
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stdout, /Rule-based fixes only/);
+  assert.doesNotMatch(fs.readFileSync(path.join(app, 'app/page.tsx'), 'utf8'), /alt=/);
+});
+
+test('auto-fix.js deletes its earlier summary comments from every page of the PR', async (t) => {
+  const marker = '<!-- a11yguard:ai-fix -->';
+  const pages = [
+    Array.from({ length: 100 }, (_, i) => ({ id: i + 1, body: i === 10 ? `${marker}\nold fix` : 'a review comment' })),
+    [{ id: 101, body: `${marker}\nolder fix` }],
+  ];
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      requests.push(`${req.method} ${req.url}`);
+      const page = Number(new URL(req.url, 'http://localhost').searchParams.get('page'));
+      res.writeHead(req.method === 'POST' ? 201 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(req.method === 'GET' ? pages[page - 1] || [] : { html_url: 'https://github.com/o/r/pull/5#issuecomment-1' }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  // Async spawn: the mock server runs in this process and must keep answering.
+  const child = spawn(process.execPath, [AUTO_FIX, '--diff', DIFF, '--verify', 'false', '--provider', 'mock', '--recordings', RECORDINGS], {
+    env: {
+      PATH: process.env.PATH,
+      PR_PROJECT_PATH: copyApp(t),
+      GITHUB_TOKEN: 'test-token',
+      PR_NUMBER: '5',
+      GITHUB_REPOSITORY: 'o/r',
+      GITHUB_API_URL: `http://127.0.0.1:${server.address().port}`,
+    },
+  });
+  let stderr = '';
+  child.stderr.on('data', (chunk) => (stderr += chunk));
+  const status = await new Promise((resolve) => child.on('close', resolve));
+
+  assert.equal(status, 0, stderr);
+  assert.deepEqual(requests, [
+    'GET /repos/o/r/issues/5/comments?per_page=100&page=1',
+    'GET /repos/o/r/issues/5/comments?per_page=100&page=2',
+    'DELETE /repos/o/r/issues/comments/11',
+    'DELETE /repos/o/r/issues/comments/101',
+    'POST /repos/o/r/issues/5/comments',
+  ]);
+});
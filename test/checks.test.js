@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+const { diffScans } = require('../src');
+const { FIXTURES } = require('./helpers');
+
+const CHECKS = path.join(__dirname, '..', 'src', 'checks.js');
+const NEXT_APP = path.join(FIXTURES, 'next-app');
+
+// A regression diff with `count` new violations, all on the fixture app's home page.
+function diffWith(count) {
+  const nodes = Array.from({ length: count }, (_, i) => ({
+    target: [`img.hero:nth-of-type(${i + 1})`],
+    html: '<img class="hero" src="/hero.png">',
+  }));
+  const violation = { id: 'image-alt', impact: 'critical', help: 'Images must have alternative text', helpUrl: 'https://dequeuniversity.com/rules/axe/4.9/image-alt', tags: ['wcag2a', 'wcag111'], nodes };
+  return diffScans({ pages: [{ urlPath: '/', violations: [] }] }, { pages: [{ urlPath: '/', violations: [violation] }] });
+}
+
+// A GitHub API stand-in that records every request and answers with `status`.
+async function mockGitHub(t, status = 201) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(status < 300 ? { id: 7, html_url: 'https://github.com/o/r/runs/7' } : { message: 'Resource not accessible by integration' }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { requests, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+function runChecks(t, diff, apiUrl) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11yguard-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const diffFile = path.join(dir, 'diff.json');
+  fs.writeFileSync(diffFile, JSON.stringify(diff));
+
+  // Async spawn: the mock server runs in this process and must keep answering.
+  const child = spawn(process.execPath, [CHECKS, '--diff', diffFile, '--projectRoot', NEXT_APP, '--repoRoot', FIXTURES], {
+    env: { PATH: process.env.PATH, GITHUB_TOKEN: 'test-token', GITHUB_REPOSITORY: 'o/r', HEAD_SHA: 'abc123', GITHUB_API_URL: apiUrl },
+  });
+  let output = '';
+  child.stdout.on('data', (chunk) => (output += chunk));
+  child.stderr.on('data', (chunk) => (output += chunk));
+  return new Promise((resolve) => child.on('close', (status) => resolve({ status, output })));
+}
+
+test('checks.js creates the check run and sends annotations 50 per request', async (t) => {
+  const github = await mockGitHub(t);
+  const run = await runChecks(t, diffWith(120), github.url);
+
+  assert.equal(run.status, 0, run.output);
+  assert.deepEqual(github.requests.map((r) => [r.method, r.url]), [
+    ['POST', '/repos/o/r/check-runs'],
+    ['PATCH', '/repos/o/r/check-runs/7'],
+    ['PATCH', '/repos/o/r/check-runs/7'],
+  ]);
+  assert.deepEqual(github.requests.map((r) => r.body.output.annotations.length), [50, 50, 20]);
+
+  const [create] = github.requests;
+  assert.equal(create.headers.authorization, 'token test-token');
+  assert.equal(create.body.name, 'a11yGuard');
+  assert.equal(create.body.head_sha, 'abc123');
+  assert.equal(create.body.conclusion, 'failure');
+  assert.equal(create.body.output.title, '120 new violation(s)');
+  const { path: file, start_line, end_line, annotation_level } = create.body.output.annotations[0];
+  assert.deepEqual({ file, start_line, end_line, annotation_level },
+    { file: 'next-app/app/page.tsx', start_line: 4, end_line: 4, annotation_level: 'failure' });
+});
+
+test('checks.js does not fail the job without checks: write permission', async (t) => {
+  const github = await mockGitHub(t, 403);
+  const run = await runChecks(t, diffWith(1), github.url);
+
+  assert.equal(run.status, 0);
+  assert.match(run.output, /Could not publish check run: GitHub API 403/);
+  assert.equal(github.requests.length, 1);
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { FIXTURES } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'src', 'cli.js');
+const BASELINE = path.join(FIXTURES, 'scans', 'baseline.json');
+const HEAD = path.join(FIXTURES, 'scans', 'head.json');
+
+// Runs the a11yguard bin in a scratch directory, so default output files land there.
+function cli(t, args) {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'a11yguard-test-'));
+  t.after(() => fs.rmSync(cwd, { recursive: true, force: true }));
+  return spawnSync(process.execPath, [CLI, ...args], { cwd, env: { PATH: process.env.PATH }, encoding: 'utf8' });
+}
+
+test('a11yguard exits 2 on usage errors', (t) => {
+  const unknown = cli(t, ['bogus']);
+  assert.equal(unknown.status, 2);
+  assert.match(unknown.stderr, /Unknown command "bogus"/);
+
+  assert.equal(cli(t, []).status, 2);
+  assert.match(cli(t, ['diff', '--baseline', BASELINE]).stderr, /FAILURE: diff needs --baseline and --head/);
+  assert.equal(cli(t, ['diff', '--baseline', BASELINE]).status, 2);
+  assert.equal(cli(t, ['report', '--diff', path.join(FIXTURES, 'missing.json')]).status, 2);
+  assert.equal(cli(t, ['compare', '--baseDir', 'dist']).status, 2);
+});
+
+test('a11yguard scan exits 2 on bad flags before scanning', (t) => {
+  const run = cli(t, ['scan', '--baseUrl', 'http://127.0.0.1:9', '--urls', '/', '--viewports', 'not-a-device']);
+  assert.equal(run.status, 2);
+  assert.match(run.stderr, /Unknown viewport "not-a-device"/);
+});
+
+test('a11yguard scan exits 3 when the scan fails', (t) => {
+  // Nothing listens on the discard port (and without a browser the launch fails): a runtime failure.
+  const run = cli(t, ['scan', '--baseUrl', 'http://127.0.0.1:9', '--urls', '/']);
+  assert.equal(run.status, 3);
+});
+
+test('a11yguard diff exits 1 on regressions and prints the diff with --json', (t) => {
+  const run = cli(t, ['diff', '--baseline', BASELINE, '--head', HEAD, '--json']);
+  assert.equal(run.status, 1, run.stderr);
+  const diff = JSON.parse(run.stdout);
+  assert.equal(diff.regression, true);
+  assert.deepEqual(diff.newViolations.map((v) => v.id), ['color-contrast']);
+});
+
+test('a11yguard diff exits 0 without regressions', (t) => {
+  const run = cli(t, ['diff', '--baseline', BASELINE, '--head', BASELINE, '--json']);
+  assert.equal(run.status, 0, run.stderr);
+  assert.equal(JSON.parse(run.stdout).regression, false);
+});
+
+test('a11yguard report renders a diff and exits 0', (t) => {
+  const diffRun = cli(t, ['diff', '--baseline', BASELINE, '--head', HEAD, '--json']);
+  const diffFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'a11yguard-test-')), 'diff.json');
+  t.after(() => fs.rmSync(path.dirname(diffFile), { recursive: true, force: true }));
+  fs.writeFileSync(diffFile, diffRun.stdout);
+
+  const run = cli(t, ['report', '--diff', diffFile]);
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stdout, /color-contrast/);
+  assert.equal(cli(t, ['report', '--diff', diffFile, '--format', 'pdf']).status, 2);
+});
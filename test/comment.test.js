@@ -0,0 +1,151 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+const { diffScans, renderComment, COMMENT_MARKER } = require('../src');
+const { loadScan } = require('./helpers');
+
+const REPORT_URL = 'https://example.test/report';
+
+function fixtureDiff() {
+  return diffScans(loadScan('baseline'), loadScan('head'));
+}
+
+// A head scan with `count` extra color-contrast failures on the home page.
+function bigDiff(count) {
+  const head = loadScan('head');
+  const contrast = head.pages[0].violations.find((v) => v.id === 'color-contrast');
+  contrast.nodes = Array.from({ length: count }, (_, i) => ({
+    target: [`#card-${i} > p`],
+    html: `<p class="muted">Card ${i} description text</p>`,
+    failureSummary: 'Fix any of the following:\n  Element has insufficient color contrast of 2.1',
+  }));
+  return diffScans(loadScan('baseline'), head);
+}
+
+test('renderComment reports the regression with its tables', () => {
+  const body = renderComment(fixtureDiff(), { reportUrl: null });
+
+  assert.ok(body.startsWith(COMMENT_MARKER));
+  assert.match(body, /## Accessibility Check — Regressions Found/);
+  assert.match(body, /\| Total violations \| 3 \| 3 \| \+0 \|/);
+  assert.match(body, /### New Violations \(1\)/);
+  assert.match(body, /\| 🟠 serious \| `color-contrast` \| \[1\.4\.3 Contrast \(Minimum\) \(AA\)\]\([^)]+\) \| `\/` \| `#submit-btn` \|/);
+  assert.match(body, /### Resolved Violations \(1\)/);
+  assert.match(body, /Moved \/ Changed Violations \(1\)/);
+  assert.match(body, /### Detailed Breakdown/);
+});
+
+test('renderComment leaves out the marker on request', () => {
+  const body = renderComment(fixtureDiff(), { marker: false, reportUrl: null });
+  assert.ok(!body.includes(COMMENT_MARKER));
+});
+
+test('renderComment says when nothing regressed', () => {
+  const body = renderComment(diffScans(loadScan('baseline'), loadScan('baseline')), { reportUrl: null });
+  assert.match(body, /## Accessibility Check — No Regressions/);
+  assert.match(body, /\*\*3 pre-existing violation\(s\)\*\*/);
+});
+
+test('renderComment adds the report-only note when failing is off', () => {
+  const body = renderComment(fixtureDiff(), { failOnRegression: false, reportUrl: null });
+  assert.match(body, /Report-only mode/);
+});
+
+test('renderComment drops detail before rows to fit maxLength', () => {
+  const diff = bigDiff(80);
+  const full = renderComment(diff, { maxLength: Infinity, reportUrl: REPORT_URL });
+  // One character short of the full comment: the first cut is the breakdown.
+  const maxLength = full.length - 1;
+  const body = renderComment(diff, { maxLength, reportUrl: REPORT_URL });
+
+  assert.ok(body.length <= maxLength, `${body.length} > ${maxLength}`);
+  assert.match(body, /### New Violations \(80\)/);
+  assert.ok(!body.includes('more new violation(s)'));
+  assert.match(body, new RegExp(`more detailed breakdown\\(s\\) — see the \\[full report\\]\\(${REPORT_URL}\\)`));
+});
+
+test('renderComment cuts table rows when details are not enough', () => {
+  const diff = bigDiff(120);
+  const body = renderComment(diff, { maxLength: 12000, reportUrl: REPORT_URL });
+
+  assert.ok(body.length <= 12000);
+  assert.ok(!body.includes('### Detailed Breakdown'));
+  assert.match(body, /_…and \d+ more new violation\(s\)/);
+});
+
+test('renderComment truncates as a last resort and keeps the report link', () => {
+  const body = renderComment(bigDiff(40), { maxLength: 600, reportUrl: REPORT_URL });
+
+  assert.ok(body.length <= 600);
+  assert.ok(body.endsWith(`_…comment truncated to fit GitHub's size limit — see the [full report](${REPORT_URL})._`));
+});
+
+test('renderComment lists needs-review items with their viewport and mode', () => {
+  // Both scans at a mobile viewport in dark mode, with a new undecided contrast check on the PR side.
+  const variant = (scan) => ({ ...scan, pages: scan.pages.map((p) => ({ ...p, viewport: 'mobile', mode: 'dark' })) });
+  const head = loadScan('head');
+  head.pages[0].incomplete = [{
+    id: 'color-contrast',
+    impact: 'serious',
+    helpUrl: 'https://dequeuniversity.com/rules/axe/4.9/color-contrast',
+    tags: ['cat.color', 'wcag2aa', 'wcag143'],
+    nodes: [{ target: ['.hero h1'], html: '<h1>Welcome</h1>', failureSummary: 'Fix any of the following:\n  Background image' }],
+  }];
+  const body = renderComment(diffScans(variant(loadScan('baseline')), variant(head)), { reportUrl: null });
+
+  assert.match(body, /### Needs Manual Review \(1 new, 0 resolved\)/);
+  assert.match(body, /\| Impact \| Rule \| Page \| Viewport \| Mode \| Selector \| Why axe could not decide \| Docs \|/);
+  assert.match(body, /\| 🟠 serious \| `color-contrast` \| `\/` \| mobile \| dark \| `\.hero h1` \| Background image \|/);
+});
+
+// A GitHub API stand-in holding the PR's comments; records every request.
+async function mockGitHub(t, comments) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(req.method === 'GET' ? comments : { id: 1, html_url: 'https://github.com/o/r/pull/5#issuecomment-1' }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { requests, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('comment.js edits its comment, removes pre-marker ones and names the failing policy', async (t) => {
+  const bot = { type: 'Bot' };
+  const github = await mockGitHub(t, [
+    { id: 1, user: bot, body: '## Accessibility Check — Regressions Found\n...\n<sub>Generated by <a href="https://github.com/zachkklein/WCAG_PR_Checker">a11y-diff</a></sub>' },
+    { id: 2, user: { type: 'User' }, body: '## Accessibility Check — Regressions Found\n> quoted by a human, <a href="#">a11y-diff</a>' },
+    { id: 3, user: bot, body: `${COMMENT_MARKER}\n## Accessibility Check — No Regressions` },
+  ]);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11yguard-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const diffFile = path.join(dir, 'diff.json');
+  fs.writeFileSync(diffFile, JSON.stringify(diffScans(loadScan('baseline'), loadScan('head'), { policy: { failOn: ['serious'] } })));
+
+  // Async spawn: the mock server runs in this process and must keep answering.
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'src', 'comment.js'), '--diff', diffFile], {
+    env: { PATH: process.env.PATH, GITHUB_TOKEN: 'test-token', PR_NUMBER: '5', GITHUB_REPOSITORY: 'o/r', GITHUB_API_URL: github.url },
+  });
+  let stderr = '';
+  child.stderr.on('data', (chunk) => (stderr += chunk));
+  const status = await new Promise((resolve) => child.on('close', resolve));
+
+  assert.equal(status, 1, stderr);
+  assert.match(stderr, /Failing check — 1 new serious violation\(s\)\./);
+  assert.deepEqual(github.requests.map((r) => `${r.method} ${r.url.replace(/\?.*/, '')}`), [
+    'GET /repos/o/r/issues/5/comments',
+    'DELETE /repos/o/r/issues/comments/1',
+    'PATCH /repos/o/r/issues/comments/3',
+  ]);
+});
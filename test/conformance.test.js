@@ -0,0 +1,99 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildConformance, renderConformance } = require('../src/conformance');
+
+const rule = (id, tags, nodes = 1) => ({ id, tags, nodes: Array.from({ length: nodes }, (_, i) => ({ target: [`#n${i}`] })) });
+
+const CONTRAST = ['cat.color', 'wcag2aa', 'wcag143'];
+const IMAGE_ALT = ['cat.text-alternatives', 'wcag2a', 'wcag111'];
+const LANG = ['cat.language', 'wcag2a', 'wcag311'];
+
+const SCAN = {
+  standard: 'wcag21aa',
+  baseUrl: 'https://example.test',
+  generatedAt: '2026-10-01T12:00:00.000Z',
+  pages: [
+    {
+      urlPath: '/',
+      violations: [rule('color-contrast', CONTRAST, 2), rule('html-has-lang', LANG)],
+      passes: [rule('image-alt', IMAGE_ALT)],
+      incomplete: [rule('svg-img-alt', IMAGE_ALT), rule('link-in-text-block', ['cat.color', 'wcag2a', 'wcag141'], 2)],
+    },
+    {
+      urlPath: '/about',
+      violations: [rule('html-has-lang', LANG)],
+      passes: [rule('color-contrast', CONTRAST), rule('image-alt', IMAGE_ALT)],
+      incomplete: [],
+    },
+    { urlPath: '/gone', missing: true, violations: [rule('html-has-lang', LANG)] },
+  ],
+  errors: [{ urlPath: '/broken', error: 'timeout' }],
+};
+
+const criterion = (summary, id) => {
+  const { status, remarks } = summary.criteria.find((c) => c.id === id);
+  return { status, remarks };
+};
+
+test('buildConformance gives each criterion its status from passes, failures and incomplete items', () => {
+  const summary = buildConformance(SCAN);
+
+  assert.deepEqual(summary.standard, { id: 'wcag21aa', label: 'WCAG 2.1 AA' });
+  assert.deepEqual(summary.pages, ['/', '/about']);
+  assert.deepEqual(criterion(summary, '1.1.1'), {
+    status: 'supports',
+    remarks: '`image-alt` passed on 2 page(s). 1 item(s) from `svg-img-alt` need manual review.',
+  });
+  assert.deepEqual(criterion(summary, '1.4.3'), {
+    status: 'partially-supports',
+    remarks: '`color-contrast` failed on 1 of 2 page(s): `/`.',
+  });
+  assert.deepEqual(criterion(summary, '3.1.1'), {
+    status: 'does-not-support',
+    remarks: '`html-has-lang` failed on every page tested (`/`, `/about`).',
+  });
+  // Incomplete items alone neither pass nor fail a criterion.
+  assert.deepEqual(criterion(summary, '1.4.1'), {
+    status: 'not-tested',
+    remarks: 'No rule passed or failed; 2 item(s) from `link-in-text-block` need manual review.',
+  });
+  assert.deepEqual(criterion(summary, '1.2.2'), { status: 'not-tested', remarks: 'No automated check; evaluate manually.' });
+
+  assert.deepEqual(summary.counts, { 'supports': 1, 'partially-supports': 1, 'does-not-support': 1, 'not-tested': 47 });
+  assert.deepEqual(summary.notes, ['1 page(s) failed to scan and are not included.']);
+});
+
+test('buildConformance covers the criteria of the requested standard', () => {
+  const summary = buildConformance(SCAN, { standard: 'WCAG 2.2 AA' });
+
+  assert.equal(summary.criteria.length, 55);
+  assert.ok(summary.criteria.some((c) => c.id === '2.5.8'));
+  assert.ok(!summary.criteria.some((c) => c.id === '4.1.1'));
+  assert.equal(summary.notes[0], 'The scan only ran the rules for WCAG 2.1 AA; criteria beyond it show as Not Tested.');
+
+  assert.equal(buildConformance(SCAN, { standard: 'wcag2a' }).criteria.every((c) => c.level === 'A' && c.version === '2.0'), true);
+  assert.throws(() => buildConformance(SCAN, { standard: 'wcag9' }), { code: 'OPTIONS_INVALID' });
+});
+
+test('buildConformance notes scans without passed-rule data', () => {
+  const old = { pages: [{ urlPath: '/', violations: [rule('html-has-lang', LANG)] }] };
+  const summary = buildConformance(old);
+
+  assert.equal(summary.standard.id, 'wcag22aa');
+  assert.equal(criterion(summary, '3.1.1').status, 'does-not-support');
+  assert.match(summary.notes[0], /no passed-rule data/);
+});
+
+test('renderConformance writes a markdown table or JSON', () => {
+  const summary = buildConformance(SCAN);
+  const markdown = renderConformance(summary);
+
+  assert.match(markdown, /^# WCAG 2\.1 AA conformance summary \(draft\)/);
+  assert.match(markdown, /Automated axe-core results for 2 page\(s\) of https:\/\/example\.test, scanned 2026-10-01\./);
+  assert.match(markdown, /\| 1 \| 1 \| 1 \| 47 \|/);
+  assert.match(markdown, /\| \[1\.4\.3 Contrast \(Minimum\)\]\(https:\/\/www\.w3\.org\/WAI\/WCAG22\/Understanding\/contrast-minimum\) \| AA \| Partially Supports \| /);
+  assert.deepEqual(JSON.parse(renderConformance(summary, 'json')).counts, summary.counts);
+  assert.throws(() => renderConformance(summary, 'pdf'), { code: 'OPTIONS_INVALID' });
+});
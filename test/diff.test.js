@@ -0,0 +1,163 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { diffScans, fingerprint, A11yGuardError } = require('../src');
+const { FIXTURES, loadScan } = require('./helpers');
+
+test('fingerprint is page, rule, selector and HTML length', () => {
+  const node = { target: ['main', 'img.hero'], html: '<img class="hero">' };
+  assert.equal(fingerprint('image-alt', node, { urlPath: '/about' }), '/about::image-alt::main>img.hero::18');
+  assert.equal(fingerprint('image-alt', node), 'image-alt::main>img.hero::18');
+});
+
+test('fingerprint keeps viewports and modes apart', () => {
+  const node = { target: ['img.hero'], html: '<img>' };
+  const desktop = fingerprint('image-alt', node, { urlPath: '/', viewport: 'desktop' });
+  const mobile  = fingerprint('image-alt', node, { urlPath: '/', viewport: 'mobile' });
+  const dark    = fingerprint('image-alt', node, { urlPath: '/', viewport: 'mobile', mode: 'dark' });
+  assert.notEqual(desktop, mobile);
+  assert.notEqual(mobile, dark);
+  assert.match(dark, /^\/::mobile::dark::image-alt::/);
+});
+
+test('diffScans keeps the same node on other pages and states apart', () => {
+  // A shared layout element, e.g. a logo without alt text.
+  const page = (urlPath) => ({
+    urlPath,
+    violations: [{ id: 'image-alt', impact: 'critical', tags: [], nodes: [{ target: ['header > img'], html: '<img src="/logo.svg">' }] }],
+  });
+  const diff = diffScans({ pages: [page('/a')] }, { pages: [page('/a'), page('/a#open'), page('/b')] });
+
+  assert.equal(diff.summary.unchanged, 1);
+  assert.deepEqual(diff.newViolations.map((v) => v.urlPath).sort(), ['/a#open', '/b']);
+});
+
+test('diffScans sorts violations into new, resolved, unchanged and changed', () => {
+  const diff = diffScans(loadScan('baseline'), loadScan('head'));
+
+  assert.equal(diff.regression, true);
+  const { baselineTotal, headTotal, newViolations, resolvedViolations, unchanged, changed } = diff.summary;
+  assert.deepEqual(
+    { baselineTotal, headTotal, newViolations, resolvedViolations, unchanged, changed },
+    { baselineTotal: 3, headTotal: 3, newViolations: 1, resolvedViolations: 1, unchanged: 1, changed: 1 },
+  );
+  assert.deepEqual(diff.newViolations.map((v) => [v.id, v.urlPath]), [['color-contrast', '/']]);
+  assert.deepEqual(diff.resolvedViolations.map((v) => [v.id, v.urlPath]), [['link-name', '/about']]);
+  assert.deepEqual(diff.unchangedViolations.map((v) => v.id), ['image-alt']);
+  // Only the CSS-module hash changed: the same violation, not a new one.
+  assert.equal(diff.changedViolations[0].id, 'button-name');
+  assert.equal(diff.changedViolations[0].match.strategy, 'normalized');
+  assert.deepEqual(diff.policy.triggered.map((t) => [t.policy, t.level]), [['failOn', 'fail']]);
+});
+
+test('diffScans passes when the PR only fixes violations', () => {
+  const diff = diffScans(loadScan('baseline'), loadScan('baseline'));
+  assert.equal(diff.regression, false);
+  assert.equal(diff.summary.newViolations, 0);
+  assert.equal(diff.summary.unchanged, 3);
+});
+
+test('diffScans with fuzzyMatch off reports a renamed node as new and resolved', () => {
+  const diff = diffScans(loadScan('baseline'), loadScan('head'), { fuzzyMatch: false });
+  assert.equal(diff.summary.changed, 0);
+  assert.deepEqual(diff.newViolations.map((v) => v.id).sort(), ['button-name', 'color-contrast']);
+});
+
+test('diffScans applies suppressions and policies', () => {
+  const diff = diffScans(loadScan('baseline'), loadScan('head'), {
+    suppressions: [{ index: 0, rule: 'color-contrast', justification: 'Brand colour, tracked in #12', owner: '@design', expires: null, expired: false }],
+    policy: { failOn: ['critical'] },
+  });
+  assert.equal(diff.regression, false);
+  assert.equal(diff.summary.suppressed, 1);
+  assert.equal(diff.suppressedViolations[0].suppression.owner, '@design');
+});
+
+test('diffScans counts new incomplete items as needing review without failing by default', () => {
+  const head = loadScan('head');
+  head.pages[0].incomplete = [{
+    id: 'color-contrast',
+    impact: 'serious',
+    helpUrl: 'https://dequeuniversity.com/rules/axe/4.9/color-contrast',
+    tags: ['cat.color', 'wcag2aa', 'wcag143'],
+    nodes: [{ target: ['.hero h1'], html: '<h1>Welcome</h1>', failureSummary: 'Element\'s background color could not be determined due to a background image' }],
+  }];
+  const options = { suppressions: [{ index: 0, rule: 'color-contrast', justification: 'Tracked in #12', owner: '@design', expires: null, expired: false }] };
+
+  const diff = diffScans(loadScan('baseline'), head, options);
+  assert.equal(diff.regression, false);
+  assert.equal(diff.summary.newIncomplete, 1);
+  assert.deepEqual(diff.newIncomplete.map((v) => [v.id, v.urlPath, v.target[0]]), [['color-contrast', '/', '.hero h1']]);
+  assert.deepEqual(diff.policy.triggered.map((t) => [t.policy, t.level]), [['incomplete', 'warn']]);
+
+  const strict = diffScans(loadScan('baseline'), head, { ...options, policy: { incomplete: 'fail' } });
+  assert.equal(strict.regression, true);
+});
+
+test('diffScans rejects input that is not a scan', () => {
+  assert.throws(
+    () => diffScans({ pages: [] }, { violations: [] }),
+    (err) => err instanceof A11yGuardError && err.code === 'SCAN_INPUT_INVALID',
+  );
+});
+
+test('diffScans rejects a matchThreshold outside (0, 1]', () => {
+  for (const matchThreshold of ['abc', NaN, 0, -0.5, 1.5, Infinity, true]) {
+    assert.throws(
+      () => diffScans(loadScan('baseline'), loadScan('head'), { matchThreshold }),
+      (err) => err instanceof A11yGuardError && err.code === 'OPTIONS_INVALID',
+      String(matchThreshold),
+    );
+  }
+  assert.equal(diffScans(loadScan('baseline'), loadScan('head'), { matchThreshold: '1' }).matching.threshold, 1);
+});
+
+test('diff.js exits 2 on a bad matchThreshold or an unparsable scan', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11yguard-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const corrupt = path.join(dir, 'head.json');
+  fs.writeFileSync(corrupt, '{ "pages": [');
+  const baseline = path.join(FIXTURES, 'scans', 'baseline.json');
+  const diff = (...args) => spawnSync(process.execPath, [
+    path.join(__dirname, '..', 'src', 'diff.js'), '--baseline', baseline, '--output', path.join(dir, 'diff.json'), ...args,
+  ], { encoding: 'utf8' });
+
+  const threshold = diff('--head', baseline, '--matchThreshold', 'high');
+  assert.equal(threshold.status, 2);
+  assert.match(threshold.stderr, /FAILURE: matchThreshold must be a number above 0 and at most 1, got "high"/);
+
+  const unparsable = diff('--head', corrupt);
+  assert.equal(unparsable.status, 2);
+  assert.match(unparsable.stderr, /^FAILURE: Could not read the head scan .*head\.json: /m);
+  assert.doesNotMatch(unparsable.stderr, /at JSON\.parse/);
+});
+
+test('an unparsable ratchet file is CONFIG_INVALID, and diff.js exits 2', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11yguard-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const ratchet = path.join(dir, 'a11y-ratchet.json');
+  const config = path.join(dir, '.a11yguard.yml');
+  fs.writeFileSync(ratchet, '{ "rules": { "image-alt": 2, } }');
+  fs.writeFileSync(config, `policy:\n  ratchet: ${JSON.stringify(ratchet)}\n`);
+
+  assert.throws(
+    () => diffScans(loadScan('baseline'), loadScan('head'), { policy: { ratchet } }),
+    (err) => err instanceof A11yGuardError && err.code === 'CONFIG_INVALID' && err.message.includes(ratchet),
+  );
+
+  const scans = path.join(FIXTURES, 'scans');
+  const run = spawnSync(process.execPath, [
+    path.join(__dirname, '..', 'src', 'diff.js'),
+    '--baseline', path.join(scans, 'baseline.json'),
+    '--head', path.join(scans, 'head.json'),
+    '--output', path.join(dir, 'diff.json'),
+    '--config', config,
+  ], { encoding: 'utf8' });
+  assert.equal(run.status, 2);
+  assert.match(run.stderr, /FAILURE: Cannot read ratchet file .*a11y-ratchet\.json/);
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+
+const DISCOVER = path.join(__dirname, '..', 'src', 'discover.js');
+
+const SITEMAP = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://example.com/docs/intro</loc></url>
+  <url><loc>https://example.com/docs/100%-coverage</loc></url>
+  <url><loc>https://example.com/admin/users</loc></url>
+  <url><loc>https://example.com/caf%C3%A9/</loc></url>
+</urlset>`;
+
+// A site that only serves a sitemap, so discovery needs no browser.
+async function sitemapServer(t) {
+  const server = http.createServer((req, res) => {
+    if (req.url !== '/sitemap.xml') {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/xml' });
+    res.end(SITEMAP);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+async function discover(t, args) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11yguard-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const output = path.join(dir, 'routes.json');
+
+  // Async spawn: the server runs in this process and must keep answering.
+  const child = spawn(process.execPath, [DISCOVER, '--mode', 'sitemap', '--output', output, ...args], {
+    env: { PATH: process.env.PATH },
+  });
+  let log = '';
+  child.stdout.on('data', (chunk) => (log += chunk));
+  child.stderr.on('data', (chunk) => (log += chunk));
+  const status = await new Promise((resolve) => child.on('close', resolve));
+  return { status, log, routes: status === 0 ? JSON.parse(fs.readFileSync(output, 'utf8')).routes : null };
+}
+
+test('discover.js skips sitemap entries it cannot decode', async (t) => {
+  const origin = await sitemapServer(t);
+  const run = await discover(t, ['--baseUrls', origin, '--urls', '/']);
+
+  assert.equal(run.status, 0, run.log);
+  assert.deepEqual(run.routes, ['/', '/admin/users', '/café', '/docs/intro']);
+});
+
+test('discover.js applies include and exclude patterns to the seeds too', async (t) => {
+  const origin = await sitemapServer(t);
+  const run = await discover(t, ['--baseUrls', origin, '--urls', '/,/admin,/docs', '--exclude', '/admin/**']);
+
+  assert.equal(run.status, 0, run.log);
+  assert.deepEqual(run.routes, ['/', '/café', '/docs', '/docs/intro']);
+});
+
+test('discover.js keeps the seeds and sitemap order when it caps the routes', async (t) => {
+  const origin = await sitemapServer(t);
+  const run = await discover(t, ['--baseUrls', origin, '--urls', '/', '--maxPages', '3']);
+
+  assert.equal(run.status, 0, run.log);
+  // The sitemap lists "/docs/intro" first; an alphabetical cap would keep "/café" instead.
+  assert.deepEqual(run.routes, ['/', '/admin/users', '/docs/intro']);
+  assert.match(run.log, /4 routes found, keeping the seeds and the first sitemap and crawl routes up to 3/);
+});
+
+test('requiring discover.js has no side effects', () => {
+  const { normalizePath, parseSitemap, capRoutes } = require('../src/discover');
+
+  assert.equal(normalizePath('https://example.com/docs/index.html?x=1#top', 'http://localhost:3000'), '/docs');
+  assert.equal(parseSitemap(SITEMAP).locs.length, 4);
+  assert.deepEqual(capRoutes(['/', '/zebra', '/about', '/zebra'], 2), ['/', '/zebra']);
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { applyRuleFixers } = require('../src/fixers');
+const { FIXTURES } = require('./helpers');
+
+const DIR = path.join(FIXTURES, 'fixers');
+
+// Failing nodes per fixture, as auto-fix.js passes them (flattened diff entries).
+const CASES = {
+  'html-has-lang': [
+    { id: 'html-has-lang', target: ['html'], html: '<html>' },
+  ],
+  'meta-viewport': [
+    { id: 'meta-viewport', target: ['meta[name="viewport"]'], html: '<meta name="viewport" content="width=device-width, initial-scale=1, maximum-scale=1, user-scalable=no">' },
+  ],
+  'frame-title': [
+    { id: 'frame-title', target: ['iframe:nth-child(1)'], html: '<iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ"></iframe>' },
+    { id: 'frame-title', target: ['iframe:nth-child(2)'], html: '<iframe src="/map.html" title=""></iframe>' },
+  ],
+  'aria-hidden-focus': [
+    { id: 'aria-hidden-focus', target: ['.drawer'], html: '<div class="drawer" aria-hidden="true">' },
+  ],
+  'duplicate-id': [
+    { id: 'duplicate-id', target: ['input:nth-child(2)'], html: '<input id="email" name="backup-email">' },
+  ],
+  // Failing buttons of any rule; the "Clear" button between them is not one.
+  'button-type': [
+    { id: 'color-contrast', target: ['.subscribe'], html: '<button class="subscribe">Subscribe</button>' },
+    { id: 'target-size', target: ['.menu-toggle'], html: '<button class="menu-toggle">Menu</button>' },
+  ],
+};
+
+for (const [name, violations] of Object.entries(CASES)) {
+  for (const ext of ['.html', '.jsx']) {
+    test(`${name} fixer on ${ext.slice(1).toUpperCase()}`, () => {
+      const file = path.join(DIR, `${name}${ext}`);
+      const result = applyRuleFixers(file, fs.readFileSync(file, 'utf8'), violations);
+
+      assert.equal(result.content, fs.readFileSync(path.join(DIR, `${name}.fixed${ext}`), 'utf8'));
+      assert.deepEqual(result.handled, violations);
+      assert.ok(result.changes.length > 0);
+      assert.ok(result.changes.every((c) => c.fixer === name));
+    });
+  }
+}
+
+test('duplicate-id leaves an id alone when something refers to it', () => {
+  const source = '<label for="email">Email</label>\n<input id="email">\n<input id="email">\n';
+  const violations = [{ id: 'duplicate-id', target: ['input'], html: '<input id="email">' }];
+  const result = applyRuleFixers(path.join(DIR, 'inline.html'), source, violations);
+
+  assert.equal(result.content, source);
+  assert.deepEqual(result.handled, []);
+  assert.match(result.skipped[0], /"email" is referenced/);
+});
+
+test('button-type leaves buttons that are not failing nodes alone', () => {
+  const file = path.join(DIR, 'button-type.jsx');
+  const source = fs.readFileSync(file, 'utf8');
+  const violations = [{ id: 'link-name', target: ['a.more'], html: '<a class="more" href="/news"></a>' }];
+  const result = applyRuleFixers(file, source, violations);
+
+  assert.equal(result.content, source);
+  assert.deepEqual(result.changes, []);
+  assert.deepEqual(result.handled, []);
+});
+
+test('fixers leave rules without a mechanical fix to the LLM', () => {
+  const file = path.join(DIR, 'frame-title.fixed.jsx');
+  const source = fs.readFileSync(file, 'utf8');
+  const violations = [{ id: 'scrollable-region-focusable', target: ['section'], html: '<section>' }];
+  const result = applyRuleFixers(file, source, violations);
+
+  assert.equal(result.content, source);
+  assert.deepEqual(result.changes, []);
+  assert.deepEqual(result.handled, []);
+});
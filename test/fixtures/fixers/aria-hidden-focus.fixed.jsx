@@ -0,0 +1,9 @@
+export default function Drawer() {
+  return (
+    <div className="drawer" aria-hidden="true">
+      <a tabIndex={-1} href="/settings">Settings</a>
+      <button tabIndex={-1}>Close</button>
+      <span>Not focusable</span>
+    </div>
+  );
+}
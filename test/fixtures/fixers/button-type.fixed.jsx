@@ -0,0 +1,12 @@
+export default function Newsletter() {
+  return (
+    <>
+      <form className="newsletter">
+        <input name="email" />
+        <button type="submit" className="subscribe">Subscribe</button>
+        <button className="reset">Clear</button>
+      </form>
+      <button type="button" className="menu-toggle">Menu</button>
+    </>
+  );
+}
@@ -0,0 +1,9 @@
+export default function Signup() {
+  return (
+    <form>
+      <input id="email" name="email" />
+      <input id="email-2" name="backup-email" />
+      <input id="email-3" name="work-email" />
+    </form>
+  );
+}
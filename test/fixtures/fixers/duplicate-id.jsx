@@ -0,0 +1,9 @@
+export default function Signup() {
+  return (
+    <form>
+      <input id="email" name="email" />
+      <input id="email" name="backup-email" />
+      <input id="email" name="work-email" />
+    </form>
+  );
+}
@@ -0,0 +1,8 @@
+export default function Video() {
+  return (
+    <section>
+      <iframe title="Embedded content from youtube.com" src="https://www.youtube.com/embed/dQw4w9WgXcQ" />
+      <iframe src="/map.html" title="Embedded content" />
+    </section>
+  );
+}
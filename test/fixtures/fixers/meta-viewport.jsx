@@ -0,0 +1,7 @@
+export default function Head() {
+  return (
+    <head>
+      <meta name="viewport" content="width=device-width, initial-scale=1, maximum-scale=1, user-scalable=no" />
+    </head>
+  );
+}
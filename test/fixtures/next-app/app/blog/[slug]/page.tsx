@@ -0,0 +1,3 @@
+export default function Post({ params }) {
+  return <article><h1>{params.slug}</h1></article>;
+}
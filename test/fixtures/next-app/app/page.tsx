@@ -0,0 +1,7 @@
+export default function Home() {
+  return (
+    <main>
+      <img className="hero" src="/hero.png" />
+    </main>
+  );
+}
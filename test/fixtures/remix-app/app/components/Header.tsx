@@ -0,0 +1,9 @@
+export function Header() {
+  return (
+    <header>
+      <a className="logo" href="/">
+        <img src="/logo.svg" />
+      </a>
+    </header>
+  );
+}
@@ -0,0 +1,12 @@
+import { Header } from '~/components/Header';
+
+export default function Index() {
+  return (
+    <>
+      <Header />
+      <main>
+        <h1>Welcome</h1>
+      </main>
+    </>
+  );
+}
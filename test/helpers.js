@@ -0,0 +1,12 @@
+'use strict';
+
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// A fresh copy of a fixture scan, so tests can change it freely.
+function loadScan(name) {
+  return JSON.parse(JSON.stringify(require(path.join(FIXTURES, 'scans', `${name}.json`))));
+}
+
+module.exports = { FIXTURES, loadScan };
@@ -0,0 +1,101 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { appendRecord, buildRecord, loadHistory, ruleChanges, sparkline, trendReport } = require('../src/history');
+
+const nodes = (n) => Array.from({ length: n }, (_, i) => ({ target: [`#n${i}`] }));
+
+const SCAN = {
+  pages: [
+    { urlPath: '/', violations: [
+      { id: 'color-contrast', impact: 'serious', nodes: nodes(3) },
+      { id: 'image-alt', impact: 'critical', nodes: nodes(1) },
+    ] },
+    { urlPath: '/about', violations: [{ id: 'color-contrast', impact: 'serious', nodes: nodes(2) }] },
+    { urlPath: '/broken', error: 'timeout', violations: [] },
+  ],
+};
+
+const record = (sha, recordedAt, byRule, byImpact) => ({
+  recordedAt,
+  sha,
+  ref: 'refs/heads/main',
+  total: Object.values(byRule).reduce((a, b) => a + b, 0),
+  byImpact,
+  byRule,
+  byPage: {},
+});
+
+const RECORDS = [
+  record('aaaaaaa1', '2026-07-01T10:00:00.000Z', { 'color-contrast': 8, 'image-alt': 2 }, { serious: 8, critical: 2 }),
+  record('bbbbbbb2', '2026-08-01T10:00:00.000Z', { 'color-contrast': 6, 'image-alt': 2, 'link-name': 1 }, { serious: 7, critical: 2 }),
+  record('ccccccc3', '2026-09-01T10:00:00.000Z', { 'color-contrast': 3, 'link-name': 1 }, { serious: 4 }),
+];
+
+test('buildRecord counts every failing node by impact, rule and page', () => {
+  const built = buildRecord(SCAN, { sha: 'abc123', ref: 'refs/heads/main', recordedAt: '2026-10-01T00:00:00.000Z' });
+
+  assert.deepEqual(built, {
+    recordedAt: '2026-10-01T00:00:00.000Z',
+    sha: 'abc123',
+    ref: 'refs/heads/main',
+    total: 6,
+    byImpact: { critical: 1, serious: 5, moderate: 0, minor: 0 },
+    byRule: { 'color-contrast': 5, 'image-alt': 1 },
+    byPage: { '/': 4, '/about': 2 },
+  });
+});
+
+test('appendRecord keeps only the newest records', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11yguard-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  for (const ext of ['ndjson', 'json']) {
+    const file = path.join(dir, `history.${ext}`);
+    for (const r of RECORDS) appendRecord(file, r, 2);
+
+    assert.deepEqual(loadHistory(file).map((r) => r.sha), ['bbbbbbb2', 'ccccccc3']);
+    const text = fs.readFileSync(file, 'utf8');
+    assert.equal(text.trimStart().startsWith('['), ext === 'json');
+  }
+});
+
+test('ruleChanges lists the biggest movers first', () => {
+  assert.deepEqual(ruleChanges(RECORDS[0], RECORDS[2]), [
+    { id: 'color-contrast', from: 8, to: 3, delta: -5 },
+    { id: 'image-alt', from: 2, to: 0, delta: -2 },
+    { id: 'link-name', from: 0, to: 1, delta: 1 },
+  ]);
+  assert.deepEqual(ruleChanges(RECORDS[2], RECORDS[2]), []);
+});
+
+test('trendReport shows the totals, a row per run and the rule changes', () => {
+  const report = trendReport(RECORDS, 20);
+
+  assert.equal(sparkline([10, 9, 4]), '█▇▁');
+  assert.deepEqual(report.split('\n'), [
+    'Accessibility trend — last 3 run(s)',
+    '',
+    '  Total     █▇▁  10 → 4 (-6)',
+    '  critical  ██▁  2 → 0 (-2)',
+    '  serious   █▆▁  8 → 4 (-4)',
+    '  moderate  ▄▄▄  0 → 0 (0)',
+    '  minor     ▄▄▄  0 → 0 (0)',
+    '',
+    '  Date        Commit    Total  Crit  Ser  Mod  Min',
+    '  2026-07-01  aaaaaaa      10     2    8    0    0',
+    '  2026-08-01  bbbbbbb       9     2    7    0    0',
+    '  2026-09-01  ccccccc       4     0    4    0    0',
+    '',
+    '  Biggest rule changes since the first run shown:',
+    '    color-contrast               8 → 3 (-5)',
+    '    image-alt                    2 → 0 (-2)',
+    '    link-name                    0 → 1 (+1)',
+  ]);
+  assert.match(trendReport(RECORDS, 2), /^Accessibility trend — last 2 run\(s\)/);
+  assert.equal(trendReport([]), 'No history recorded yet.');
+});
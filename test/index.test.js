@@ -0,0 +1,75 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const api = require('../src');
+const { FIXTURES, loadScan } = require('./helpers');
+
+const NEXT_APP = path.join(FIXTURES, 'next-app');
+
+function tmpFile(name, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11yguard-test-'));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return { file, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+const hasCode = (code) => (err) => err instanceof api.A11yGuardError && err.code === code;
+
+test('the package exports the documented API', () => {
+  for (const name of ['scanUrls', 'diffScans', 'renderComment', 'renderReport', 'resolveUrlToFile', 'resolveSource', 'fingerprint', 'loadConfig']) {
+    assert.equal(typeof api[name], 'function', name);
+  }
+  assert.equal(api.COMMENT_LIMIT, 65536);
+});
+
+test('resolveUrlToFile maps URL paths to Next.js route files', () => {
+  assert.equal(api.resolveUrlToFile('/', NEXT_APP), path.join(NEXT_APP, 'app/page.tsx'));
+  assert.equal(api.resolveUrlToFile('/about', NEXT_APP), path.join(NEXT_APP, 'app/about/page.tsx'));
+  assert.equal(api.resolveUrlToFile('/blog/hello-world', NEXT_APP), path.join(NEXT_APP, 'app/blog/[slug]/page.tsx'));
+  assert.equal(api.resolveUrlToFile('/missing/page', NEXT_APP), null);
+});
+
+test('resolveSource gives the file with its confidence', () => {
+  const source = api.resolveSource({ urlPath: '/', html: '<img class="hero" src="/hero.png">' }, NEXT_APP);
+  assert.equal(source.file, path.join(NEXT_APP, 'app/page.tsx'));
+  assert.equal(source.framework, 'next');
+  assert.equal(source.kind, 'static');
+  assert.ok(source.confidence > 0.9);
+});
+
+test('renderReport builds a self-contained HTML page', () => {
+  const html = api.renderReport(api.diffScans(loadScan('baseline'), loadScan('head')), { title: 'PR #1' });
+  assert.match(html, /^<!doctype html>/i);
+  assert.match(html, /<title>PR #1<\/title>/);
+  assert.match(html, /color-contrast/);
+});
+
+test('loadConfig reports every problem as CONFIG_INVALID', (t) => {
+  const { file, cleanup } = tmpFile('.a11yguard.yml', 'impactLevl: serious\nconcurrency: 0\n');
+  t.after(cleanup);
+  assert.throws(() => api.loadConfig(file), (err) => {
+    assert.ok(hasCode('CONFIG_INVALID')(err));
+    assert.equal(err.details.problems.length, 2);
+    assert.match(err.details.problems.join('\n'), /did you mean "impactLevel"/);
+    return true;
+  });
+});
+
+test('diffScans rejects a bad suppression file as SUPPRESSIONS_INVALID', (t) => {
+  const { file, cleanup } = tmpFile('suppressions.json', JSON.stringify({ suppressions: [{ rule: 'image-alt' }] }));
+  t.after(cleanup);
+  assert.throws(() => api.diffScans(loadScan('baseline'), loadScan('head'), { suppressions: file }), hasCode('SUPPRESSIONS_INVALID'));
+});
+
+test('scanUrls rejects bad options as OPTIONS_INVALID before launching a browser', async () => {
+  await assert.rejects(api.scanUrls({ urls: ['/'], viewports: ['not-a-device'] }), hasCode('OPTIONS_INVALID'));
+  await assert.rejects(api.scanUrls({ urls: ['/'], standard: 'wcag9' }), hasCode('OPTIONS_INVALID'));
+  await assert.rejects(api.scanUrls({ urls: ['/'], concurrency: 'four' }), hasCode('OPTIONS_INVALID'));
+  await assert.rejects(api.scanUrls({ urls: ['/'], concurrency: 0 }), hasCode('OPTIONS_INVALID'));
+  await assert.rejects(api.scanUrls({ urls: ['/'], pageTimeoutMs: '60s' }), /pageTimeoutMs must be a whole number of at least 1, got "60s"/);
+  await assert.rejects(api.scanUrls({ urls: ['/'], extraWaitMs: 'soon' }), hasCode('OPTIONS_INVALID'));
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { applyEdits, parseEdits, validateSyntax } = require('../src/patch');
+
+const PAGE = `export default function Home() {
+  return (
+    <main>
+      <img className="hero" src="/hero.png" />
+      <h1>Welcome</h1>
+      <p>Our products</p>
+    </main>
+  );
+}
+`;
+const HERO = { id: 'image-alt', target: ['img.hero'], html: '<img class="hero" src="/hero.png">' };
+const ALT = { search: '<img className="hero" src="/hero.png" />', replace: '<img className="hero" src="/hero.png" alt="Product overview" />' };
+
+// Runs applyEdits and returns the PATCH_REJECTED problems it throws.
+function rejected(source, edits, file = 'app/page.tsx') {
+  try {
+    applyEdits(file, source, edits, [HERO]);
+  } catch (err) {
+    assert.equal(err.code, 'PATCH_REJECTED');
+    return err.details.problems;
+  }
+  assert.fail('the edits were applied');
+}
+
+test('applyEdits applies a search/replace edit near the failing element', () => {
+  const result = applyEdits('app/page.tsx', PAGE, [ALT], [HERO], { displayPath: 'app/page.tsx' });
+
+  assert.equal(result.content, PAGE.replace(ALT.search, ALT.replace));
+  assert.match(result.diff, /^--- a\/app\/page\.tsx\n\+\+\+ b\/app\/page\.tsx\n/);
+  assert.match(result.diff, /\n\+ {6}<img className="hero" src="\/hero\.png" alt="Product overview" \/>/);
+});
+
+test('applyEdits rejects a search text that is missing or not unique', () => {
+  assert.deepEqual(rejected(PAGE, [{ search: '<img src="/logo.png" />', replace: '<img src="/logo.png" alt="" />' }]),
+    ['edit 1: search text not found in the file']);
+  assert.deepEqual(rejected(PAGE, [{ search: '      <', replace: '      <' }]),
+    ['edit 1: search text appears more than once; it must be unique']);
+});
+
+test('applyEdits rejects overlapping edits', () => {
+  const edits = [ALT, {
+    search: '<img className="hero" src="/hero.png" />\n      <h1>Welcome</h1>',
+    replace: '<img className="hero" src="/hero.png" role="presentation" />\n      <h1>Welcome</h1>',
+  }];
+  assert.deepEqual(rejected(PAGE, edits), ['edits on lines 4 and 4 overlap']);
+});
+
+test('applyEdits rejects an edit outside the lines around the failing element', () => {
+  // The window is 2 lines before and 8 after the element's line (4 here).
+  const source = PAGE.replace('    </main>', `${'      <br />\n'.repeat(10)}      <a href="/more">More</a>\n    </main>`);
+  const edit = { search: '<a href="/more">', replace: '<a href="/more" aria-label="More products">' };
+
+  assert.deepEqual(rejected(source, [edit]), ['edit 1: line(s) 17 are not near a failing element']);
+});
+
+test('applyEdits rejects an edit that changes text content', () => {
+  const edit = { search: '<h1>Welcome</h1>', replace: '<h1>Welcome home</h1>' };
+  assert.deepEqual(rejected(PAGE, [edit]), ['edit 1: changes text content ("Welcome")']);
+});
+
+test('applyEdits rejects a .tsx result that Babel cannot parse', () => {
+  const edit = { search: '<img className="hero" src="/hero.png" />', replace: '<img className="hero" src="/hero.png" alt="Product overview" >' };
+  const [problem] = rejected(PAGE, [edit]);
+  assert.match(problem, /^the result does not parse: /);
+});
+
+test('validateSyntax rejects new HTML parse errors and unbalanced tags', () => {
+  const html = '<!doctype html>\n<html lang="en"><body><main><img src="/hero.png"></main></body></html>\n';
+
+  assert.throws(() => validateSyntax('index.html', html, html.replace('<img src="/hero.png">', '<img src="/hero.png" alt="a" alt="b">')),
+    (err) => err.code === 'PATCH_REJECTED' && /new HTML parse errors: duplicate-attribute/.test(err.message));
+  assert.throws(() => validateSyntax('index.html', html, html.replace('<main>', '<main><div>')),
+    (err) => err.code === 'PATCH_REJECTED' && /unbalanced tags: <div>/.test(err.message));
+  assert.doesNotThrow(() => validateSyntax('index.html', html, html.replace('<img src="/hero.png">', '<img src="/hero.png" alt="Hero">')));
+});
+
+test('parseEdits reads a code-fenced reply and rejects anything else', () => {
+  const reply = '```json\n{"edits":[{"search":"<img />","replace":"<img alt=\\"\\" />"}]}\n```';
+  assert.deepEqual(parseEdits(reply), [{ search: '<img />', replace: '<img alt="" />' }]);
+
+  assert.throws(() => parseEdits('Here is the fixed file: <main>...</main>'), /the reply is not JSON/);
+  assert.throws(() => parseEdits('{"edits":[]}'), /the reply has no "edits" array/);
+  assert.throws(() => parseEdits('{"edits":[{"search":"","replace":"x"}]}'), /edit 1 needs a non-empty "search"/);
+});
+
+test('applyEdits locates the failing element in the text it patches, not the file on disk', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11yguard-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'page.tsx');
+  fs.writeFileSync(file, PAGE);
+  // The rule-based fixers added lines above the element since the file was read.
+  const fixed = PAGE.replace('    <main>\n', `    <main>\n${'      <br />\n'.repeat(12)}`);
+
+  const result = applyEdits(file, fixed, [ALT], [HERO]);
+  assert.equal(result.content, fixed.replace(ALT.search, ALT.replace));
+});
+
+test('a rejected edit leaves the original text and file untouched', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11yguard-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'page.tsx');
+  fs.writeFileSync(file, PAGE);
+  const original = fs.readFileSync(file, 'utf8');
+
+  // One good edit and one bad: the whole set is rejected.
+  const problems = rejected(original, [ALT, { search: '<p>Our products</p>', replace: '<p>All products</p>' }], file);
+  assert.deepEqual(problems, ['edit 2: changes text content ("Our products")']);
+  assert.equal(original, PAGE);
+  assert.equal(fs.readFileSync(file, 'utf8'), PAGE);
+});
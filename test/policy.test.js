@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluatePolicy } = require('../src/policy');
+
+const violation = (id, urlPath) => ({ id, urlPath, impact: 'serious' });
+
+function evaluate(policy, newViolations) {
+  return evaluatePolicy(policy, {
+    newViolations,
+    expired: [],
+    baselineCounts: {},
+    headCounts: {},
+    baselineTotal: 0,
+    headTotal: newViolations.length,
+  });
+}
+
+test('a violation is within budget only when its rule and page budgets both hold', () => {
+  const policy = { budgets: { rules: { 'color-contrast': 3 }, pages: { '/legacy/**': 1 } } };
+  // Two contrast violations on one legacy page: under the rule budget, over the page budget.
+  const result = evaluate(policy, [
+    violation('color-contrast', '/legacy/pricing'),
+    violation('color-contrast', '/legacy/pricing'),
+    violation('color-contrast', '/home'),
+  ]);
+
+  assert.equal(result.outcome, 'fail');
+  assert.deepEqual(result.triggered.map((t) => [t.policy, t.level, t.message]), [
+    ['budget', 'fail', '2 new violation(s) on `/legacy/**`, over the page budget of 1'],
+    ['budget', 'warn', '1 new violation(s) within budget'],
+  ]);
+});
+
+test('violations within every budget that applies to them only warn', () => {
+  const policy = { budgets: { rules: { 'color-contrast': 3 }, pages: { '/legacy/**': 2 } } };
+  const result = evaluate(policy, [
+    violation('color-contrast', '/legacy/pricing'),
+    violation('color-contrast', '/legacy/pricing'),
+    violation('image-alt', '/legacy/about'),
+  ]);
+
+  // image-alt has no rule budget, so only the page budget (now 3 > 2) applies to it.
+  assert.equal(result.outcome, 'fail');
+  assert.deepEqual(result.triggered.map((t) => [t.policy, t.level, t.count]), [['budget', 'fail', 3]]);
+
+  const within = evaluate(policy, [violation('color-contrast', '/legacy/pricing'), violation('image-alt', '/legacy/about')]);
+  assert.equal(within.outcome, 'warn');
+  assert.deepEqual(within.triggered.map((t) => [t.policy, t.level, t.count]), [['budget', 'warn', 2]]);
+});
+
+test('violations with no budget fail on impact alone', () => {
+  const result = evaluate({ budgets: { rules: { 'color-contrast': 3 } } }, [violation('link-name', '/home')]);
+
+  assert.equal(result.outcome, 'fail');
+  assert.deepEqual(result.triggered.map((t) => [t.policy, t.message]), [['failOn', '1 new violation(s)']]);
+});
@@ -0,0 +1,36 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffScans, renderReport } = require('../src');
+const { loadScan } = require('./helpers');
+
+const undecided = (selector) => ({
+  id: 'color-contrast',
+  impact: 'serious',
+  helpUrl: 'https://dequeuniversity.com/rules/axe/4.9/color-contrast',
+  tags: ['cat.color', 'wcag2aa', 'wcag143'],
+  nodes: [{ target: [selector], html: '<h1>Welcome</h1>', failureSummary: 'Background image' }],
+});
+
+test('renderReport shows the violations with their sections and filters', () => {
+  const html = renderReport(diffScans(loadScan('baseline'), loadScan('head')), { title: 'PR #42' });
+
+  assert.match(html, /<title>PR #42<\/title>/);
+  assert.match(html, /<p class="status">Regressions found<\/p>/);
+  assert.match(html, /<h2>New violations \(<span class="count">1<\/span>\)<\/h2>/);
+  assert.match(html, /<h2>Resolved violations \(<span class="count">1<\/span>\)<\/h2>/);
+  assert.match(html, /<option value="color-contrast">color-contrast<\/option>/);
+});
+
+test('renderReport shows the items that need manual review', () => {
+  const baseline = loadScan('baseline');
+  const head = loadScan('head');
+  baseline.pages[0].incomplete = [undecided('.promo h2')];
+  head.pages[0].incomplete = [undecided('.hero h1')];
+  const html = renderReport(diffScans(baseline, head));
+
+  assert.match(html, /<tr><th>Needs manual review<\/th><td>1 \(1 new, 1 resolved\)<\/td><\/tr>/);
+  assert.match(html, /<h2>New, needs manual review \(<span class="count">1<\/span>\)<\/h2>[\s\S]*<code>\.hero h1<\/code>/);
+  assert.match(html, /<h2>No longer needs review \(<span class="count">1<\/span>\)<\/h2>[\s\S]*<code>\.promo h2<\/code>/);
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { resolveRoute, resolveSource, detectFramework } = require('../src/resolve');
+const { FIXTURES } = require('./helpers');
+
+// URL path → [route file, match kind] per fixture app; null means no route.
+const ROUTES = {
+  'remix-app': {
+    '/':             ['app/routes/_index.tsx', 'static'],
+    '/blog/hello':   ['app/routes/blog.$slug.tsx', 'dynamic'],
+    '/about':        ['app/routes/($lang).about.tsx', 'dynamic'],
+    '/fr/about':     ['app/routes/($lang).about.tsx', 'dynamic'],
+    '/login':        ['app/routes/_auth.login.tsx', 'static'],
+    '/dashboard':    ['app/routes/dashboard/route.tsx', 'static'],
+    '/no/such/page': ['app/routes/$.tsx', 'catch-all'],
+  },
+  'sveltekit-app': {
+    '/':              ['src/routes/+page.svelte', 'static'],
+    '/pricing':       ['src/routes/(marketing)/pricing/+page.svelte', 'static'],
+    '/blog/hello':    ['src/routes/blog/[slug]/+page.svelte', 'dynamic'],
+    '/items/42':      ['src/routes/items/[id=integer]/+page.svelte', 'dynamic'],
+    '/docs':          ['src/routes/docs/[...path]/+page.svelte', 'catch-all'],
+    '/docs/a/b':      ['src/routes/docs/[...path]/+page.svelte', 'catch-all'],
+    '/missing':       null,
+  },
+  'astro-app': {
+    '/':          ['src/pages/index.astro', 'static'],
+    '/about':     ['src/pages/about.md', 'static'],
+    '/blog/post': ['src/pages/blog/[slug].astro', 'dynamic'],
+    '/docs/a/b':  ['src/pages/docs/[...path].astro', 'catch-all'],
+    '/_draft':    null,
+  },
+  'react-router-app': {
+    '/':             ['src/pages/Home.tsx', 'static'],
+    '/products/7':   ['src/pages/Product.tsx', 'dynamic'],
+    '/no/such/page': ['src/pages/NotFound.tsx', 'catch-all'],
+  },
+};
+
+for (const [app, routes] of Object.entries(ROUTES)) {
+  const root = path.join(FIXTURES, app);
+  const framework = app.replace(/-app$/, '');
+
+  test(`detectFramework finds ${framework} from package.json`, () => {
+    assert.equal(detectFramework(root, '').name, framework);
+  });
+
+  test(`resolveRoute maps ${framework} URLs to route files`, () => {
+    for (const [urlPath, expected] of Object.entries(routes)) {
+      const route = resolveRoute(urlPath, root, { framework });
+      const actual = route && [path.relative(root, route.file).split(path.sep).join('/'), route.kind];
+      assert.deepEqual(actual, expected, urlPath);
+    }
+  });
+}
+
+test('detectFramework rejects an unknown framework as CONFIG_INVALID', () => {
+  assert.throws(() => detectFramework(path.join(FIXTURES, 'next-app'), 'nextjs'), (err) => {
+    assert.equal(err.code, 'CONFIG_INVALID');
+    assert.equal(err.message, 'Unknown framework "nextjs" (expected next, remix, sveltekit, astro, react-router, static)');
+    return true;
+  });
+  assert.equal(detectFramework(path.join(FIXTURES, 'next-app'), 'static'), null);
+});
+
+test('resolveSource picks the imported component that renders the node', () => {
+  const root = path.join(FIXTURES, 'remix-app');
+  const logo = { urlPath: '/', html: '<a class="logo" href="/">' };
+  const source = resolveSource(logo, root);
+
+  assert.equal(source.file, path.join(root, 'app/components/Header.tsx'));
+  assert.equal(source.pageFile, path.join(root, 'app/routes/_index.tsx'));
+  assert.equal(source.component, true);
+  assert.equal(source.fit, 1);
+  assert.equal(source.confidence, 0.95);
+  assert.match(source.reason, /nodes found in app\/components\/Header\.tsx \(fit 1\.00\)/);
+});
+
+test('resolveSource lowers the confidence for weak node fits and looser routes', () => {
+  const root = path.join(FIXTURES, 'remix-app');
+  // Nothing in the page or its components has this link: the page, at 60% of the route confidence.
+  const unknown = resolveSource({ urlPath: '/', html: '<a class="promo" href="/sale">' }, root);
+  assert.equal(unknown.file, path.join(root, 'app/routes/_index.tsx'));
+  assert.equal(unknown.component, false);
+  assert.equal(unknown.fit, 0);
+  assert.equal(unknown.confidence, 0.57);
+
+  const dynamic = resolveSource({ urlPath: '/blog/hello' }, root);
+  const catchAll = resolveSource({ urlPath: '/no/such/page' }, root);
+  assert.equal(dynamic.confidence, 0.8);
+  assert.equal(catchAll.confidence, 0.65);
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { diffScans } = require('../src');
+const { buildSarif } = require('../src/sarif');
+const { FIXTURES, loadScan } = require('./helpers');
+
+const NEXT_APP = path.join(FIXTURES, 'next-app');
+
+// The fixture diff with the new color-contrast violation accepted in a suppression file.
+function suppressedDiff(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11yguard-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'suppressions.json');
+  fs.writeFileSync(file, JSON.stringify({
+    suppressions: [{ rule: 'color-contrast', justification: 'Brand colours, see DS-12', owner: '@design' }],
+  }));
+  return diffScans(loadScan('baseline'), loadScan('head'), { suppressions: file });
+}
+
+const byRule = (run, id) => run.results.find((r) => r.ruleId === id);
+
+test('buildSarif gives every result its baseline state and v2 fingerprint', () => {
+  const diff = diffScans(loadScan('baseline'), loadScan('head'));
+  const [run] = buildSarif(diff, { projectRoot: NEXT_APP, repoRoot: FIXTURES }).runs;
+
+  assert.deepEqual(run.results.map((r) => [r.ruleId, r.baselineState]), [
+    ['color-contrast', 'new'],
+    ['image-alt', 'unchanged'],
+    ['button-name', 'updated'],
+    ['link-name', 'absent'],
+  ]);
+  assert.deepEqual(byRule(run, 'image-alt').partialFingerprints, { 'a11yGuard/v2': '/::image-alt::img.hero::34' });
+  assert.deepEqual(byRule(run, 'link-name').partialFingerprints, { 'a11yGuard/v2': '/about::link-name::footer > a::34' });
+  assert.equal(byRule(run, 'link-name').kind, 'pass');
+  assert.equal(byRule(run, 'link-name').level, 'none');
+  assert.equal(byRule(run, 'color-contrast').level, 'error');
+});
+
+test('buildSarif emits axe rules with their WCAG tags', () => {
+  const diff = diffScans(loadScan('baseline'), loadScan('head'));
+  const { rules } = buildSarif(diff, { projectRoot: NEXT_APP, repoRoot: FIXTURES }).runs[0].tool.driver;
+  const contrast = rules.find((r) => r.id === 'color-contrast');
+
+  assert.deepEqual(rules.map((r) => r.id), ['color-contrast', 'image-alt', 'button-name', 'link-name']);
+  assert.deepEqual(contrast.properties.tags, ['accessibility', 'wcag2aa', 'wcag143']);
+  assert.deepEqual(contrast.properties.wcagCriteria, ['1.4.3']);
+  assert.match(contrast.helpUri, /^https:\/\/dequeuniversity\.com\/rules\/axe\//);
+});
+
+test('buildSarif marks suppressed violations as accepted', (t) => {
+  const [run] = buildSarif(suppressedDiff(t), { projectRoot: NEXT_APP, repoRoot: FIXTURES }).runs;
+  const contrast = byRule(run, 'color-contrast');
+
+  assert.equal(contrast.baselineState, undefined);
+  assert.deepEqual(contrast.suppressions, [{ kind: 'external', status: 'accepted', justification: 'Brand colours, see DS-12 (owner: @design)' }]);
+});
+
+test('buildSarif gives every result a physical location', () => {
+  const diff = diffScans(loadScan('baseline'), loadScan('head'));
+  // A page the app has no route for.
+  diff.unchangedViolations[0] = { ...diff.unchangedViolations[0], urlPath: '/legacy/promo' };
+  const options = { projectRoot: NEXT_APP, repoRoot: FIXTURES };
+
+  const located = buildSarif(diff, { ...options, fallbackFile: path.join(NEXT_APP, 'package.json') }).runs[0];
+  assert.equal(located.results.length, 4);
+  assert.equal(located.properties.unlocatedResults, 0);
+  assert.deepEqual(byRule(located, 'color-contrast').locations[0].physicalLocation.artifactLocation, { uri: 'next-app/app/page.tsx', uriBaseId: '%SRCROOT%' });
+  assert.deepEqual(byRule(located, 'image-alt').locations[0], {
+    physicalLocation: { artifactLocation: { uri: 'next-app/package.json', uriBaseId: '%SRCROOT%' }, region: { startLine: 1 } },
+    logicalLocations: [{ name: '/legacy/promo', kind: 'page', fullyQualifiedName: '/legacy/promo' }],
+  });
+
+  // Without a fallback the result is left out and counted.
+  const unlocated = buildSarif(diff, options).runs[0];
+  assert.deepEqual(unlocated.results.map((r) => r.ruleId), ['color-contrast', 'button-name', 'link-name']);
+  assert.equal(unlocated.properties.unlocatedResults, 1);
+  assert.ok(unlocated.results.every((r) => r.locations[0].physicalLocation));
+});
@@ -0,0 +1,29 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { captureScreenshots } = require('../src/screenshots');
+
+test('captureScreenshots reports a failed shot to the given logger, not the console', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11yguard-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  // A page that has gone away: every screenshot and lookup fails.
+  const page = {
+    screenshot: async () => { throw new Error('Target page, context or browser has been closed'); },
+    $: async () => null,
+  };
+  const violations = [{ id: 'image-alt', nodes: [{ target: ['img.hero'], html: '<img class="hero">' }] }];
+  const warnings = [];
+  const log = { log() {}, warn: (message) => warnings.push(message), error() {} };
+  t.mock.method(console, 'warn');
+
+  const shot = await captureScreenshots(page, violations, dir, '/ @ mobile', log);
+
+  assert.equal(shot, null);
+  assert.equal(violations[0].nodes[0].screenshot, undefined);
+  assert.deepEqual(warnings, ['  WARN: full-page screenshot failed on / @ mobile: Target page, context or browser has been closed']);
+  assert.equal(console.warn.mock.callCount(), 0);
+});
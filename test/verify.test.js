@@ -0,0 +1,86 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { verifyFixes } = require('../src/verify');
+
+const violation = (id, urlPath, selector) => ({ id, impact: 'serious', tags: [], urlPath, target: [selector], html: `<x class="${selector}">` });
+const page = (urlPath, violations = []) => ({
+  urlPath,
+  route: urlPath,
+  violations: violations.map((v) => ({ id: v.id, impact: v.impact, tags: [], nodes: [{ target: v.target, html: v.html }] })),
+});
+
+const NEW = {
+  alt:    violation('image-alt', '/a', 'img-a'),
+  button: violation('button-name', '/a', 'button-c'),
+  link:   violation('link-name', '/b', 'link-b'),
+};
+
+// Three fixed files on disk: two for /a, one for /b.
+function fixedFiles(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11yguard-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return ['alt', 'button', 'link'].map((name) => {
+    const filePath = path.join(dir, `${name}.tsx`);
+    fs.writeFileSync(filePath, `fixed ${name}`);
+    return { name, filePath, original: `original ${name}`, violations: [NEW[name]] };
+  });
+}
+
+// Stands in for scanUrls(): answers each call with the next scan, for the routes asked.
+function fakeScan(...results) {
+  const calls = [];
+  const scan = async (options) => {
+    const pages = results[calls.length];
+    calls.push(options.urls);
+    return { pages: options.urls.map((url) => pages[url] || page(url)), errors: [] };
+  };
+  return { scan, calls };
+}
+
+function verify(fixes, scan) {
+  return verifyFixes(fixes, {
+    baseline: { pages: [page('/a'), page('/b')] },
+    head: { pages: [] },
+    newViolations: Object.values(NEW),
+    url: 'http://localhost:5000',
+    scan,
+  });
+}
+
+test('verifyFixes keeps fixes whose violations are gone, in one re-scan', async (t) => {
+  const fake = fakeScan({});
+  const result = await verify(fixedFiles(t), fake.scan);
+
+  assert.deepEqual(result.verified.map((f) => f.name), ['alt', 'button', 'link']);
+  assert.deepEqual(result.failed, []);
+  assert.deepEqual(fake.calls, [['/a', '/b']]);
+});
+
+test('verifyFixes reverts failed fixes and re-scans the kept ones together', async (t) => {
+  const fixes = fixedFiles(t);
+  const fake = fakeScan({ '/b': page('/b', [NEW.link]) }, {});
+  const result = await verify(fixes, fake.scan);
+
+  assert.deepEqual(fake.calls, [['/a', '/b'], ['/a']]);
+  assert.deepEqual(result.verified.map((f) => f.name), ['alt', 'button']);
+  assert.deepEqual(result.failed.map((f) => [f.name, f.reason]), [['link', 'still failing: link-name on /b']]);
+  assert.equal(fs.readFileSync(fixes[2].filePath, 'utf8'), 'original link');
+  assert.equal(fs.readFileSync(fixes[0].filePath, 'utf8'), 'fixed alt');
+});
+
+test('verifyFixes reverts kept fixes that fail once the others are reverted', async (t) => {
+  const fixes = fixedFiles(t);
+  const contrast = violation('color-contrast', '/a', 'p-a');
+  const fake = fakeScan({ '/b': page('/b', [NEW.link]) }, { '/a': page('/a', [contrast]) });
+  const result = await verify(fixes, fake.scan);
+
+  assert.deepEqual(result.verified, []);
+  assert.deepEqual(result.failed.map((f) => f.name), ['link', 'alt', 'button']);
+  assert.equal(result.failed[1].reason, 'with the failed fixes reverted, new after the fix: color-contrast on /a');
+  for (const fix of fixes) assert.equal(fs.readFileSync(fix.filePath, 'utf8'), fix.original);
+});
@@ -0,0 +1,42 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseStandard, axeTagsFor, criteriaInStandard, criteriaFor, standardRefs } = require('../src/wcag');
+
+test('parseStandard accepts the axe tag and the spelled-out forms', () => {
+  assert.deepEqual(parseStandard('WCAG 2.1 AA'), { id: 'wcag21aa', version: '2.1', level: 'AA', label: 'WCAG 2.1 AA' });
+  assert.deepEqual(parseStandard('wcag2a'), { id: 'wcag2a', version: '2.0', level: 'A', label: 'WCAG 2.0 A' });
+  assert.equal(parseStandard('2.2 aaa').id, 'wcag22aaa');
+  assert.equal(parseStandard('wcag3aa'), null);
+  assert.equal(parseStandard('section508'), null);
+});
+
+test('a standard covers its version and level and everything below', () => {
+  assert.deepEqual(axeTagsFor('wcag21aa'), ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa']);
+  assert.deepEqual(axeTagsFor('wcag2a'), ['wcag2a']);
+
+  const ids = (standard) => criteriaInStandard(standard).map((c) => c.id);
+  assert.equal(ids('wcag2a').length, 25);
+  assert.equal(ids('wcag21aa').length, 50);
+  assert.equal(ids('wcag22aa').length, 55);
+  // AAA criteria stay out of AA; 2.2 adds 2.5.8 and drops 4.1.1 Parsing.
+  assert.ok(!ids('wcag21aa').includes('1.4.6'));
+  assert.ok(ids('wcag21aa').includes('4.1.1') && !ids('wcag21aa').includes('2.5.8'));
+  assert.ok(!ids('wcag22aa').includes('4.1.1') && ids('wcag22aa').includes('2.5.8'));
+});
+
+test('criteriaFor maps axe criterion tags to success criteria', () => {
+  assert.deepEqual(criteriaFor(['cat.color', 'wcag2aa', 'wcag143', 'wcag1410', 'wcag143', 'wcag999']).map((c) => c.id), ['1.4.3', '1.4.10']);
+  assert.deepEqual(criteriaFor(undefined), []);
+});
+
+test('standardRefs falls back from criteria to the lowest level, then Best Practice', () => {
+  assert.deepEqual(standardRefs(['wcag2aa', 'wcag143']), [
+    { label: '1.4.3 Contrast (Minimum) (AA)', url: 'https://www.w3.org/WAI/WCAG22/Understanding/contrast-minimum' },
+  ]);
+  assert.deepEqual(standardRefs(['wcag21aa', 'wcag2a']), [{ label: 'WCAG 2.0 A', url: 'https://www.w3.org/TR/WCAG20/' }]);
+  assert.deepEqual(standardRefs(['wcag22aa']), [{ label: 'WCAG 2.2 AA', url: 'https://www.w3.org/TR/WCAG22/' }]);
+  assert.equal(standardRefs(['cat.keyboard', 'best-practice'])[0].label, 'Best Practice');
+  assert.deepEqual(standardRefs(['cat.keyboard']), []);
+});